@@ -0,0 +1,14 @@
+// Scopes a personal API token can be granted, each allowing access to one kind of data
+const API_SCOPES = [
+  'profile:read',
+  'courses:read',
+  'courses:write',
+  'grades:read',
+  'assignments:read',
+  'announcements:read',
+  'calendar:read',
+  'todo:read',
+  'changes:read'
+];
+
+module.exports = { API_SCOPES };
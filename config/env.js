@@ -8,11 +8,69 @@ const env = {
   PORT: process.env.PORT || 3001,
   FIREBASE_PROJECT_ID: process.env.FIREBASE_PROJECT_ID,
   FIREBASE_DATABASE_URL: process.env.FIREBASE_DATABASE_URL,
-  FIREBASE_SERVICE_ACCOUNT: process.env.FIREBASE_SERVICE_ACCOUNT
+  FIREBASE_SERVICE_ACCOUNT: process.env.FIREBASE_SERVICE_ACCOUNT,
+
+  // Where app data is kept: 'firestore' or 'memory'
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'firestore',
+  // Read by the Admin SDK itself; set to use the local Firebase emulators
+  FIRESTORE_EMULATOR_HOST: process.env.FIRESTORE_EMULATOR_HOST,
+  FIREBASE_AUTH_EMULATOR_HOST: process.env.FIREBASE_AUTH_EMULATOR_HOST,
+
+  // Who verifies sign-ins: 'firebase' or 'local' (in-process users, for local development)
+  AUTH_BACKEND: process.env.AUTH_BACKEND || 'firebase',
+
+  // Canvas API retry and rate-limit settings
+  CANVAS_MAX_RETRIES: parseInt(process.env.CANVAS_MAX_RETRIES || '3', 10),
+  CANVAS_RETRY_BASE_DELAY_MS: parseInt(process.env.CANVAS_RETRY_BASE_DELAY_MS || '500', 10),
+  CANVAS_RETRY_MAX_DELAY_MS: parseInt(process.env.CANVAS_RETRY_MAX_DELAY_MS || '10000', 10),
+  CANVAS_RATE_LIMIT_LOW_WATER: parseFloat(process.env.CANVAS_RATE_LIMIT_LOW_WATER || '200'),
+  CANVAS_REQUEST_TIMEOUT_MS: parseInt(process.env.CANVAS_REQUEST_TIMEOUT_MS || '30000', 10),
+
+  // Canvas API concurrency caps
+  CANVAS_MAX_CONCURRENCY_PER_TOKEN: parseInt(process.env.CANVAS_MAX_CONCURRENCY_PER_TOKEN || '4', 10),
+  CANVAS_MAX_CONCURRENCY_PER_HOST: parseInt(process.env.CANVAS_MAX_CONCURRENCY_PER_HOST || '16', 10),
+
+  // Canvas response cache: 'memory', 'firestore' or 'none'
+  CANVAS_CACHE_BACKEND: process.env.CANVAS_CACHE_BACKEND || 'memory',
+  CANVAS_CACHE_MAX_ENTRIES: parseInt(process.env.CANVAS_CACHE_MAX_ENTRIES || '500', 10),
+
+  // Canvas mode: 'live', 'record', 'replay' or 'fake'
+  CANVAS_MODE: process.env.CANVAS_MODE || 'live',
+  CANVAS_FIXTURES_DIR: process.env.CANVAS_FIXTURES_DIR || 'fixtures/canvas',
+  FAKE_CANVAS_PORT: parseInt(process.env.FAKE_CANVAS_PORT || '3002', 10),
+
+  // Master keys for encrypting stored Canvas tokens ("keyId:base64Key,...")
+  CANVAS_TOKEN_KEYS: process.env.CANVAS_TOKEN_KEYS,
+  CANVAS_TOKEN_ACTIVE_KEY_ID: process.env.CANVAS_TOKEN_ACTIVE_KEY_ID,
+
+  // Canvas OAuth2 developer key
+  CANVAS_OAUTH_CLIENT_ID: process.env.CANVAS_OAUTH_CLIENT_ID,
+  CANVAS_OAUTH_CLIENT_SECRET: process.env.CANVAS_OAUTH_CLIENT_SECRET,
+  CANVAS_OAUTH_REDIRECT_URI: process.env.CANVAS_OAUTH_REDIRECT_URI,
+  CANVAS_OAUTH_SUCCESS_REDIRECT: process.env.CANVAS_OAUTH_SUCCESS_REDIRECT,
+  CANVAS_OAUTH_DEFAULT_URL: process.env.CANVAS_OAUTH_DEFAULT_URL,
+  // Other Canvas instances users may connect with OAuth (comma-separated base URLs)
+  CANVAS_OAUTH_ALLOWED_URLS: process.env.CANVAS_OAUTH_ALLOWED_URLS,
+
+  // Personal API token lifetimes, in days
+  API_TOKEN_DEFAULT_EXPIRY_DAYS: parseInt(process.env.API_TOKEN_DEFAULT_EXPIRY_DAYS || '90', 10),
+  API_TOKEN_MAX_EXPIRY_DAYS: parseInt(process.env.API_TOKEN_MAX_EXPIRY_DAYS || '365', 10),
+
+  // Background sync of Canvas data into Firestore
+  SYNC_ENABLED: process.env.SYNC_ENABLED === 'true',
+  SYNC_INTERVAL_MINUTES: parseInt(process.env.SYNC_INTERVAL_MINUTES || '60', 10),
+  SYNC_JITTER_RATIO: parseFloat(process.env.SYNC_JITTER_RATIO || '0.1'),
+  SYNC_MAX_BACKOFF_MINUTES: parseInt(process.env.SYNC_MAX_BACKOFF_MINUTES || '720', 10),
+  SYNC_TICK_SECONDS: parseInt(process.env.SYNC_TICK_SECONDS || '60', 10),
+  SYNC_USERS_PER_TICK: parseInt(process.env.SYNC_USERS_PER_TICK || '5', 10)
 };
 
-// Validate required Firebase environment variables
-if (!env.FIREBASE_PROJECT_ID) {
+// The fake Canvas server runs alongside the API unless pointed elsewhere
+env.FAKE_CANVAS_URL = process.env.FAKE_CANVAS_URL || `http://localhost:${env.FAKE_CANVAS_PORT}`;
+
+// Validate required Firebase environment variables; the emulators and local backends run without a real project
+const fullyLocal = env.STORAGE_BACKEND === 'memory' && env.AUTH_BACKEND === 'local';
+if (!env.FIREBASE_PROJECT_ID && !env.FIRESTORE_EMULATOR_HOST && !env.FIREBASE_AUTH_EMULATOR_HOST && !fullyLocal) {
   console.warn('Warning: Firebase Project ID not provided in .env file');
 }
 
@@ -1,42 +1,55 @@
 const admin = require('firebase-admin');
-const dotenv = require('dotenv');
+const env = require('./env');
+const { createLocalAuth } = require('../utils/localAuth');
 
-// Load environment variables
-dotenv.config();
+// Project ID the Firebase emulators run under when no real project is configured
+const EMULATOR_PROJECT_ID = 'demo-canvas-dashboard';
 
 // Initialize Firebase Admin SDK
 let firebaseApp;
 
+const usingEmulators = !!(env.FIRESTORE_EMULATOR_HOST || env.FIREBASE_AUTH_EMULATOR_HOST);
+const projectId = env.FIREBASE_PROJECT_ID || (usingEmulators ? EMULATOR_PROJECT_ID : undefined);
+
 try {
   // Check if Firebase Admin SDK is already initialized
   if (!admin.apps.length) {
-    // Initialize with service account if provided
-    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-      const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    // Initialize with service account if provided; the emulators don't need one
+    if (env.FIREBASE_SERVICE_ACCOUNT && !usingEmulators) {
+      const serviceAccount = JSON.parse(env.FIREBASE_SERVICE_ACCOUNT);
       
       firebaseApp = admin.initializeApp({
         credential: admin.credential.cert(serviceAccount),
-        databaseURL: process.env.FIREBASE_DATABASE_URL
+        databaseURL: env.FIREBASE_DATABASE_URL
       });
     } else {
       // Initialize with application default credentials
       firebaseApp = admin.initializeApp({
-        projectId: process.env.FIREBASE_PROJECT_ID,
-        databaseURL: process.env.FIREBASE_DATABASE_URL
+        projectId,
+        databaseURL: env.FIREBASE_DATABASE_URL
       });
     }
     
-    console.log('Firebase Admin SDK initialized successfully');
+    console.log(`Firebase Admin SDK initialized successfully${usingEmulators ? ' (emulators)' : ''}`);
   } else {
     firebaseApp = admin.app();
   }
 } catch (error) {
-  console.error('Error initializing Firebase Admin SDK:', error);
-  process.exit(1);
+  // Keep the server up: Firebase calls fail when made, and the memory storage backend needs none
+  console.error('Error initializing Firebase Admin SDK, continuing without credentials:', error.message);
+  firebaseApp = admin.initializeApp({ projectId });
 }
 
 // Get Firestore instance
 const db = admin.firestore();
-const auth = admin.auth();
+
+// The local backend keeps users in this process, so memory storage runs without any Firebase services
+let auth;
+if (env.AUTH_BACKEND === 'local') {
+  console.warn('Using local auth: users are kept in memory and lost on restart, for development only');
+  auth = createLocalAuth();
+} else {
+  auth = admin.auth();
+}
 
 module.exports = { admin, db, auth };
@@ -0,0 +1,7 @@
+// Roles a user can hold, stored as the `roles` Firebase custom claim
+const ROLES = ['student', 'observer', 'support', 'admin'];
+
+// Users without a roles claim are treated as students
+const DEFAULT_ROLES = ['student'];
+
+module.exports = { ROLES, DEFAULT_ROLES };
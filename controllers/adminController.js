@@ -0,0 +1,107 @@
+const firebaseService = require('../services/firebaseService');
+const roleService = require('../services/roleService');
+
+/**
+ * Map a Firebase Auth lookup failure to a 404
+ * @param {Error} error - Error from Firebase Auth
+ * @returns {number} HTTP status
+ */
+function statusFor(error) {
+  if (error.code === 'auth/user-not-found') {
+    return 404;
+  }
+
+  return error.status || 500;
+}
+
+/**
+ * Admin controller for support and administration routes
+ */
+const adminController = {
+  /**
+   * Get a user's roles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getUserRoles: async (req, res) => {
+    try {
+      const { uid } = req.params;
+
+      const roles = await roleService.getRoles(uid);
+
+      res.json({ uid, roles });
+    } catch (error) {
+      console.error('Error getting user roles:', error.message);
+      res.status(statusFor(error)).json({ error: 'Failed to get user roles', details: error.message });
+    }
+  },
+
+  /**
+   * Grant a role to a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  grantRole: async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const { role } = req.body;
+
+      if (!role) {
+        return res.status(400).json({ error: 'Role is required' });
+      }
+
+      const roles = await roleService.grantRole(uid, role);
+      console.log(`User ${req.user.uid} granted role ${role} to ${uid}`);
+
+      // Custom claims reach the user's ID token the next time it is refreshed
+      res.json({ message: 'Role granted successfully', uid, roles });
+    } catch (error) {
+      console.error('Error granting role:', error.message);
+      res.status(statusFor(error)).json({ error: 'Failed to grant role', details: error.message });
+    }
+  },
+
+  /**
+   * Revoke a role from a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  revokeRole: async (req, res) => {
+    try {
+      const { uid, role } = req.params;
+
+      // Stop admins from locking themselves out
+      if (uid === req.user.uid && role === 'admin') {
+        return res.status(400).json({ error: 'Admins cannot revoke their own admin role' });
+      }
+
+      const roles = await roleService.revokeRole(uid, role);
+      console.log(`User ${req.user.uid} revoked role ${role} from ${uid}`);
+
+      res.json({ message: 'Role revoked successfully', uid, roles });
+    } catch (error) {
+      console.error('Error revoking role:', error.message);
+      res.status(statusFor(error)).json({ error: 'Failed to revoke role', details: error.message });
+    }
+  },
+
+  /**
+   * Get whether a user's Canvas credentials were valid as of the last check, for support staff
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getUserCanvasCredentialStatus: async (req, res) => {
+    try {
+      const { uid } = req.params;
+
+      const status = await firebaseService.getCanvasCredentialStatus(uid);
+
+      res.json({ uid, ...status });
+    } catch (error) {
+      console.error('Error getting Canvas credential status:', error.message);
+      res.status(statusFor(error)).json({ error: 'Failed to get Canvas credential status', details: error.message });
+    }
+  }
+};
+
+module.exports = adminController;
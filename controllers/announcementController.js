@@ -1,5 +1,3 @@
-const canvasService = require('../services/canvasService');
-
 /**
  * Announcement controller for handling announcement-related routes
  */
@@ -8,14 +6,15 @@ const announcementController = {
    * Get announcements for all available courses
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getAnnouncements: async (req, res) => {
+  getAnnouncements: async (req, res, next) => {
     try {
       // First get all active courses to build context codes
-      const courses = await canvasService.getCourses({ includeTerms: false, includeTeachers: false });
+      const courses = await req.canvas.getCourses({ includeTerms: false, includeTeachers: false });
       
       // Get announcements using the service
-      const announcements = await canvasService.getAnnouncements(courses, {
+      const announcements = await req.canvas.getAnnouncements(courses, {
         latestOnly: false,
         startDate: '2023-01-01'
       });
@@ -23,7 +22,7 @@ const announcementController = {
       res.json(announcements);
     } catch (error) {
       console.error('Error fetching announcements:', error.message);
-      res.status(500).json({ error: 'Failed to fetch announcements', details: error.message });
+      next(error);
     }
   }
 };
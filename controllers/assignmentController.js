@@ -1,4 +1,3 @@
-const canvasService = require('../services/canvasService');
 const formatTime = require('../utils/formatTime');
 
 /**
@@ -10,15 +9,19 @@ const assignmentController = {
    * Get assignments for a course
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getCourseAssignments: async (req, res) => {
+  getCourseAssignments: async (req, res, next) => {
     try {
       const { courseId } = req.params;
-      const assignments = await canvasService.getCourseAssignments(courseId);
+      const { items: assignments, truncated } = await req.canvas.getCourseAssignments(courseId, { paged: true });
+
+      // Keep the array response, but flag when the page cap cut the list short
+      res.set('X-Results-Truncated', String(truncated));
       res.json(assignments);
     } catch (error) {
       console.error('Error fetching assignments:', error.message);
-      res.status(500).json({ error: 'Failed to fetch assignments' });
+      next(error);
     }
   },
 
@@ -26,15 +29,16 @@ const assignmentController = {
    * Get submissions for an assignment
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getAssignmentSubmissions: async (req, res) => {
+  getAssignmentSubmissions: async (req, res, next) => {
     try {
       const { courseId, assignmentId } = req.params;
-      const submissions = await canvasService.getAssignmentSubmissions(courseId, assignmentId);
+      const submissions = await req.canvas.getAssignmentSubmissions(courseId, assignmentId);
       res.json(submissions);
     } catch (error) {
       console.error('Error fetching submissions:', error.message);
-      res.status(500).json({ error: 'Failed to fetch submissions' });
+      next(error);
     }
   },
 
@@ -1,5 +1,8 @@
-const canvasService = require('../services/canvasService');
+const termService = require('../services/termService');
 const formatTime = require('../utils/formatTime');
+const { CanvasForbiddenError } = require('../utils/canvasErrors');
+const { createRequestStats, formatQueueWait } = require('../utils/canvasScheduler');
+const { formatCacheStats } = require('../utils/canvasCache');
 const env = require('../config/env');
 
 /**
@@ -7,11 +10,13 @@ const env = require('../config/env');
  */
 const assignmentGradesController = {
   /**
-   * Get assignments with grades for Spring 2025 courses
+   * Get assignments with grades for the courses in a term, the current one unless ?term=
+   * names a Canvas enrollment term ID or 'past' or 'future'
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getAssignmentGrades: async (req, res) => {
+  getAssignmentGrades: async (req, res, next) => {
     try {
       const startTime = Date.now();
       const timings = {
@@ -19,10 +24,14 @@ const assignmentGradesController = {
         assignments: { start: 0, end: 0, duration: 0 },
         processing: { start: 0, end: 0, duration: 0 }
       };
+      const requestStats = createRequestStats();
 
-      // Get Spring 2025 courses directly from environment variables
+      const termId = req.query.term || 'current';
+
+      // Get the term's courses
       timings.courses.start = Date.now();
-      const courses = await canvasService.getSpring2025Courses();
+      const allCourses = await req.canvas.getCourses({ includeSections: true, stats: requestStats });
+      const courses = termService.coursesInTerm(allCourses, termId);
       timings.courses.end = Date.now();
       timings.courses.duration = timings.courses.end - timings.courses.start;
 
@@ -40,7 +49,7 @@ const assignmentGradesController = {
             totalTimeSec: ((endTime - startTime) / 1000).toFixed(2),
             sections: timings
           },
-          error: 'No Spring 2025 courses found'
+          error: `No courses found for term ${termId}`
         });
       }
 
@@ -54,14 +63,27 @@ const assignmentGradesController = {
           const courseId = course.id;
 
           // Get assignments for this course with submissions included
-          const assignments = await canvasService.getCourseAssignments(courseId, {
+          const canvas = req.canvas.forSource(course.source);
+          const { items: assignments, truncated } = await canvas.getCourseAssignments(courseId, {
             includeSubmission: true,
             orderBy: 'due_at',
-            perPage: 100
+            perPage: 100,
+            paged: true,
+            stats: requestStats
           });
 
-          // Get submissions for this course to get detailed grade information
-          const submissions = await canvasService.getCourseSubmissions(courseId);
+          // Get submissions for this course to get detailed grade information,
+          // carrying on without them if Canvas won't show them to us
+          let submissions = [];
+          let submissionsError = null;
+          try {
+            submissions = await canvas.getCourseSubmissions(courseId, { stats: requestStats });
+          } catch (error) {
+            if (!(error instanceof CanvasForbiddenError)) {
+              throw error;
+            }
+            submissionsError = error.code;
+          }
 
           // Process assignments with submission data
           const processedAssignments = assignments.map(assignment => {
@@ -105,8 +127,10 @@ const assignmentGradesController = {
             course_id: course.id,
             course_name: course.name,
             course_code: course.course_code,
-            term: course.term ? course.term.name : 'Spring 2025',
+            term: course.term ? course.term.name : null,
             assignments: processedAssignments,
+            truncated,
+            submissionsError,
             timing: {
               courseTimeMs: Date.now() - courseStartTime
             }
@@ -117,9 +141,10 @@ const assignmentGradesController = {
             course_id: course.id,
             course_name: course.name,
             course_code: course.course_code,
-            term: course.term ? course.term.name : 'Spring 2025',
+            term: course.term ? course.term.name : null,
             assignments: [],
-            error: error.message
+            error: error.message,
+            code: error.code
           };
         }
       });
@@ -177,6 +202,7 @@ const assignmentGradesController = {
       // Return the formatted response
       res.json({
         courses: courseData,
+        truncated: courseData.some(course => course.truncated),
         assignments: {
           past: pastAssignments,
           current: currentAssignments
@@ -185,12 +211,14 @@ const assignmentGradesController = {
           totalTimeMs,
           totalTimeSec: (totalTimeMs / 1000).toFixed(2),
           formattedTime: formatTime(totalTimeMs),
-          sections: timings
+          sections: timings,
+          queueWait: formatQueueWait(requestStats),
+          cache: formatCacheStats(requestStats)
         }
       });
     } catch (error) {
       console.error('Error fetching assignment grades:', error.message);
-      res.status(500).json({ error: 'Failed to fetch assignment grades' });
+      next(error);
     }
   }
 };
@@ -1,6 +1,46 @@
 const { auth } = require('../config/firebase');
 const firebaseService = require('../services/firebaseService');
 const canvasService = require('../services/canvasService');
+const canvasOAuthService = require('../services/canvasOAuthService');
+const apiTokenService = require('../services/apiTokenService');
+const accountService = require('../services/accountService');
+const syncService = require('../services/syncService');
+const coursePreferenceService = require('../services/coursePreferenceService');
+const env = require('../config/env');
+const {
+  CanvasError,
+  CanvasUnauthorizedError,
+  CanvasNotFoundError,
+  CanvasTimeoutError
+} = require('../utils/canvasErrors');
+const { normalizeCanvasUrl } = require('../utils/canvasUrl');
+
+/**
+ * Check Canvas credentials before storing them
+ * @param {string} canvasUrl - Canvas URL as entered
+ * @param {string} canvasApiKey - Canvas API key
+ * @returns {Promise<Object>} Normalized Canvas URL and Canvas user
+ */
+async function verifyCanvasCredentials(canvasUrl, canvasApiKey) {
+  let check;
+  try {
+    check = await canvasService.checkCredentials({ canvasUrl, canvasApiKey });
+  } catch (error) {
+    // A missing /users/self or no answer at all means the URL is not a Canvas instance
+    const badUrl = error instanceof CanvasNotFoundError || error instanceof CanvasTimeoutError;
+    const verifyError = new Error(badUrl ? `Could not reach Canvas at ${canvasUrl}` : error.message);
+    verifyError.status = error instanceof CanvasError && !badUrl ? error.statusCode : 400;
+    throw verifyError;
+  }
+
+  if (check.status !== 'valid') {
+    const verifyError = new Error(`Canvas API key is ${check.status}: ${check.message}`);
+    verifyError.status = 400;
+    throw verifyError;
+  }
+
+  return check;
+}
 
 /**
  * Authentication controller
@@ -23,6 +63,14 @@ const authController = {
         return res.status(400).json({ error: 'Canvas URL and API key are required' });
       }
 
+      // Make sure the Canvas credentials work before creating the account
+      let check;
+      try {
+        check = await verifyCanvasCredentials(canvasUrl, canvasApiKey);
+      } catch (verifyError) {
+        return res.status(verifyError.status).json({ error: 'Invalid Canvas credentials', details: verifyError.message });
+      }
+
       // Create user in Firebase
       const userRecord = await auth.createUser({
         email,
@@ -32,8 +80,9 @@ const authController = {
 
       // Store Canvas credentials
       await firebaseService.storeCanvasCredentials(userRecord.uid, {
-        canvasUrl,
-        canvasApiKey
+        canvasUrl: check.canvasUrl,
+        canvasApiKey,
+        canvasUser: check.canvasUser
       });
 
       // Create custom token for frontend authentication
@@ -42,13 +91,15 @@ const authController = {
       // Fetch and store user's courses
       try {
         // Use the user's Canvas credentials
-        const courses = await canvasService.getCourses({
-          canvasUrl,
-          canvasApiKey
+        const { items: courses, truncated } = await canvasService.getCourses({
+          canvasUrl: check.canvasUrl,
+          canvasApiKey,
+          includeConcluded: true,
+          paged: true
         });
 
         // Store courses in Firestore
-        await firebaseService.storeCourses(userRecord.uid, courses);
+        await firebaseService.storeCourses(userRecord.uid, courses, { truncated });
 
         res.status(201).json({
           message: 'User registered successfully',
@@ -77,6 +128,37 @@ const authController = {
     }
   },
 
+  /**
+   * Sign in with an email and password when the local auth backend is in use. With
+   * Firebase Auth, clients sign in through the Firebase SDK instead.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  localSignIn: async (req, res) => {
+    if (env.AUTH_BACKEND !== 'local') {
+      return res.status(404).json({ error: 'Local sign-in is not enabled' });
+    }
+
+    try {
+      const { email, password } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required' });
+      }
+
+      const token = await auth.signIn(email, password);
+
+      res.json({ token });
+    } catch (error) {
+      if (error.code === 'auth/invalid-credential' || error.code === 'auth/user-disabled') {
+        return res.status(401).json({ error: error.message });
+      }
+
+      console.error('Local sign-in error:', error);
+      res.status(500).json({ error: 'Sign-in failed', details: error.message });
+    }
+  },
+
   /**
    * Store Canvas credentials for a user
    * @param {Object} req - Express request object
@@ -91,16 +173,68 @@ const authController = {
         return res.status(400).json({ error: 'Canvas URL and API key are required' });
       }
 
+      // Check the credentials with Canvas first
+      const check = await verifyCanvasCredentials(canvasUrl, canvasApiKey);
+
       // Store credentials
       await firebaseService.storeCanvasCredentials(uid, {
-        canvasUrl,
-        canvasApiKey
+        canvasUrl: check.canvasUrl,
+        canvasApiKey,
+        canvasUser: check.canvasUser
+      });
+
+      res.json({
+        message: 'Canvas credentials stored successfully',
+        canvasUrl: check.canvasUrl,
+        canvasUser: check.canvasUser
       });
+    } catch (error) {
+      console.error('Error storing Canvas credentials:', error.message);
+      res.status(error.status || 500).json({ error: 'Failed to store Canvas credentials', details: error.message });
+    }
+  },
+
+  /**
+   * Get whether a user's Canvas credentials were valid as of the last check,
+   * checking again with Canvas if ?refresh=true
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getCanvasCredentialStatus: async (req, res) => {
+    try {
+      const { uid } = req.user;
+
+      if (req.query.refresh === 'true') {
+        let credentials = null;
+        try {
+          credentials = await firebaseService.getCanvasCredentials(uid);
+        } catch (credError) {
+          // No credentials to check, the stored status says so
+        }
+
+        if (credentials) {
+          let result;
+          try {
+            result = await canvasService.checkCredentials(credentials);
+          } catch (checkError) {
+            // An expired OAuth grant surfaces as a failed refresh, which is already recorded
+            if (!(checkError instanceof CanvasUnauthorizedError)) {
+              throw checkError;
+            }
+          }
+
+          if (result) {
+            await firebaseService.recordCanvasCredentialStatus(uid, result);
+          }
+        }
+      }
+
+      const status = await firebaseService.getCanvasCredentialStatus(uid);
 
-      res.json({ message: 'Canvas credentials stored successfully' });
+      res.json(status);
     } catch (error) {
-      console.error('Error storing Canvas credentials:', error);
-      res.status(500).json({ error: 'Failed to store Canvas credentials', details: error.message });
+      console.error('Error getting Canvas credential status:', error);
+      res.status(error.statusCode || 500).json({ error: 'Failed to get Canvas credential status', details: error.message });
     }
   },
 
@@ -113,8 +247,8 @@ const authController = {
     try {
       const { uid } = req.user;
 
-      // Get credentials
-      const credentials = await firebaseService.getCanvasCredentials(uid);
+      // Get credentials, with the API key masked
+      const credentials = await firebaseService.getCanvasCredentialsMetadata(uid);
 
       res.json(credentials);
     } catch (error) {
@@ -123,6 +257,367 @@ const authController = {
     }
   },
 
+  /**
+   * List the Canvas instances linked to a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listCanvasAccounts: async (req, res) => {
+    try {
+      const { uid } = req.user;
+
+      const accounts = await firebaseService.listCanvasAccounts(uid);
+
+      res.json(accounts);
+    } catch (error) {
+      console.error('Error listing Canvas accounts:', error);
+      res.status(500).json({ error: 'Failed to list Canvas accounts', details: error.message });
+    }
+  },
+
+  /**
+   * Link another Canvas instance to a user, as the primary one if it is their first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  addCanvasAccount: async (req, res) => {
+    try {
+      const { name, canvasUrl, canvasApiKey } = req.body;
+      const { uid } = req.user;
+
+      if (!name || !canvasUrl || !canvasApiKey) {
+        return res.status(400).json({ error: 'Name, Canvas URL and API key are required' });
+      }
+
+      // Check the credentials with Canvas first
+      const check = await verifyCanvasCredentials(canvasUrl, canvasApiKey);
+      const existing = await firebaseService.listCanvasAccounts(uid);
+
+      let account;
+      if (existing.length === 0) {
+        await firebaseService.storeCanvasCredentials(uid, {
+          name,
+          canvasUrl: check.canvasUrl,
+          canvasApiKey,
+          canvasUser: check.canvasUser
+        });
+        account = await firebaseService.getCanvasAccount(uid, 'primary');
+      } else {
+        account = await firebaseService.addCanvasAccount(uid, {
+          name,
+          canvasUrl: check.canvasUrl,
+          canvasApiKey,
+          canvasUser: check.canvasUser
+        });
+      }
+
+      res.status(201).json(account);
+    } catch (error) {
+      console.error('Error adding Canvas account:', error.message);
+      res.status(error.status || 500).json({ error: 'Failed to add Canvas account', details: error.message });
+    }
+  },
+
+  /**
+   * Get one of the Canvas instances linked to a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getCanvasAccount: async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { accountId } = req.params;
+
+      const account = await firebaseService.getCanvasAccount(uid, accountId);
+
+      if (!account) {
+        return res.status(404).json({ error: 'Canvas account not found' });
+      }
+
+      res.json(account);
+    } catch (error) {
+      console.error('Error getting Canvas account:', error);
+      res.status(500).json({ error: 'Failed to get Canvas account', details: error.message });
+    }
+  },
+
+  /**
+   * Rename a linked Canvas instance or replace its URL and API key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateCanvasAccount: async (req, res) => {
+    try {
+      const { name, canvasUrl, canvasApiKey } = req.body;
+      const { uid } = req.user;
+      const { accountId } = req.params;
+
+      if (!name && !canvasApiKey) {
+        return res.status(400).json({ error: 'Provide a name, or a Canvas URL and API key' });
+      }
+
+      const account = await firebaseService.getCanvasAccount(uid, accountId);
+
+      if (!account) {
+        return res.status(404).json({ error: 'Canvas account not found' });
+      }
+
+      const updates = { name };
+
+      // New keys are checked with Canvas like any other
+      if (canvasApiKey) {
+        const check = await verifyCanvasCredentials(canvasUrl || account.canvasUrl, canvasApiKey);
+        Object.assign(updates, { canvasUrl: check.canvasUrl, canvasApiKey, canvasUser: check.canvasUser });
+      }
+
+      await firebaseService.updateCanvasAccount(uid, accountId, updates);
+
+      res.json(await firebaseService.getCanvasAccount(uid, accountId));
+    } catch (error) {
+      console.error('Error updating Canvas account:', error.message);
+      res.status(error.status || 500).json({ error: 'Failed to update Canvas account', details: error.message });
+    }
+  },
+
+  /**
+   * Unlink a Canvas instance from a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteCanvasAccount: async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { accountId } = req.params;
+
+      // The primary connection is removed by disconnecting it, which also revokes OAuth tokens
+      if (accountId === 'primary') {
+        return res.status(400).json({ error: 'Use POST /auth/canvas/oauth/logout to disconnect the primary Canvas account' });
+      }
+
+      const { credentials } = await firebaseService.getCanvasAccountCredentials(uid, accountId);
+
+      await canvasService.invalidateCache(credentials);
+      await firebaseService.deleteCanvasAccount(uid, accountId);
+
+      res.json({ message: 'Canvas account removed successfully' });
+    } catch (error) {
+      console.error('Error removing Canvas account:', error.message);
+      res.status(error.status || 500).json({ error: 'Failed to remove Canvas account', details: error.message });
+    }
+  },
+
+  /**
+   * Start connecting a Canvas account with OAuth2
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  startCanvasOAuth: async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const requestedUrl = req.query.canvasUrl || env.CANVAS_OAUTH_DEFAULT_URL;
+
+      if (!requestedUrl) {
+        return res.status(400).json({ error: 'Canvas URL is required' });
+      }
+
+      let canvasUrl;
+      try {
+        canvasUrl = normalizeCanvasUrl(requestedUrl);
+      } catch (urlError) {
+        return res.status(400).json({ error: urlError.message });
+      }
+
+      if (!canvasOAuthService.isAllowedCanvasUrl(canvasUrl)) {
+        return res.status(400).json({ error: `Canvas OAuth is not enabled for ${canvasUrl}` });
+      }
+
+      // The client sends the browser to this URL, Canvas redirects back to the callback
+      const result = await canvasOAuthService.startAuthorization(uid, canvasUrl);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error starting Canvas OAuth:', error);
+      res.status(500).json({ error: 'Failed to start Canvas OAuth', details: error.message });
+    }
+  },
+
+  /**
+   * Handle the redirect back from Canvas after the user authorizes us
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  canvasOAuthCallback: async (req, res) => {
+    const { code, state, error } = req.query;
+    const redirectTo = env.CANVAS_OAUTH_SUCCESS_REDIRECT;
+
+    try {
+      if (error || !code || !state) {
+        throw new Error(error || 'Missing code or state');
+      }
+
+      const result = await canvasOAuthService.completeAuthorization(state, code);
+
+      if (redirectTo) {
+        return res.redirect(`${redirectTo}?canvas=connected`);
+      }
+
+      res.json({ message: 'Canvas account connected successfully', canvasUser: result.canvasUser });
+    } catch (callbackError) {
+      console.error('Error completing Canvas OAuth:', callbackError.message);
+
+      if (redirectTo) {
+        return res.redirect(`${redirectTo}?canvas=error`);
+      }
+
+      res.status(400).json({ error: 'Failed to connect Canvas account', details: callbackError.message });
+    }
+  },
+
+  /**
+   * Disconnect a user's Canvas account, revoking the OAuth token with Canvas
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  canvasOAuthLogout: async (req, res) => {
+    try {
+      const { uid } = req.user;
+
+      const result = await canvasOAuthService.logout(uid);
+
+      res.json({
+        message: 'Canvas account disconnected successfully',
+        revoked: result.revoked
+      });
+    } catch (error) {
+      console.error('Error disconnecting Canvas account:', error);
+      res.status(500).json({ error: 'Failed to disconnect Canvas account', details: error.message });
+    }
+  },
+
+  /**
+   * Create a scoped personal API token for scripts and integrations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createApiToken: async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { name, scopes, expiresInDays } = req.body;
+
+      const apiToken = await apiTokenService.createToken(uid, { name, scopes, expiresInDays });
+
+      // The token itself is only shown this once; we only keep its hash
+      res.status(201).json({
+        message: 'API token created successfully. Copy it now, it will not be shown again.',
+        apiToken
+      });
+    } catch (error) {
+      console.error('Error creating API token:', error.message);
+      res.status(error.status || 500).json({ error: 'Failed to create API token', details: error.message });
+    }
+  },
+
+  /**
+   * List a user's personal API tokens
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listApiTokens: async (req, res) => {
+    try {
+      const { uid } = req.user;
+
+      const apiTokens = await apiTokenService.listTokens(uid);
+
+      res.json(apiTokens);
+    } catch (error) {
+      console.error('Error listing API tokens:', error);
+      res.status(500).json({ error: 'Failed to list API tokens', details: error.message });
+    }
+  },
+
+  /**
+   * Revoke one of a user's personal API tokens
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  revokeApiToken: async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { tokenId } = req.params;
+
+      const apiToken = await apiTokenService.revokeToken(uid, tokenId);
+
+      if (!apiToken) {
+        return res.status(404).json({ error: 'API token not found' });
+      }
+
+      res.json({ message: 'API token revoked successfully', apiToken });
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      res.status(500).json({ error: 'Failed to revoke API token', details: error.message });
+    }
+  },
+
+  /**
+   * Delete the signed-in user's account and everything stored about them
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteAccount: async (req, res) => {
+    try {
+      const { uid } = req.user;
+
+      const result = await accountService.deleteAccount(uid);
+
+      res.json({
+        message: 'Account deleted successfully',
+        canvasTokenRevoked: result.revoked,
+        canvasTokens: result.tokens
+      });
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      res.status(500).json({ error: 'Failed to delete account', details: error.message });
+    }
+  },
+
+  /**
+   * Download everything stored about the signed-in user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  exportAccount: async (req, res) => {
+    try {
+      const { uid } = req.user;
+
+      const data = await accountService.exportAccount(uid);
+      const date = data.exportedAt.slice(0, 10);
+
+      res.attachment(`account-export-${date}.json`);
+      res.json(data);
+    } catch (error) {
+      console.error('Error exporting account:', error);
+      res.status(500).json({ error: 'Failed to export account', details: error.message });
+    }
+  },
+
+  /**
+   * Get the state of the background sync for the signed-in user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getSyncStatus: async (req, res) => {
+    try {
+      const { uid } = req.user;
+
+      const status = await syncService.getStatus(uid);
+
+      res.json(status);
+    } catch (error) {
+      console.error('Error getting sync status:', error);
+      res.status(500).json({ error: 'Failed to get sync status', details: error.message });
+    }
+  },
+
   /**
    * Get user's courses
    * @param {Object} req - Express request object
@@ -131,10 +626,13 @@ const authController = {
   getUserCourses: async (req, res) => {
     try {
       const { uid } = req.user;
-      const { status } = req.query;
+      const { status, includeHidden } = req.query;
 
-      // Get courses from Firestore
-      const courses = await firebaseService.getCourses(uid, { status });
+      // Get courses from Firestore, with the user's hidden courses and status overrides applied
+      const courses = await coursePreferenceService.getStoredCourses(uid, {
+        status,
+        includeHidden: includeHidden === 'true'
+      });
 
       res.json(courses);
     } catch (error) {
@@ -155,15 +653,22 @@ const authController = {
       // Get user's Canvas credentials
       const credentials = await firebaseService.getCanvasCredentials(uid);
 
+      // Drop cached responses so the refresh sees the latest data from Canvas
+      await canvasService.invalidateCache(credentials);
+
       // Fetch courses from Canvas
-      const courses = await canvasService.getCourses(credentials);
+      const { items: courses, truncated } = await canvasService.getCourses({ ...credentials, includeConcluded: true, paged: true });
 
       // Store courses in Firestore
-      const result = await firebaseService.storeCourses(uid, courses);
+      const result = await firebaseService.storeCourses(uid, courses, { truncated });
 
       res.json({
         message: 'Courses refreshed successfully',
-        courseCount: result.courseCount
+        courseCount: result.courseCount,
+        added: result.added,
+        updated: result.updated,
+        removed: result.removed,
+        truncated: result.truncated
       });
     } catch (error) {
       console.error('Error refreshing user courses:', error);
@@ -226,10 +731,10 @@ const authController = {
         });
       }
 
-      const courses = await canvasService.getCourses(credentials);
+      const { items: courses, truncated } = await canvasService.getCourses({ ...credentials, includeConcluded: true, paged: true });
 
       // Store courses in Firestore
-      const result = await firebaseService.storeCourses(uid, courses);
+      const result = await firebaseService.storeCourses(uid, courses, { truncated });
 
       res.json({
         message: 'Courses imported successfully',
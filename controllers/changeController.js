@@ -0,0 +1,46 @@
+const firebaseService = require('../services/firebaseService');
+
+// Most changes returned by one request
+const MAX_LIMIT = 500;
+
+/**
+ * Change controller for the feed of changes found by the background sync
+ */
+const changeController = {
+  /**
+   * Get changes recorded after ?since= (an ISO date), oldest first. Clients pass the
+   * returned `since` back on their next request to pick up where they left off.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  getChanges: async (req, res, next) => {
+    try {
+      const { uid } = req.user;
+      const since = req.query.since ? new Date(req.query.since) : null;
+      const limit = Math.min(parseInt(req.query.limit || '100', 10), MAX_LIMIT);
+
+      if (since && isNaN(since.getTime())) {
+        return res.status(400).json({ error: `Invalid since date: ${req.query.since}` });
+      }
+
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: `Invalid limit: ${req.query.limit}` });
+      }
+
+      const changes = await firebaseService.getChanges(uid, { since, limit });
+      const latest = changes.length > 0 ? changes[changes.length - 1].createdAt : since;
+
+      res.json({
+        changes,
+        since: latest ? latest.toISOString() : null,
+        hasMore: changes.length === limit
+      });
+    } catch (error) {
+      console.error('Error fetching changes:', error.message);
+      next(error);
+    }
+  }
+};
+
+module.exports = changeController;
@@ -1,21 +1,22 @@
-const canvasService = require('../services/canvasService');
+const coursePreferenceService = require('../services/coursePreferenceService');
 
 /**
  * Course controller for handling course-related routes
  */
 const courseController = {
   /**
-   * Get all available courses
+   * Get all available courses, leaving out hidden ones unless ?includeHidden=true
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getCourses: async (req, res) => {
+  getCourses: async (req, res, next) => {
     try {
-      const courses = await canvasService.getCourses();
+      const courses = await req.canvas.getCourses({ includeHidden: req.query.includeHidden === 'true' });
       res.json(courses);
     } catch (error) {
       console.error('Error fetching courses:', error.message);
-      res.status(500).json({ error: 'Failed to fetch courses' });
+      next(error);
     }
   },
 
@@ -23,14 +24,77 @@ const courseController = {
    * Get calendar events
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getCalendarEvents: async (req, res) => {
+  getCalendarEvents: async (req, res, next) => {
     try {
-      const events = await canvasService.getCalendarEvents();
+      const events = await req.canvas.getCalendarEvents();
       res.json(events);
     } catch (error) {
       console.error('Error fetching calendar events:', error.message);
-      res.status(500).json({ error: 'Failed to fetch calendar events' });
+      next(error);
+    }
+  },
+
+  /**
+   * Get the user's preferences for each of their courses
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  getCoursePreferences: async (req, res, next) => {
+    try {
+      const preferences = await coursePreferenceService.listPreferences(req.user.uid, req.canvas.forSource(req.canvas.source));
+      res.json(preferences);
+    } catch (error) {
+      console.error('Error fetching course preferences:', error.message);
+      next(error);
+    }
+  },
+
+  /**
+   * Pick up nickname and color changes the user made in Canvas, then return their preferences
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  syncCoursePreferences: async (req, res, next) => {
+    try {
+      const canvas = req.canvas.forSource(req.canvas.source);
+
+      const courses = await canvas.getCourses({ includeTeachers: false, includeTotalScores: false, includeHidden: true });
+      await coursePreferenceService.pullFromCanvas(req.user.uid, canvas, courses);
+
+      const preferences = await coursePreferenceService.listPreferences(req.user.uid, canvas);
+      res.json(preferences);
+    } catch (error) {
+      console.error('Error syncing course preferences:', error.message);
+      next(error);
+    }
+  },
+
+  /**
+   * Hide, pin, override the status of, rename or recolor a course. Nicknames and
+   * colors are saved to Canvas too.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  updateCoursePreferences: async (req, res, next) => {
+    try {
+      const courseId = parseInt(req.params.courseId, 10);
+      const canvas = req.canvas.forSource(req.canvas.source);
+
+      const courses = await canvas.getCourses({ includeTeachers: false, includeTotalScores: false, includeHidden: true });
+      if (!courses.some(course => course.id === courseId)) {
+        return res.status(404).json({ error: `Course ${req.params.courseId} not found` });
+      }
+
+      const preferences = await coursePreferenceService.updatePreferences(req.user.uid, canvas, courseId, req.body || {});
+      res.json(preferences);
+    } catch (error) {
+      console.error('Error updating course preferences:', error.message);
+      next(error);
     }
   }
 };
@@ -1,5 +1,8 @@
-const canvasService = require('../services/canvasService');
 const formatTime = require('../utils/formatTime');
+const { createRequestStats, formatQueueWait } = require('../utils/canvasScheduler');
+const { formatCacheStats } = require('../utils/canvasCache');
+const gradingScaleService = require('../services/gradingScaleService');
+const { sortCourses } = require('../services/coursePreferenceService');
 
 /**
  * Dashboard controller for handling dashboard-related routes
@@ -9,8 +12,9 @@ const dashboardController = {
    * Get combined course data, grades, and assignments in a single request
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getCombinedCourseData: async (req, res) => {
+  getCombinedCourseData: async (req, res, next) => {
     try {
       const startTime = Date.now();
       const timings = {
@@ -18,21 +22,25 @@ const dashboardController = {
         assignments: { start: 0, end: 0, duration: 0, byCourseDuration: {} },
         processing: { start: 0, end: 0, duration: 0 }
       };
+      const requestStats = createRequestStats();
 
       // Create object to store all combined data
       const combinedData = {
         courses: [],
         count: 0,
+        // The student being viewed, when an observer picked one
+        observee: req.canvas.observee,
         timing: {}
       };
 
       // Get all active courses with all necessary parameters in a single request
       // This avoids multiple API calls for the same courses
       timings.courses.start = Date.now();
-      const courses = await canvasService.getCourses({
+      const courses = await req.canvas.getCourses({
         includeTerms: true,
         includeTeachers: true,
-        includeTotalScores: true
+        includeTotalScores: true,
+        stats: requestStats
       });
       timings.courses.end = Date.now();
       timings.courses.duration = timings.courses.end - timings.courses.start;
@@ -56,6 +64,8 @@ const dashboardController = {
         try {
           const courseStartTime = Date.now();
           const courseId = course.id;
+          // The client for the Canvas account this course came from
+          const canvas = req.canvas.forSource(course.source);
 
           // Extract grade information from the course
           const enrollment = course.enrollments ?
@@ -72,18 +82,23 @@ const dashboardController = {
               enrollment.computed_current_score :
               enrollment.computed_final_score) : null;
 
-          const gradeLetter = hasGrade ?
+          const canvasLetter = hasGrade ?
             (enrollment.computed_current_grade !== undefined ?
               enrollment.computed_current_grade :
               enrollment.computed_final_grade) : null;
 
+          // Canvas leaves letters out for courses without a grading standard, so work them out from the scale
+          const gradeLetter = await gradingScaleService.gradeLetterFor(canvas, course, grade, canvasLetter);
+
           // Get assignments for this course with optimized parameters
-          const assignments = await canvasService.getCourseAssignments(courseId, {
+          const { items: assignments, truncated } = await canvas.getCourseAssignments(courseId, {
             includeSubmission: true,
             dueAfter: pastCutoffStr,
             dueBefore: futureCutoffStr,
             orderBy: 'due_at',
-            perPage: 50
+            perPage: 50,
+            paged: true,
+            stats: requestStats
           });
 
           // Add course information to each assignment
@@ -91,7 +106,8 @@ const dashboardController = {
             ...assignment,
             course_name: course.name,
             course_code: course.course_code,
-            course_id: course.id
+            course_id: course.id,
+            source: course.source
           }));
 
           // Sort assignments by due date (ascending)
@@ -115,18 +131,22 @@ const dashboardController = {
             course_code: course.course_code,
             term: course.term ? course.term.name : null,
             teachers: course.teachers || [],
+            source: course.source,
+            preferences: course.preferences,
             grade: {
               score: grade,
               letter: gradeLetter,
               has_grade: hasGrade
             },
-            assignments: assignmentsWithCourseInfo
+            assignments: assignmentsWithCourseInfo,
+            truncated
           };
         } catch (error) {
           console.error(`Error processing data for course ${course.id}:`, error.message);
           timings.assignments.byCourseDuration[course.id] = {
             courseName: course.name,
-            error: error.message
+            error: error.message,
+            code: error.code
           };
 
           // Return basic course info even if there was an error
@@ -136,27 +156,27 @@ const dashboardController = {
             course_code: course.course_code,
             term: course.term ? course.term.name : null,
             teachers: course.teachers || [],
+            source: course.source,
+            preferences: course.preferences,
             grade: { score: null, letter: null, has_grade: false },
             assignments: [],
-            error: error.message
+            error: error.message,
+            code: error.code
           };
         }
       });
 
       // Wait for all promises to resolve
       combinedData.courses = await Promise.all(courseDataPromises);
+      combinedData.truncated = combinedData.courses.some(course => course.truncated);
       timings.assignments.end = Date.now();
       timings.assignments.duration = timings.assignments.end - timings.assignments.start;
 
       // Process and finalize the results
       timings.processing.start = Date.now();
 
-      // Sort courses by name
-      combinedData.courses.sort((a, b) => {
-        if (a.name < b.name) return -1;
-        if (a.name > b.name) return 1;
-        return 0;
-      });
+      // Sort courses by name, keeping pinned ones first
+      sortCourses(combinedData.courses, course => course.name);
 
       // Count total assignments across all courses
       const totalAssignments = combinedData.courses.reduce(
@@ -198,7 +218,9 @@ const dashboardController = {
             durationMs: timings.processing.duration,
             durationSec: (timings.processing.duration / 1000).toFixed(2),
             percentage: ((timings.processing.duration / totalTimeMs) * 100).toFixed(1) + '%'
-          }
+          },
+          queueWait: formatQueueWait(requestStats),
+          cache: formatCacheStats(requestStats)
         }
       };
 
@@ -206,11 +228,7 @@ const dashboardController = {
       res.json(combinedData);
     } catch (error) {
       console.error('Error fetching combined course data:', error.message);
-      res.status(500).json({
-        error: 'Failed to fetch combined course data',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
+      next(error);
     }
   },
 
@@ -219,15 +237,18 @@ const dashboardController = {
    * Get all data for a user
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getAllData: async (req, res) => {
+  getAllData: async (req, res, next) => {
     try {
       // Start the timer
       const startTime = Date.now();
+      const requestStats = createRequestStats();
 
       // Create an object to store all the data
       const allData = {
         user: null,
+        observee: req.canvas.observee,
         courses: [],
         announcements: [],
         calendarEvents: [],
@@ -248,14 +269,14 @@ const dashboardController = {
       // Fetch user info
       try {
         const userStartTime = Date.now();
-        allData.user = await canvasService.getUserInfo();
+        allData.user = await req.canvas.getUserInfo({ stats: requestStats });
         allData.accessibleData.user = true;
         allData.timing.sections.user = {
           timeMs: Date.now() - userStartTime,
           timeSec: ((Date.now() - userStartTime) / 1000).toFixed(2)
         };
       } catch (error) {
-        allData.errors.push({ endpoint: 'user', message: error.message });
+        allData.errors.push({ endpoint: 'user', message: error.message, code: error.code });
         allData.accessibleData.user = false;
       }
 
@@ -263,14 +284,14 @@ const dashboardController = {
       let courses = [];
       try {
         const coursesStartTime = Date.now();
-        courses = await canvasService.getCourses();
+        courses = await req.canvas.getCourses({ stats: requestStats });
         allData.accessibleData.courses = true;
         allData.timing.sections.courses = {
           timeMs: Date.now() - coursesStartTime,
           timeSec: ((Date.now() - coursesStartTime) / 1000).toFixed(2)
         };
       } catch (error) {
-        allData.errors.push({ endpoint: 'courses', message: error.message });
+        allData.errors.push({ endpoint: 'courses', message: error.message, code: error.code });
         allData.accessibleData.courses = false;
       }
 
@@ -281,6 +302,7 @@ const dashboardController = {
           courses.map(async (course) => {
             const courseId = course.id;
             const courseStartTime = Date.now();
+            const canvas = req.canvas.forSource(course.source);
             const courseData = {
               ...course,
               accessibleData: {},
@@ -289,43 +311,47 @@ const dashboardController = {
 
             // Fetch assignments
             try {
-              const assignments = await canvasService.getCourseAssignments(courseId);
-              courseData.assignments = [];
+              const { items: assignments, truncated } = await canvas.getCourseAssignments(courseId, {
+                paged: true,
+                stats: requestStats
+              });
               courseData.accessibleData.assignments = true;
+              courseData.truncated = truncated;
 
-              // Fetch submissions for each assignment - use silentErrors to continue even with 403s
-              if (assignments.length > 0) {
-                for (const assignment of assignments) {
+              // Fetch submissions for all assignments in parallel, the scheduler caps how many run at once
+              courseData.assignments = await Promise.all(
+                assignments.map(async (assignment) => {
                   try {
-                    // Use silentErrors option to prevent console spam for expected 403s
-                    const submissions = await canvasService.getAssignmentSubmissions(courseId, assignment.id);
+                    const submissions = await canvas.getAssignmentSubmissions(courseId, assignment.id, { stats: requestStats });
 
-                    courseData.assignments.push({
+                    return {
                       ...assignment,
                       submissions: Array.isArray(submissions) ? submissions : []
-                    });
+                    };
                   } catch (error) {
                     // Just add the assignment without submissions
-                    courseData.assignments.push({
+                    return {
                       ...assignment,
                       submissions: [],
-                      submissionsError: 'Permission denied'
-                    });
+                      submissionsError: error.code || 'unknown_error'
+                    };
                   }
-                }
-              }
+                })
+              );
             } catch (error) {
               courseData.assignments = [];
               courseData.accessibleData.assignments = false;
+              courseData.assignmentsError = error.code || 'unknown_error';
             }
 
             // Fetch grades
             try {
-              courseData.grades = await canvasService.getCourseSubmissions(courseId);
+              courseData.grades = await canvas.getCourseSubmissions(courseId, { stats: requestStats });
               courseData.accessibleData.grades = true;
             } catch (error) {
               courseData.grades = [];
               courseData.accessibleData.grades = false;
+              courseData.gradesError = error.code || 'unknown_error';
             }
 
             // Add timing information for this course
@@ -350,42 +376,42 @@ const dashboardController = {
       // Fetch announcements
       try {
         const announcementsStartTime = Date.now();
-        allData.announcements = await canvasService.getAnnouncements(courses);
+        allData.announcements = await req.canvas.getAnnouncements(courses, { stats: requestStats });
         allData.accessibleData.announcements = true;
         allData.timing.sections.announcements = {
           timeMs: Date.now() - announcementsStartTime,
           timeSec: ((Date.now() - announcementsStartTime) / 1000).toFixed(2)
         };
       } catch (error) {
-        allData.errors.push({ endpoint: 'announcements', message: error.message });
+        allData.errors.push({ endpoint: 'announcements', message: error.message, code: error.code });
         allData.accessibleData.announcements = false;
       }
 
       // Fetch calendar events
       try {
         const calendarStartTime = Date.now();
-        allData.calendarEvents = await canvasService.getCalendarEvents();
+        allData.calendarEvents = await req.canvas.getCalendarEvents({ stats: requestStats });
         allData.accessibleData.calendarEvents = true;
         allData.timing.sections.calendarEvents = {
           timeMs: Date.now() - calendarStartTime,
           timeSec: ((Date.now() - calendarStartTime) / 1000).toFixed(2)
         };
       } catch (error) {
-        allData.errors.push({ endpoint: 'calendarEvents', message: error.message });
+        allData.errors.push({ endpoint: 'calendarEvents', message: error.message, code: error.code });
         allData.accessibleData.calendarEvents = false;
       }
 
       // Fetch todo items
       try {
         const todoStartTime = Date.now();
-        allData.todo = await canvasService.getTodoItems();
+        allData.todo = await req.canvas.getTodoItems({ stats: requestStats });
         allData.accessibleData.todo = true;
         allData.timing.sections.todo = {
           timeMs: Date.now() - todoStartTime,
           timeSec: ((Date.now() - todoStartTime) / 1000).toFixed(2)
         };
       } catch (error) {
-        allData.errors.push({ endpoint: 'todo', message: error.message });
+        allData.errors.push({ endpoint: 'todo', message: error.message, code: error.code });
         allData.accessibleData.todo = false;
       }
 
@@ -395,28 +421,14 @@ const dashboardController = {
       allData.timing.totalTimeMs = endTime - startTime;
       allData.timing.totalTimeSec = (allData.timing.totalTimeMs / 1000).toFixed(2);
       allData.timing.totalTimeFormatted = formatTime(allData.timing.totalTimeMs);
+      allData.timing.sections.queueWait = formatQueueWait(requestStats);
+      allData.timing.sections.cache = formatCacheStats(requestStats);
       allData.timestamp = new Date().toISOString();
 
       res.json(allData);
     } catch (error) {
       console.error('Error fetching all data:', error.message);
-
-      // Calculate time even for errors
-      const endTime = Date.now();
-      const totalTimeMs = endTime - startTime;
-
-      res.status(500).json({
-        error: 'Failed to fetch all data',
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        timing: {
-          startTime: new Date(startTime).toISOString(),
-          endTime: new Date(endTime).toISOString(),
-          totalTimeMs: totalTimeMs,
-          totalTimeSec: (totalTimeMs / 1000).toFixed(2),
-          totalTimeFormatted: formatTime(totalTimeMs)
-        }
-      });
+      next(error);
     }
   }
 };
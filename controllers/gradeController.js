@@ -1,29 +1,42 @@
-const canvasService = require('../services/canvasService');
 const formatTime = require('../utils/formatTime');
+const { createRequestStats, formatQueueWait } = require('../utils/canvasScheduler');
+const { formatCacheStats } = require('../utils/canvasCache');
+const gradeHistoryService = require('../services/gradeHistoryService');
+const gradeCalculatorService = require('../services/gradeCalculatorService');
+const gradingScaleService = require('../services/gradingScaleService');
+const termService = require('../services/termService');
+const { sortCourses } = require('../services/coursePreferenceService');
 
 /**
  * Grade controller for handling grade-related routes
  */
 const gradeController = {
   /**
-   * Get user grades across all courses (detailed version)
+   * Get user grades across all courses (detailed version). The response stays a plain
+   * array, so the timing is reported in a Server-Timing header.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getGrades: async (req, res) => {
+  getGrades: async (req, res, next) => {
     try {
+      const startTime = Date.now();
+      const requestStats = createRequestStats();
+
       // First get all courses
-      const courses = await canvasService.getCourses();
+      const courses = await req.canvas.getCourses({ stats: requestStats });
 
       // Then get grades for each course
       const gradesPromises = courses.map(async (course) => {
         try {
-          const submissions = await canvasService.getCourseSubmissions(course.id);
+          const submissions = await req.canvas.forSource(course.source).getCourseSubmissions(course.id, { stats: requestStats });
           return {
             course_id: course.id,
             course_name: course.name,
             course_code: course.course_code,
             term: course.term ? course.term.name : null,
+            source: course.source,
+            preferences: course.preferences,
             submissions: Array.isArray(submissions) ? submissions : []
           };
         } catch (error) {
@@ -32,17 +45,23 @@ const gradeController = {
             course_name: course.name,
             course_code: course.course_code,
             term: course.term ? course.term.name : null,
+            source: course.source,
+            preferences: course.preferences,
             submissions: [],
-            error: error.message
+            error: error.message,
+            code: error.code
           };
         }
       });
 
       const grades = await Promise.all(gradesPromises);
+
+      const queueWait = formatQueueWait(requestStats);
+      res.set('Server-Timing', `total;dur=${Date.now() - startTime}, queue;desc="Canvas queue wait";dur=${queueWait.totalWaitMs}`);
       res.json(grades);
     } catch (error) {
       console.error('Error fetching grades:', error.message);
-      res.status(500).json({ error: 'Failed to fetch grades' });
+      next(error);
     }
   },
 
@@ -50,20 +69,22 @@ const gradeController = {
    * Get current term grades only (fast endpoint)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getCurrentTermGrades: async (req, res) => {
+  getCurrentTermGrades: async (req, res, next) => {
     try {
       const startTime = Date.now();
       const timings = {
         courses: { start: 0, end: 0, duration: 0 },
         processing: { start: 0, end: 0, duration: 0 }
       };
+      const requestStats = createRequestStats();
 
       // Get all active courses with the correct parameters for grades
       timings.courses.start = Date.now();
 
-      // We need to include total_scores to get the grades and enrollment_term to filter by current term
-      const courses = await canvasService.getCourses();
+      // We need to include total_scores to get the grades, and the term and sections to find the current term
+      const courses = await req.canvas.getCourses({ includeSections: true, stats: requestStats });
 
       timings.courses.end = Date.now();
       timings.courses.duration = timings.courses.end - timings.courses.start;
@@ -71,32 +92,12 @@ const gradeController = {
       // Process grades
       timings.processing.start = Date.now();
 
-      // Get the current date to determine current term
-      const now = new Date();
-      const currentMonth = now.getMonth(); // 0-11
-
-      // Determine current term based on month
-      // Spring: January-May (0-4), Summer: June-July (5-6), Fall: August-December (7-11)
-      let currentTermPattern;
-      if (currentMonth >= 0 && currentMonth <= 4) {
-        currentTermPattern = /spring|sp/i;
-      } else if (currentMonth >= 5 && currentMonth <= 6) {
-        currentTermPattern = /summer|su/i;
-      } else {
-        currentTermPattern = /fall|fa/i;
-      }
-
-      // Filter courses to only include those from the current term
-      const currentTermCourses = courses.filter(course => {
-        // Check if the course has a term
-        if (!course.term) return false;
-
-        // Check if the term name matches the current term pattern
-        return currentTermPattern.test(course.term.name);
-      });
+      // Keep courses running now, going by their term, course or section dates
+      const currentTermCourses = termService.coursesInTerm(courses, 'current');
+      const currentTerms = termService.getTerms(currentTermCourses);
 
       // Extract just the grade information from each course
-      const gradesData = currentTermCourses.map(course => {
+      const gradesData = await Promise.all(currentTermCourses.map(async course => {
         // Find the student enrollment (if any)
         const enrollment = course.enrollments ?
           course.enrollments.find(e => e.type === 'student') : null;
@@ -112,11 +113,14 @@ const gradeController = {
             enrollment.computed_current_score :
             enrollment.computed_final_score) : null;
 
-        const gradeLetter = hasGrade ?
+        const canvasLetter = hasGrade ?
           (enrollment.computed_current_grade !== undefined ?
             enrollment.computed_current_grade :
             enrollment.computed_final_grade) : null;
 
+        // Canvas leaves letters out for courses without a grading standard, so work them out from the scale
+        const gradeLetter = await gradingScaleService.gradeLetterFor(req.canvas.forSource(course.source), course, grade, canvasLetter);
+
         return {
           course_id: course.id,
           course_name: course.name,
@@ -124,16 +128,14 @@ const gradeController = {
           grade: grade,
           grade_letter: gradeLetter,
           term: course.term ? course.term.name : null,
-          enrollment_type: enrollment ? enrollment.type : null
+          enrollment_type: enrollment ? enrollment.type : null,
+          source: course.source,
+          preferences: course.preferences
         };
-      });
+      }));
 
-      // Sort by course name
-      gradesData.sort((a, b) => {
-        if (a.course_name < b.course_name) return -1;
-        if (a.course_name > b.course_name) return 1;
-        return 0;
-      });
+      // Sort by course name, keeping pinned courses first
+      sortCourses(gradesData, course => course.course_name);
 
       timings.processing.end = Date.now();
       timings.processing.duration = timings.processing.end - timings.processing.start;
@@ -146,7 +148,8 @@ const gradeController = {
       res.json({
         grades: gradesData,
         count: gradesData.length,
-        current_term: currentTermPattern.toString().replace(/\//g, ''),
+        current_term: currentTerms.map(term => term.name).join(', ') || null,
+        current_terms: currentTerms,
         timing: {
           startTime: new Date(startTime).toISOString(),
           endTime: new Date(endTime).toISOString(),
@@ -163,17 +166,15 @@ const gradeController = {
               durationMs: timings.processing.duration,
               durationSec: (timings.processing.duration / 1000).toFixed(2),
               percentage: ((timings.processing.duration / totalTimeMs) * 100).toFixed(1) + '%'
-            }
+            },
+            queueWait: formatQueueWait(requestStats),
+            cache: formatCacheStats(requestStats)
           }
         }
       });
     } catch (error) {
       console.error('Error fetching current term grades:', error.message);
-      res.status(500).json({
-        error: 'Failed to fetch current term grades',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
+      next(error);
     }
   },
 
@@ -181,20 +182,22 @@ const gradeController = {
    * Get current grades for all courses (fast endpoint)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getCurrentGrades: async (req, res) => {
+  getCurrentGrades: async (req, res, next) => {
     try {
       const startTime = Date.now();
       const timings = {
         courses: { start: 0, end: 0, duration: 0 },
         processing: { start: 0, end: 0, duration: 0 }
       };
+      const requestStats = createRequestStats();
 
       // Get all active courses with the correct parameters for grades
       timings.courses.start = Date.now();
 
       // We need to include total_scores to get the grades
-      const courses = await canvasService.getCourses();
+      const courses = await req.canvas.getCourses({ stats: requestStats });
 
       timings.courses.end = Date.now();
       timings.courses.duration = timings.courses.end - timings.courses.start;
@@ -203,9 +206,9 @@ const gradeController = {
       timings.processing.start = Date.now();
 
       // Extract just the grade information from each course
-      const gradesData = courses
+      const gradesData = await Promise.all(courses
         .filter(course => course.enrollments && course.enrollments.length > 0)
-        .map(course => {
+        .map(async course => {
           // Find the student enrollment (if any)
           const enrollment = course.enrollments ?
             course.enrollments.find(e => e.type === 'student') : null;
@@ -221,11 +224,14 @@ const gradeController = {
               enrollment.computed_current_score :
               enrollment.computed_final_score) : null;
 
-          const gradeLetter = hasGrade ?
+          const canvasLetter = hasGrade ?
             (enrollment.computed_current_grade !== undefined ?
               enrollment.computed_current_grade :
               enrollment.computed_final_grade) : null;
 
+          // Canvas leaves letters out for courses without a grading standard, so work them out from the scale
+          const gradeLetter = await gradingScaleService.gradeLetterFor(req.canvas.forSource(course.source), course, grade, canvasLetter);
+
           return {
             course_id: course.id,
             course_name: course.name,
@@ -233,16 +239,14 @@ const gradeController = {
             grade: grade,
             grade_letter: gradeLetter,
             term: course.term ? course.term.name : null,
-            enrollment_type: enrollment ? enrollment.type : null
+            enrollment_type: enrollment ? enrollment.type : null,
+            source: course.source,
+            preferences: course.preferences
           };
-        });
+        }));
 
-      // Sort by course name
-      gradesData.sort((a, b) => {
-        if (a.course_name < b.course_name) return -1;
-        if (a.course_name > b.course_name) return 1;
-        return 0;
-      });
+      // Sort by course name, keeping pinned courses first
+      sortCourses(gradesData, course => course.course_name);
 
       timings.processing.end = Date.now();
       timings.processing.duration = timings.processing.end - timings.processing.start;
@@ -271,17 +275,204 @@ const gradeController = {
               durationMs: timings.processing.duration,
               durationSec: (timings.processing.duration / 1000).toFixed(2),
               percentage: ((timings.processing.duration / totalTimeMs) * 100).toFixed(1) + '%'
-            }
+            },
+            queueWait: formatQueueWait(requestStats),
+            cache: formatCacheStats(requestStats)
           }
         }
       });
     } catch (error) {
       console.error('Error fetching current grades:', error.message);
-      res.status(500).json({
-        error: 'Failed to fetch current grades',
-        details: error.message,
-        timestamp: new Date().toISOString()
+      next(error);
+    }
+  },
+
+  /**
+   * Get a course's grade timeline, snapshotting the current grade first if it changed.
+   * Each snapshot lists the graded submissions that caused it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  getGradeHistory: async (req, res, next) => {
+    try {
+      const { uid } = req.user;
+      const courseId = parseInt(req.params.courseId, 10);
+
+      // The course list carries the total scores, and is usually cached
+      const courses = await req.canvas.getCourses({ includeTeachers: false });
+      const course = courses.find(candidate => candidate.id === courseId);
+
+      if (!course) {
+        return res.status(404).json({ error: `Course ${req.params.courseId} not found` });
+      }
+
+      const [submissions, assignments] = await Promise.all([
+        req.canvas.getCourseSubmissions(courseId),
+        req.canvas.getCourseAssignments(courseId)
+      ]);
+
+      const key = gradeHistoryService.historyKey(req.canvas.source, req.canvas.observee, courseId);
+      const assignmentNames = new Map(assignments.map(assignment => [assignment.id, assignment.name]));
+
+      await gradeHistoryService.recordSnapshot(uid, key, course, submissions, assignmentNames);
+      const history = await gradeHistoryService.getHistory(uid, key);
+
+      res.json({
+        course_id: course.id,
+        course_name: course.name,
+        current: gradeHistoryService.scoresFromCourse(course),
+        history
       });
+    } catch (error) {
+      console.error('Error fetching grade history:', error.message);
+      next(error);
+    }
+  },
+
+  /**
+   * Work out what a course grade would be with hypothetical scores. The body is
+   * { scores: [{ assignmentId, score }] }, each score in points; the result also
+   * carries Canvas's own scores and the engine's, so they can be compared.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  calculateWhatIf: async (req, res, next) => {
+    try {
+      const courseId = parseInt(req.params.courseId, 10);
+      const scores = (req.body && req.body.scores) || [];
+
+      if (!Array.isArray(scores)) {
+        return res.status(400).json({ error: 'scores must be an array of { assignmentId, score }' });
+      }
+
+      const invalid = scores.find(entry => !entry || entry.assignmentId === undefined ||
+        typeof entry.score !== 'number' || !Number.isFinite(entry.score) || entry.score < 0);
+
+      if (invalid) {
+        return res.status(400).json({ error: 'Each score needs an assignmentId and a score of 0 or more points' });
+      }
+
+      const [course, assignmentGroups, submissions] = await Promise.all([
+        req.canvas.getCourse(courseId),
+        req.canvas.getAssignmentGroups(courseId),
+        req.canvas.getCourseSubmissions(courseId)
+      ]);
+
+      const assignmentIds = new Set(assignmentGroups.flatMap(group =>
+        (group.assignments || []).map(assignment => String(assignment.id))));
+      const unknown = scores.find(entry => !assignmentIds.has(String(entry.assignmentId)));
+
+      if (unknown) {
+        return res.status(400).json({ error: `Assignment ${unknown.assignmentId} is not in course ${courseId}` });
+      }
+
+      const { actual, whatIf } = gradeCalculatorService.whatIf({
+        assignmentGroups,
+        submissions: Array.isArray(submissions) ? submissions : [],
+        applyGroupWeights: !!course.apply_assignment_group_weights
+      }, scores);
+
+      const canvasScores = gradeHistoryService.scoresFromCourse(course);
+
+      res.json({
+        course_id: course.id,
+        course_name: course.name,
+        apply_assignment_group_weights: !!course.apply_assignment_group_weights,
+        canvas: canvasScores && { currentScore: canvasScores.currentScore, finalScore: canvasScores.finalScore },
+        calculated: { currentScore: actual.currentScore, finalScore: actual.finalScore },
+        what_if: whatIf,
+        scores
+      });
+    } catch (error) {
+      console.error('Error calculating what-if grade:', error.message);
+      next(error);
+    }
+  },
+
+  /**
+   * Work out the average needed on a course's remaining work to finish with a target letter grade
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  getTargetGrade: async (req, res, next) => {
+    try {
+      const courseId = parseInt(req.params.courseId, 10);
+      const gradeName = req.query.grade;
+
+      if (!gradeName || typeof gradeName !== 'string') {
+        return res.status(400).json({ error: 'grade is required, e.g. ?grade=B%2B' });
+      }
+
+      const [course, assignmentGroups, submissions] = await Promise.all([
+        req.canvas.getCourse(courseId),
+        req.canvas.getAssignmentGroups(courseId),
+        req.canvas.getCourseSubmissions(courseId)
+      ]);
+
+      const scale = await gradingScaleService.getScale(req.canvas, course);
+      const target = gradingScaleService.findGrade(scale, gradeName);
+
+      if (!target) {
+        return res.status(400).json({
+          error: `${gradeName} is not a grade on this course's scale`,
+          grades: scale.grades.map(grade => grade.name)
+        });
+      }
+
+      const needed = gradeCalculatorService.scoreNeeded({
+        assignmentGroups,
+        submissions: Array.isArray(submissions) ? submissions : [],
+        applyGroupWeights: !!course.apply_assignment_group_weights
+      }, target.minimumScore);
+
+      res.json({
+        course_id: course.id,
+        course_name: course.name,
+        target: { grade: target.name, minimumScore: target.minimumScore },
+        scale: { id: scale.id, title: scale.title, source: scale.source },
+        calculated: { currentScore: needed.currentScore, finalScore: needed.finalScore },
+        remaining: { assignments: needed.remainingAssignments, pointsPossible: needed.remainingPossible },
+        reachable: needed.reachable,
+        secured: needed.secured,
+        required_average: needed.requiredAverage,
+        maximum_score: needed.maximumScore,
+        groups: needed.groups
+      });
+    } catch (error) {
+      console.error('Error working out target grade:', error.message);
+      next(error);
+    }
+  },
+
+  /**
+   * Get the letter-grade scale a course grades against, with the student's current letter on it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  getGradingScale: async (req, res, next) => {
+    try {
+      const courseId = parseInt(req.params.courseId, 10);
+      const course = await req.canvas.getCourse(courseId);
+      const scale = await gradingScaleService.getScale(req.canvas, course);
+      const scores = gradeHistoryService.scoresFromCourse(course);
+
+      res.json({
+        course_id: course.id,
+        course_name: course.name,
+        scale,
+        current: scores && {
+          score: scores.currentScore,
+          grade: scores.currentGrade ?? gradingScaleService.letterFor(scale, scores.currentScore),
+          derived: !scores.currentGrade && scores.currentScore !== null
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching grading scale:', error.message);
+      next(error);
     }
   }
 };
@@ -1,31 +1,70 @@
-const canvasService = require('../services/canvasService');
+const termService = require('../services/termService');
+const gradingScaleService = require('../services/gradingScaleService');
 const formatTime = require('../utils/formatTime');
+const { createRequestStats, formatQueueWait } = require('../utils/canvasScheduler');
+const { formatCacheStats } = require('../utils/canvasCache');
 
 /**
- * Controller for Spring 2025 courses
+ * Controller for enrollment terms
  */
-const springCoursesController = {
+const termController = {
   /**
-   * Get assignments and grades for Spring 2025 courses
+   * Get the user's terms with their dates and whether they are past, current or future
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getSpring2025CourseData: async (req, res) => {
+  getTerms: async (req, res, next) => {
     try {
+      // Concluded courses are the only trace of most past terms
+      const courses = await req.canvas.getCourses({
+        includeTeachers: false,
+        includeTotalScores: false,
+        includeSections: true,
+        includeConcluded: true
+      });
+
+      const terms = termService.getTerms(courses);
+
+      res.json({
+        terms,
+        current: terms.filter(term => term.status === 'current').map(term => term.id)
+      });
+    } catch (error) {
+      console.error('Error fetching terms:', error.message);
+      next(error);
+    }
+  },
+
+  /**
+   * Get assignments and grades for the courses in a term. termId is a Canvas
+   * enrollment term ID, or 'current', 'past' or 'future'.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  getTermCourses: async (req, res, next) => {
+    try {
+      const { termId } = req.params;
       const startTime = Date.now();
       const timings = {
         courses: { start: 0, end: 0, duration: 0 },
         assignments: { start: 0, end: 0, duration: 0 },
         processing: { start: 0, end: 0, duration: 0 }
       };
+      const requestStats = createRequestStats();
 
-      // Get Spring 2025 courses with all necessary parameters
+      // Get the term's courses with all necessary parameters, concluded ones included for past terms
       timings.courses.start = Date.now();
-      const courses = await canvasService.getSpring2025Courses({
+      const allCourses = await req.canvas.getCourses({
         includeTerms: true,
         includeTeachers: true,
-        includeTotalScores: true
+        includeTotalScores: true,
+        includeSections: true,
+        includeConcluded: true,
+        stats: requestStats
       });
+      const courses = termService.coursesInTerm(allCourses, termId);
       timings.courses.end = Date.now();
       timings.courses.duration = timings.courses.end - timings.courses.start;
 
@@ -40,7 +79,7 @@ const springCoursesController = {
             totalTimeSec: ((endTime - startTime) / 1000).toFixed(2),
             sections: timings
           },
-          error: 'No Spring 2025 courses found'
+          error: `No courses found for term ${termId}`
         });
       }
 
@@ -78,18 +117,23 @@ const springCoursesController = {
               enrollment.computed_current_score :
               enrollment.computed_final_score) : null;
 
-          const gradeLetter = hasGrade ?
+          const canvasLetter = hasGrade ?
             (enrollment.computed_current_grade !== undefined ?
               enrollment.computed_current_grade :
               enrollment.computed_final_grade) : null;
 
+          // Canvas leaves letters out for courses without a grading standard, so work them out from the scale
+          const gradeLetter = await gradingScaleService.gradeLetterFor(req.canvas.forSource(course.source), course, grade, canvasLetter);
+
           // Get assignments for this course with optimized parameters
-          const assignments = await canvasService.getCourseAssignments(courseId, {
+          const { items: assignments, truncated } = await req.canvas.forSource(course.source).getCourseAssignments(courseId, {
             includeSubmission: true,
             dueAfter: pastCutoffStr,
             dueBefore: futureCutoffStr,
             orderBy: 'due_at',
-            perPage: 100
+            perPage: 100,
+            paged: true,
+            stats: requestStats
           });
 
           // Add course information to each assignment
@@ -106,9 +150,13 @@ const springCoursesController = {
             course_name: course.name,
             course_code: course.course_code,
             term: course.term ? course.term.name : null,
+            status: termService.courseStatus(course),
+            source: course.source,
+            preferences: course.preferences,
             grade: grade,
             grade_letter: gradeLetter,
             assignments: assignmentsWithCourseInfo,
+            truncated,
             timing: {
               courseTimeMs: Date.now() - courseStartTime
             }
@@ -120,7 +168,10 @@ const springCoursesController = {
             course_name: course.name,
             course_code: course.course_code,
             term: course.term ? course.term.name : null,
-            error: error.message
+            source: course.source,
+            preferences: course.preferences,
+            error: error.message,
+            code: error.code
           };
         }
       });
@@ -159,18 +210,21 @@ const springCoursesController = {
       res.json({
         courses: courseData,
         assignments: allAssignments,
+        truncated: courseData.some(course => course.truncated),
         timing: {
           totalTimeMs,
           totalTimeSec: (totalTimeMs / 1000).toFixed(2),
           formattedTime: formatTime(totalTimeMs),
-          sections: timings
+          sections: timings,
+          queueWait: formatQueueWait(requestStats),
+          cache: formatCacheStats(requestStats)
         }
       });
     } catch (error) {
-      console.error('Error fetching Spring 2025 course data:', error.message);
-      res.status(500).json({ error: 'Failed to fetch Spring 2025 course data' });
+      console.error('Error fetching term course data:', error.message);
+      next(error);
     }
   }
 };
 
-module.exports = springCoursesController;
+module.exports = termController;
@@ -1,6 +1,7 @@
-const canvasService = require('../services/canvasService');
-const firebaseService = require('../services/firebaseService');
 const formatTime = require('../utils/formatTime');
+const { createRequestStats, formatQueueWait } = require('../utils/canvasScheduler');
+const { formatCacheStats } = require('../utils/canvasCache');
+const gradingScaleService = require('../services/gradingScaleService');
 
 /**
  * Controller for two-stage data fetching
@@ -13,11 +14,11 @@ const twoStageController = {
    *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getTwoStageData: async (req, res) => {
+  getTwoStageData: async (req, res, next) => {
     try {
       const startTime = Date.now();
-      const { uid } = req.user;
 
       const timings = {
         stage1: {
@@ -30,40 +31,18 @@ const twoStageController = {
         stage2: { start: 0, end: 0, duration: 0 },
         processing: { start: 0, end: 0, duration: 0 }
       };
-
-      // Get user's Canvas credentials
-      let credentials;
-      try {
-        credentials = await firebaseService.getCanvasCredentials(uid);
-      } catch (credError) {
-        console.log('Canvas credentials not found, returning empty response');
-        // Return a 200 response with empty data and an error message
-        return res.json({
-          stage: 'complete',
-          courses: [],
-          announcements: [],
-          assignments: [],
-          timing: {
-            totalTimeMs: Date.now() - startTime,
-            totalTimeSec: ((Date.now() - startTime) / 1000).toFixed(2),
-            formattedTime: formatTime(Date.now() - startTime),
-            sections: timings
-          },
-          error: 'Canvas credentials not found. Please set up your Canvas credentials.'
-        });
-      }
+      const requestStats = createRequestStats();
 
       // Stage 1: Get current courses and announcements
       timings.stage1.start = Date.now();
 
       // Get courses
       timings.stage1.courses.start = Date.now();
-      const courses = await canvasService.getCurrentCourses({
+      const courses = await req.canvas.getCurrentCourses({
         includeTerms: true,
         includeTeachers: true,
         includeTotalScores: true,
-        uid,
-        ...credentials
+        stats: requestStats
       });
       timings.stage1.courses.end = Date.now();
       timings.stage1.courses.duration = timings.stage1.courses.end - timings.stage1.courses.start;
@@ -72,10 +51,10 @@ const twoStageController = {
       timings.stage1.announcements.start = Date.now();
       let announcements = [];
       if (courses && courses.length > 0) {
-        announcements = await canvasService.getAnnouncements(courses, {
+        announcements = await req.canvas.getAnnouncements(courses, {
           latestOnly: false,
           startDate: '2023-01-01',
-          ...credentials
+          stats: requestStats
         });
 
         // Sort announcements by posted date (newest first)
@@ -103,12 +82,12 @@ const twoStageController = {
             formattedTime: formatTime(endTime - startTime),
             sections: timings
           },
-          error: 'No Spring 2025 courses found'
+          error: 'No current courses found'
         });
       }
 
       // Process course data to include grade information
-      const processedCourses = courses.map(course => {
+      const processedCourses = await Promise.all(courses.map(async course => {
         // Find enrollment with current grade
         const enrollment = course.enrollments && course.enrollments.find(
           e => e.type === 'student' && (e.computed_current_score || e.computed_final_score)
@@ -125,11 +104,14 @@ const twoStageController = {
             enrollment.computed_current_score :
             enrollment.computed_final_score) : null;
 
-        const gradeLetter = hasGrade ?
+        const canvasLetter = hasGrade ?
           (enrollment.computed_current_grade !== undefined ?
             enrollment.computed_current_grade :
             enrollment.computed_final_grade) : null;
 
+        // Canvas leaves letters out for courses without a grading standard, so work them out from the scale
+        const gradeLetter = await gradingScaleService.gradeLetterFor(req.canvas.forSource(course.source), course, grade, canvasLetter);
+
         return {
           id: course.id,
           name: course.name,
@@ -137,9 +119,10 @@ const twoStageController = {
           term: course.term ? course.term.name : null,
           grade: grade,
           grade_letter: gradeLetter,
-          teachers: course.teachers || []
+          teachers: course.teachers || [],
+          preferences: course.preferences
         };
-      });
+      }));
 
       // Stage 2: Get assignments for each course
       timings.stage2.start = Date.now();
@@ -162,13 +145,14 @@ const twoStageController = {
           const courseId = course.id;
 
           // Get assignments for this course with optimized parameters
-          const assignments = await canvasService.getCourseAssignments(courseId, {
+          const { items: assignments, truncated } = await req.canvas.getCourseAssignments(courseId, {
             includeSubmission: true,
             dueAfter: pastCutoffStr,
             dueBefore: futureCutoffStr,
             orderBy: 'due_at',
             perPage: 100,
-            ...credentials
+            paged: true,
+            stats: requestStats
           });
 
           // Add course information to each assignment
@@ -184,6 +168,7 @@ const twoStageController = {
             course_name: course.name,
             course_code: course.course_code,
             assignments: assignmentsWithCourseInfo,
+            truncated,
             timing: {
               courseTimeMs: Date.now() - courseStartTime
             }
@@ -194,7 +179,8 @@ const twoStageController = {
             course_id: course.id,
             course_name: course.name,
             course_code: course.course_code,
-            error: error.message
+            error: error.message,
+            code: error.code
           };
         }
       });
@@ -236,30 +222,19 @@ const twoStageController = {
         announcements: announcements,
         courseAssignments: courseAssignmentData,
         assignments: allAssignments,
+        truncated: courseAssignmentData.some(course => course.truncated),
         timing: {
           totalTimeMs,
           totalTimeSec: (totalTimeMs / 1000).toFixed(2),
           formattedTime: formatTime(totalTimeMs),
-          sections: timings
+          sections: timings,
+          queueWait: formatQueueWait(requestStats),
+          cache: formatCacheStats(requestStats)
         }
       });
     } catch (error) {
       console.error('Error in two-stage data fetching:', error.message);
-
-      // Return a more user-friendly error message with 200 status
-      res.json({
-        stage: 'error',
-        courses: [],
-        announcements: [],
-        assignments: [],
-        timing: {
-          totalTimeMs: 0,
-          totalTimeSec: "0.00",
-          formattedTime: "0s",
-          sections: {}
-        },
-        error: error.message || 'Failed to fetch data'
-      });
+      next(error);
     }
   }
 };
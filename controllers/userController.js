@@ -1,6 +1,3 @@
-const canvasService = require('../services/canvasService');
-const firebaseService = require('../services/firebaseService');
-
 /**
  * User controller for handling user-related routes
  */
@@ -9,41 +6,50 @@ const userController = {
    * Get current user info
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getCurrentUser: async (req, res) => {
+  getCurrentUser: async (req, res, next) => {
     try {
-      const { uid } = req.user;
-
-      // Get user's Canvas credentials
-      const credentials = await firebaseService.getCanvasCredentials(uid);
-
       // Get user info from Canvas
-      const userData = await canvasService.getUserInfo(credentials);
+      const userData = await req.canvas.getUserInfo();
       res.json(userData);
     } catch (error) {
       console.error('Error fetching user data:', error.message);
-      res.status(500).json({ error: 'Failed to fetch user data' });
+      next(error);
     }
   },
 
   /**
-   * Get user's todo items
+   * Get the students the current user observes in Canvas
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  getTodoItems: async (req, res) => {
+  getObservees: async (req, res, next) => {
     try {
-      const { uid } = req.user;
-
-      // Get user's Canvas credentials
-      const credentials = await firebaseService.getCanvasCredentials(uid);
+      // Pass one of these IDs as ?observee= to read that student's grades, assignments and to-dos
+      const observees = await req.canvas.getObservees();
+      res.json(observees);
+    } catch (error) {
+      console.error('Error fetching observees:', error.message);
+      next(error);
+    }
+  },
 
+  /**
+   * Get user's todo items
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  getTodoItems: async (req, res, next) => {
+    try {
       // Get todo items from Canvas
-      const todo = await canvasService.getTodoItems(credentials);
+      const todo = await req.canvas.getTodoItems();
       res.json(todo);
     } catch (error) {
       console.error('Error fetching todo items:', error.message);
-      res.status(500).json({ error: 'Failed to fetch todo items' });
+      next(error);
     }
   }
 };
@@ -0,0 +1,260 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Deterministic pseudo-random number between 0 and 1 for a seed
+ * @param {number} seed - Seed value
+ * @returns {number} Pseudo-random number
+ */
+function seeded(seed) {
+  const x = Math.sin(seed) * 10000;
+  return x - Math.floor(x);
+}
+
+/**
+ * Name a term after the season it starts in
+ * @param {Date} start - Term start date
+ * @returns {string} Term name, e.g. "Fall 2026"
+ */
+function termName(start) {
+  const month = start.getMonth();
+  const season = month <= 4 ? 'Spring' : month <= 6 ? 'Summer' : 'Fall';
+  return `${season} ${start.getFullYear()}`;
+}
+
+// The grading standard the fake courses grade against, highest grade first
+const DEPARTMENT_SCHEME = [
+  { name: 'A', value: 0.93 },
+  { name: 'A-', value: 0.9 },
+  { name: 'B+', value: 0.87 },
+  { name: 'B', value: 0.83 },
+  { name: 'B-', value: 0.8 },
+  { name: 'C+', value: 0.77 },
+  { name: 'C', value: 0.73 },
+  { name: 'C-', value: 0.7 },
+  { name: 'D', value: 0.6 },
+  { name: 'F', value: 0 }
+];
+
+/**
+ * Convert a percentage into a letter grade
+ * @param {number} score - Percentage score
+ * @returns {string} Letter grade
+ */
+function letterFor(score) {
+  return DEPARTMENT_SCHEME.find(entry => score >= entry.value * 100).name;
+}
+
+/**
+ * Work out a course total the way Canvas does for the fake data: each group drops its
+ * lowest scores (trying every choice), then groups are weighted or their points summed.
+ * Ungraded work is left out of the current score and counts as zero in the final score.
+ * @param {boolean} weighted - Whether the course weights assignment groups
+ * @param {Array} groups - Assignment groups
+ * @param {Array} courseAssignments - The course's assignments
+ * @param {Function} scoreOf - Score for an assignment, or null if ungraded
+ * @param {boolean} final - Whether to compute the final score
+ * @returns {number|null} Percentage, rounded to two decimals
+ */
+function totalScore(weighted, groups, courseAssignments, scoreOf, final) {
+  const sums = groups.map(group => {
+    let items = courseAssignments
+      .filter(assignment => assignment.assignment_group_id === group.id)
+      .map(assignment => ({ score: scoreOf(assignment), possible: assignment.points_possible }))
+      .filter(item => final || item.score !== null)
+      .map(item => ({ score: item.score || 0, possible: item.possible }));
+
+    // Drop one at a time, keeping whichever choice leaves the best percentage
+    for (let dropped = 0; dropped < (group.rules.drop_lowest || 0) && items.length > 1; dropped++) {
+      const ratio = list => list.reduce((sum, item) => sum + item.score, 0) / list.reduce((sum, item) => sum + item.possible, 0);
+      const options = items.map((item, index) => items.filter((other, otherIndex) => otherIndex !== index));
+      items = options.reduce((best, option) => (ratio(option) > ratio(best) ? option : best));
+    }
+
+    return {
+      weight: group.group_weight,
+      score: items.reduce((sum, item) => sum + item.score, 0),
+      possible: items.reduce((sum, item) => sum + item.possible, 0)
+    };
+  }).filter(sum => sum.possible > 0);
+
+  if (sums.length === 0) {
+    return null;
+  }
+
+  let total;
+  if (weighted) {
+    const fullWeight = sums.reduce((sum, group) => sum + group.weight, 0);
+    total = sums.reduce((sum, group) => sum + (group.score / group.possible) * group.weight, 0) * 100 / fullWeight;
+  } else {
+    total = sums.reduce((sum, group) => sum + group.score, 0) / sums.reduce((sum, group) => sum + group.possible, 0) * 100;
+  }
+
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Build a fake Canvas dataset with dates relative to now
+ * @param {Date} now - Reference date
+ * @returns {Object} Student, observer, terms, courses, assignment groups, assignments, submissions, announcements and calendar events
+ */
+function buildFakeCanvasData(now = new Date()) {
+  const at = days => new Date(now.getTime() + days * DAY_MS).toISOString();
+
+  const user = {
+    id: 5001,
+    name: 'Sam Student',
+    short_name: 'Sam',
+    sortable_name: 'Student, Sam',
+    login_id: 'sam.student@example.edu',
+    primary_email: 'sam.student@example.edu',
+    time_zone: 'America/New_York',
+    locale: 'en'
+  };
+
+  // A parent account that observes the student
+  const observer = {
+    id: 6001,
+    name: 'Pat Parent',
+    short_name: 'Pat',
+    sortable_name: 'Parent, Pat',
+    login_id: 'pat.parent@example.com',
+    primary_email: 'pat.parent@example.com',
+    time_zone: 'America/New_York',
+    locale: 'en'
+  };
+
+  const terms = [
+    { id: 11, name: termName(new Date(at(-200))), start_at: at(-200), end_at: at(-80), workflow_state: 'active' },
+    { id: 12, name: termName(new Date(at(-45))), start_at: at(-45), end_at: at(75), workflow_state: 'active' }
+  ];
+
+  const gradingStandards = [
+    { id: 501, title: 'Department scale', context_type: 'Account', context_id: 1, grading_scheme: DEPARTMENT_SCHEME }
+  ];
+
+  // Calculus II totals points; the others weight homework and exams. Calculus II and
+  // English Composition have no grading standard enabled, so Canvas gives them no letters.
+  const courseDefs = [
+    { id: 90, name: 'English Composition', course_code: 'ENG101', term: terms[0], teacher: 'Dr. Ada Wright', weighted: true, accountId: 2, gradingStandard: null },
+    { id: 101, name: 'Introduction to Psychology', course_code: 'PSY101', term: terms[1], teacher: 'Prof. Lee Morgan', weighted: true, accountId: 1, gradingStandard: gradingStandards[0] },
+    { id: 102, name: 'Calculus II', course_code: 'MATH152', term: terms[1], teacher: 'Dr. Priya Natarajan', weighted: false, accountId: 1, gradingStandard: null },
+    { id: 103, name: 'Data Structures', course_code: 'CS201', term: terms[1], teacher: 'Prof. Omar Haddad', weighted: true, accountId: 1, gradingStandard: gradingStandards[0] }
+  ];
+
+  const assignments = [];
+  const submissions = [];
+  const courses = [];
+  const assignmentGroups = [];
+
+  courseDefs.forEach(def => {
+    const termStart = new Date(def.term.start_at).getTime();
+    const groups = [
+      { id: def.id * 10 + 1, name: 'Homework', position: 1, group_weight: 40, rules: { drop_lowest: 1 }, course_id: def.id },
+      { id: def.id * 10 + 2, name: 'Exams', position: 2, group_weight: 60, rules: {}, course_id: def.id }
+    ];
+    assignmentGroups.push(...groups);
+
+    for (let i = 0; i < 24; i++) {
+      const id = def.id * 1000 + i;
+      const isExam = i % 8 === 7;
+      const pointsPossible = isExam ? 100 : 10 + (i % 3) * 5;
+      const dueAt = new Date(termStart + (i + 1) * 5 * DAY_MS);
+      const isPast = dueAt < now;
+
+      const assignment = {
+        id,
+        course_id: def.id,
+        name: isExam ? `Exam ${Math.floor(i / 8) + 1}` : `Homework ${i + 1 - Math.floor(i / 8)}`,
+        description: `<p>Fake assignment ${id}</p>`,
+        due_at: dueAt.toISOString(),
+        points_possible: pointsPossible,
+        assignment_group_id: def.id * 10 + (isExam ? 2 : 1),
+        submission_types: ['online_upload'],
+        grading_type: 'points',
+        published: true,
+        html_url: `/courses/${def.id}/assignments/${id}`,
+        updated_at: at(-50)
+      };
+      assignments.push(assignment);
+
+      const score = isPast ? Math.round(pointsPossible * (0.7 + seeded(id) * 0.3) * 10) / 10 : null;
+
+      submissions.push({
+        id: id * 10,
+        assignment_id: id,
+        course_id: def.id,
+        user_id: user.id,
+        score,
+        grade: score !== null ? String(score) : null,
+        submitted_at: isPast ? new Date(dueAt.getTime() - DAY_MS).toISOString() : null,
+        graded_at: isPast ? new Date(dueAt.getTime() + 2 * DAY_MS).toISOString() : null,
+        workflow_state: isPast ? 'graded' : 'unsubmitted',
+        late: false,
+        missing: false,
+        excused: false
+      });
+    }
+
+    const courseAssignments = assignments.filter(assignment => assignment.course_id === def.id);
+    const scoreOf = assignment => submissions.find(submission => submission.assignment_id === assignment.id).score;
+    const currentScore = totalScore(def.weighted, groups, courseAssignments, scoreOf, false);
+    const finalScore = totalScore(def.weighted, groups, courseAssignments, scoreOf, true);
+    const concluded = new Date(def.term.end_at) < now;
+
+    courses.push({
+      id: def.id,
+      name: def.name,
+      course_code: def.course_code,
+      // Canvas concludes courses once their term is over
+      workflow_state: concluded ? 'completed' : 'available',
+      apply_assignment_group_weights: def.weighted,
+      account_id: def.accountId,
+      grading_standard_id: def.gradingStandard ? def.gradingStandard.id : null,
+      enrollment_term_id: def.term.id,
+      start_at: def.term.start_at,
+      end_at: def.term.end_at,
+      term: { ...def.term },
+      teachers: [{ id: def.id * 100, display_name: def.teacher }],
+      enrollments: [{
+        type: 'student',
+        role: 'StudentEnrollment',
+        user_id: user.id,
+        enrollment_state: concluded ? 'completed' : 'active',
+        computed_current_score: currentScore,
+        computed_final_score: finalScore,
+        computed_current_grade: def.gradingStandard && currentScore !== null ? letterFor(currentScore) : null,
+        computed_final_grade: def.gradingStandard && finalScore !== null ? letterFor(finalScore) : null
+      }]
+    });
+  });
+
+  const announcements = [];
+  courseDefs.forEach(def => {
+    for (let i = 0; i < 3; i++) {
+      const id = def.id * 100 + i;
+      announcements.push({
+        id,
+        title: `${def.course_code} announcement ${i + 1}`,
+        message: `<p>Update ${i + 1} for ${def.name}</p>`,
+        posted_at: at(-(i * 7 + 1)),
+        context_code: `course_${def.id}`,
+        author: { display_name: def.teacher }
+      });
+    }
+  });
+
+  const calendarEvents = courseDefs
+    .filter(def => def.term === terms[1])
+    .map((def, index) => ({
+      id: 7000 + index,
+      title: `${def.course_code} office hours`,
+      start_at: at(index + 1),
+      end_at: at(index + 1 + 1 / 24),
+      context_code: `course_${def.id}`,
+      workflow_state: 'active'
+    }));
+
+  return { user, observer, terms, courses, gradingStandards, assignmentGroups, assignments, submissions, announcements, calendarEvents };
+}
+
+module.exports = { buildFakeCanvasData };
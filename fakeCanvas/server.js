@@ -0,0 +1,397 @@
+const express = require('express');
+const { buildFakeCanvasData } = require('./data');
+
+const DEFAULT_PER_PAGE = 10;
+const MAX_PER_PAGE = 100;
+
+/**
+ * Read a query parameter that may be sent as `name[]` or `name`, always as an array
+ * @param {Object} query - Express query object
+ * @param {string} name - Parameter name without brackets
+ * @returns {Array<string>} Parameter values
+ */
+function arrayParam(query, name) {
+  return [].concat(query[`${name}[]`] || query[name] || []);
+}
+
+/**
+ * Send a page of items with Canvas-style Link headers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array} items - All items for the endpoint
+ */
+function paginate(req, res, items) {
+  const perPage = Math.min(parseInt(req.query.per_page, 10) || DEFAULT_PER_PAGE, MAX_PER_PAGE);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const lastPage = Math.max(Math.ceil(items.length / perPage), 1);
+
+  const linkFor = (pageNumber) => {
+    const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    params.set('page', pageNumber);
+    params.set('per_page', perPage);
+    return `<${req.protocol}://${req.get('host')}${req.path}?${params.toString()}>`;
+  };
+
+  const links = [`${linkFor(page)}; rel="current"`];
+  if (page < lastPage) links.push(`${linkFor(page + 1)}; rel="next"`);
+  if (page > 1) links.push(`${linkFor(page - 1)}; rel="prev"`);
+  links.push(`${linkFor(1)}; rel="first"`);
+  links.push(`${linkFor(lastPage)}; rel="last"`);
+
+  res.set('Link', links.join(','));
+  res.json(items.slice((page - 1) * perPage, page * perPage));
+}
+
+/**
+ * Create an Express app that imitates the parts of the Canvas API we use
+ * @param {Object} data - Dataset from buildFakeCanvasData
+ * @returns {Object} Express app
+ */
+function createFakeCanvasApp(data = buildFakeCanvasData()) {
+  const app = express();
+
+  // Any bearer token works, except "invalid" which lets us exercise 401 handling,
+  // "observer" which signs in as the parent observing the student, and "admin" which
+  // signs in as the student with account admin rights
+  app.use('/api/v1', (req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+    if (!token || token === 'invalid') {
+      res.set('WWW-Authenticate', 'Bearer realm="canvas-lms"');
+      return res.status(401).json({ errors: [{ message: 'Invalid access token.' }] });
+    }
+
+    res.locals.observer = token === 'observer';
+    res.locals.admin = token === 'admin';
+    res.locals.self = res.locals.observer ? data.observer : data.user;
+
+    res.set('X-Rate-Limit-Remaining', '700.0');
+    res.set('X-Request-Cost', '0.1');
+    next();
+  });
+
+  // OAuth2 endpoints approve every request so the login flow can run end to end
+  let tokenCount = 0;
+
+  app.get('/login/oauth2/auth', (req, res) => {
+    const params = new URLSearchParams({ code: `fake-code-${Date.now()}`, state: req.query.state || '' });
+    res.redirect(`${req.query.redirect_uri}?${params.toString()}`);
+  });
+
+  app.post('/login/oauth2/token', express.urlencoded({ extended: false }), (req, res) => {
+    if (!['authorization_code', 'refresh_token'].includes(req.body.grant_type)) {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    tokenCount++;
+    res.json({
+      access_token: `fake-access-${tokenCount}`,
+      token_type: 'Bearer',
+      user: { id: data.user.id, name: data.user.name },
+      refresh_token: req.body.refresh_token || `fake-refresh-${tokenCount}`,
+      expires_in: 3600
+    });
+  });
+
+  app.delete('/login/oauth2/token', (req, res) => {
+    res.json({});
+  });
+
+  app.get('/api/v1/users/self', (req, res) => {
+    res.json(res.locals.self);
+  });
+
+  app.get('/api/v1/users/self/observees', (req, res) => {
+    paginate(req, res, res.locals.observer ? [data.user] : []);
+  });
+
+  app.get('/api/v1/planner/items', (req, res) => {
+    const observedUserId = parseInt(req.query.observed_user_id, 10);
+
+    if (observedUserId && (!res.locals.observer || observedUserId !== data.user.id)) {
+      return res.status(401).json({ errors: [{ message: 'user not authorized to perform that action' }] });
+    }
+
+    const startDate = req.query.start_date ? new Date(req.query.start_date) : new Date();
+    const endDate = req.query.end_date ? new Date(req.query.end_date) : null;
+    // Items are for the observed student if one is given, otherwise for whoever is signed in
+    const userId = observedUserId || res.locals.self.id;
+
+    const items = data.assignments
+      .filter(assignment => {
+        const dueAt = new Date(assignment.due_at);
+        return dueAt >= startDate && (!endDate || dueAt <= endDate);
+      })
+      .map(assignment => {
+        const submission = data.submissions.find(candidate => candidate.assignment_id === assignment.id && candidate.user_id === userId);
+        return {
+          plannable_id: assignment.id,
+          plannable_type: 'assignment',
+          plannable_date: assignment.due_at,
+          plannable: {
+            id: assignment.id,
+            title: assignment.name,
+            due_at: assignment.due_at,
+            points_possible: assignment.points_possible
+          },
+          context_type: 'Course',
+          course_id: assignment.course_id,
+          html_url: assignment.html_url,
+          submissions: {
+            submitted: !!(submission && submission.submitted_at),
+            graded: !!(submission && submission.graded_at)
+          }
+        };
+      });
+
+    paginate(req, res, items);
+  });
+
+  app.get('/api/v1/users/self/todo', (req, res) => {
+    const now = new Date();
+    const weekAhead = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    const todo = data.assignments
+      .filter(assignment => {
+        const dueAt = new Date(assignment.due_at);
+        return dueAt >= now && dueAt <= weekAhead;
+      })
+      .map(assignment => ({
+        type: 'submitting',
+        assignment,
+        context_type: 'Course',
+        course_id: assignment.course_id,
+        html_url: assignment.html_url
+      }));
+
+    paginate(req, res, todo);
+  });
+
+  // Course nicknames and colors the user set, shared by every token
+  const nicknames = new Map();
+  const colors = new Map();
+
+  /**
+   * Show a course under the user's nickname, the way Canvas does
+   * @param {Object} course - Fake course
+   * @returns {Object} Course as Canvas returns it
+   */
+  const withNickname = (course) => nicknames.has(course.id)
+    ? { ...course, name: nicknames.get(course.id), original_name: course.name }
+    : course;
+
+  app.get('/api/v1/users/self/course_nicknames', (req, res) => {
+    res.json(Array.from(nicknames, ([courseId, nickname]) => ({
+      course_id: courseId,
+      name: data.courses.find(course => course.id === courseId).name,
+      nickname
+    })));
+  });
+
+  app.put('/api/v1/users/self/course_nicknames/:courseId', express.json(), (req, res) => {
+    const course = data.courses.find(candidate => candidate.id === parseInt(req.params.courseId, 10));
+
+    if (!course) {
+      return res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+    }
+
+    nicknames.set(course.id, req.body.nickname);
+    res.json({ course_id: course.id, name: course.name, nickname: req.body.nickname });
+  });
+
+  app.delete('/api/v1/users/self/course_nicknames/:courseId', (req, res) => {
+    const courseId = parseInt(req.params.courseId, 10);
+    const nickname = nicknames.get(courseId) || null;
+
+    nicknames.delete(courseId);
+    res.json({ course_id: courseId, nickname });
+  });
+
+  app.get('/api/v1/users/self/colors', (req, res) => {
+    res.json({ custom_colors: Object.fromEntries(colors) });
+  });
+
+  app.put('/api/v1/users/self/colors/:assetString', express.json(), (req, res) => {
+    const hexcode = `#${String(req.body.hexcode || '').replace(/^#/, '')}`;
+
+    colors.set(req.params.assetString, hexcode);
+    res.json({ hexcode });
+  });
+
+  /**
+   * Show a course the way the signed-in user sees it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} course - Course from the dataset
+   * @returns {Object} Course with the caller's nickname and enrollments
+   */
+  const asSeenBy = (req, res, course) => {
+    if (!res.locals.observer) {
+      return withNickname(course);
+    }
+
+    // Observers get an observer enrollment, plus the student's with include[]=observed_users
+    const studentEnrollment = course.enrollments[0];
+    const enrollments = [{
+      type: 'observer',
+      role: 'ObserverEnrollment',
+      user_id: data.observer.id,
+      associated_user_id: data.user.id,
+      enrollment_state: studentEnrollment.enrollment_state
+    }];
+
+    if (arrayParam(req.query, 'include').includes('observed_users')) {
+      enrollments.push(studentEnrollment);
+    }
+
+    return { ...withNickname(course), enrollments };
+  };
+
+  app.get('/api/v1/courses', (req, res) => {
+    const states = arrayParam(req.query, 'state');
+    const listed = data.courses.filter(course => states.length === 0 || states.includes(course.workflow_state));
+
+    paginate(req, res, listed.map(course => asSeenBy(req, res, course)));
+  });
+
+  app.get('/api/v1/courses/:courseId', (req, res) => {
+    const course = data.courses.find(candidate => candidate.id === parseInt(req.params.courseId, 10));
+
+    if (!course) {
+      return res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+    }
+
+    res.json(asSeenBy(req, res, course));
+  });
+
+  app.get('/api/v1/courses/:courseId/assignment_groups', (req, res) => {
+    const courseId = parseInt(req.params.courseId, 10);
+
+    if (!data.courses.some(course => course.id === courseId)) {
+      return res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+    }
+
+    const includeAssignments = arrayParam(req.query, 'include').includes('assignments');
+    const groups = data.assignmentGroups
+      .filter(group => group.course_id === courseId)
+      .map(({ course_id: groupCourseId, ...group }) => (includeAssignments
+        ? { ...group, assignments: data.assignments.filter(assignment => assignment.assignment_group_id === group.id) }
+        : group));
+
+    paginate(req, res, groups);
+  });
+
+  app.get('/api/v1/courses/:courseId/grading_standards', (req, res) => {
+    const course = data.courses.find(candidate => candidate.id === parseInt(req.params.courseId, 10));
+
+    if (!course) {
+      return res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+    }
+
+    // Canvas lists the standards the course can use, which includes its account's
+    paginate(req, res, data.gradingStandards.filter(standard =>
+      standard.context_type === 'Account' && standard.context_id === course.account_id));
+  });
+
+  app.get('/api/v1/accounts/:accountId/grading_standards', (req, res) => {
+    const accountId = parseInt(req.params.accountId, 10);
+
+    // Like Canvas, only account admins may list an account's standards, and the refusal is a 401
+    if (!res.locals.admin) {
+      return res.status(401).json({ status: 'unauthorized', errors: [{ message: 'user not authorized to perform that action' }] });
+    }
+
+    paginate(req, res, data.gradingStandards.filter(standard =>
+      standard.context_type === 'Account' && standard.context_id === accountId));
+  });
+
+  app.get('/api/v1/courses/:courseId/assignments', (req, res) => {
+    const courseId = parseInt(req.params.courseId, 10);
+
+    if (!data.courses.some(course => course.id === courseId)) {
+      return res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+    }
+
+    const include = arrayParam(req.query, 'include');
+    const includeSubmission = include.includes('submission');
+    // Observers only see submissions for the students they observe, as an array
+    const observedSubmissions = res.locals.observer && include.includes('observed_users');
+    const dueAfter = req.query.due_after ? new Date(req.query.due_after) : null;
+    const dueBefore = req.query.due_before ? new Date(req.query.due_before) : null;
+
+    const assignments = data.assignments
+      .filter(assignment => assignment.course_id === courseId)
+      .filter(assignment => !dueAfter || new Date(assignment.due_at) >= dueAfter)
+      .filter(assignment => !dueBefore || new Date(assignment.due_at) <= dueBefore)
+      .map(assignment => {
+        if (!includeSubmission || (res.locals.observer && !observedSubmissions)) {
+          return assignment;
+        }
+
+        // The student is either the one signed in or the one being observed
+        const submission = data.submissions.find(candidate => candidate.assignment_id === assignment.id && candidate.user_id === data.user.id);
+        return { ...assignment, submission: observedSubmissions ? [submission] : submission };
+      });
+
+    paginate(req, res, assignments);
+  });
+
+  app.get('/api/v1/courses/:courseId/assignments/:assignmentId/submissions', (req, res) => {
+    const assignmentId = parseInt(req.params.assignmentId, 10);
+    paginate(req, res, data.submissions.filter(submission => submission.assignment_id === assignmentId));
+  });
+
+  app.get('/api/v1/courses/:courseId/students/submissions', (req, res) => {
+    const courseId = parseInt(req.params.courseId, 10);
+    const studentIds = arrayParam(req.query, 'student_ids')
+      .map(id => id === 'self' ? res.locals.self.id : parseInt(id, 10));
+    const gradedSince = req.query.graded_since ? new Date(req.query.graded_since) : null;
+    const submittedSince = req.query.submitted_since ? new Date(req.query.submitted_since) : null;
+
+    paginate(req, res, data.submissions.filter(submission =>
+      submission.course_id === courseId && (studentIds.length === 0 || studentIds.includes(submission.user_id)) &&
+      (!gradedSince || (submission.graded_at && new Date(submission.graded_at) >= gradedSince)) &&
+      (!submittedSince || (submission.submitted_at && new Date(submission.submitted_at) >= submittedSince))));
+  });
+
+  app.get('/api/v1/announcements', (req, res) => {
+    const contextCodes = arrayParam(req.query, 'context_codes');
+    const startDate = req.query.start_date ? new Date(req.query.start_date) : null;
+
+    const announcements = data.announcements
+      .filter(announcement => contextCodes.includes(announcement.context_code))
+      .filter(announcement => !startDate || new Date(announcement.posted_at) >= startDate);
+
+    paginate(req, res, announcements);
+  });
+
+  app.get('/api/v1/calendar_events', (req, res) => {
+    paginate(req, res, data.calendarEvents);
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+  });
+
+  return app;
+}
+
+/**
+ * Start the fake Canvas server
+ * @param {number} port - Port to listen on
+ * @returns {Object} HTTP server
+ */
+function startFakeCanvasServer(port) {
+  const app = createFakeCanvasApp();
+
+  return app.listen(port, () => {
+    console.log(`Fake Canvas server running on port ${port}`);
+  });
+}
+
+if (require.main === module) {
+  startFakeCanvasServer(parseInt(process.env.FAKE_CANVAS_PORT || '3002', 10));
+}
+
+module.exports = { createFakeCanvasApp, startFakeCanvasServer };
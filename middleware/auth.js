@@ -1,4 +1,50 @@
 const { auth } = require('../config/firebase');
+const { rolesFromClaims } = require('../services/roleService');
+const apiTokenService = require('../services/apiTokenService');
+
+/**
+ * Authenticate a personal API token. Only routes mounted behind
+ * authMiddleware.withApiTokens accept them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {string} token - Personal API token
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  if (!req.allowApiTokens) {
+    return res.status(401).json({ error: 'Unauthorized: API tokens are not accepted here' });
+  }
+
+  try {
+    const apiToken = await apiTokenService.verifyToken(token);
+
+    if (!apiToken) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid token' });
+    }
+
+    // Tokens outlive sign-ins, so check the account is still enabled on every request
+    const userRecord = await auth.getUser(apiToken.uid);
+
+    if (userRecord.disabled) {
+      return res.status(401).json({ error: 'Unauthorized: Account is disabled' });
+    }
+
+    // Add user data to request object
+    req.user = {
+      uid: apiToken.uid,
+      email: null,
+      emailVerified: false,
+      roles: rolesFromClaims(userRecord.customClaims),
+      scopes: apiToken.scopes,
+      tokenId: apiToken.tokenId
+    };
+
+    next();
+  } catch (error) {
+    console.error('Error verifying API token:', error);
+    return res.status(401).json({ error: 'Unauthorized: Invalid token' });
+  }
+};
 
 /**
  * Authentication middleware to verify Firebase ID tokens
@@ -22,6 +68,10 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ error: 'Unauthorized: Invalid token format' });
     }
     
+    if (apiTokenService.isApiToken(token)) {
+      return authenticateApiToken(req, res, next, token);
+    }
+
     try {
       // Verify token with Firebase
       const decodedToken = await auth.verifyIdToken(token);
@@ -30,7 +80,8 @@ const authMiddleware = async (req, res, next) => {
       req.user = {
         uid: decodedToken.uid,
         email: decodedToken.email,
-        emailVerified: decodedToken.email_verified
+        emailVerified: decodedToken.email_verified,
+        roles: rolesFromClaims(decodedToken)
       };
       
       next();
@@ -44,4 +95,16 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware that also accepts scoped personal API tokens.
+ * Pair with requireScope on each route.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+authMiddleware.withApiTokens = (req, res, next) => {
+  req.allowApiTokens = true;
+  return authMiddleware(req, res, next);
+};
+
 module.exports = authMiddleware;
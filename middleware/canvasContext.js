@@ -0,0 +1,95 @@
+const firebaseService = require('../services/firebaseService');
+const canvasService = require('../services/canvasService');
+const { withPreferences } = require('../services/coursePreferenceService');
+const { CanvasCredentialsMissingError } = require('../utils/canvasErrors');
+
+/**
+ * Build the source tag for a Canvas account
+ * @param {Object} account - Account metadata
+ * @returns {Object} Account ID, name and Canvas URL
+ */
+function toSource(account) {
+  return { accountId: account.id, name: account.name, canvasUrl: account.canvasUrl };
+}
+
+/**
+ * Resolve the signed-in user's Canvas credentials once per request and attach a
+ * Canvas client bound to them as req.canvas. Runs after authMiddleware; users
+ * without credentials get a 409 from the error handler.
+ *
+ * ?account=<id> points the request at one of the user's linked Canvas instances,
+ * ?account=all aggregates across every linked instance. ?observee=<Canvas user ID>
+ * lets an observer read grades, assignments and to-dos for a student they observe.
+ * Course listings honor the user's course preferences (hidden, pinned, nickname, ...).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const canvasContext = async (req, res, next) => {
+  try {
+    const { uid } = req.user;
+    const { account = 'primary', observee } = req.query;
+
+    if (account === 'all') {
+      if (observee) {
+        const error = new Error('Pick a Canvas account with ?account= to view an observee');
+        error.status = 400;
+        throw error;
+      }
+
+      const linked = await firebaseService.getAllCanvasAccountCredentials(uid);
+
+      if (linked.length === 0) {
+        throw new CanvasCredentialsMissingError();
+      }
+
+      const clients = linked.map(({ credentials, account: details }) =>
+        withPreferences(canvasService.forUser(uid, credentials, toSource(details)), uid));
+
+      req.canvas = canvasService.forAccounts(clients, {
+        // Report accounts that failed while the others still answered
+        onAccountError: (source, error) => {
+          res.append('X-Canvas-Account-Errors', `${source.accountId}=${error.code || 'error'}`);
+        }
+      });
+      return next();
+    }
+
+    let credentials;
+    let source;
+
+    if (account === 'primary') {
+      // Get user's Canvas credentials
+      credentials = await firebaseService.getCanvasCredentials(uid);
+      source = { accountId: 'primary', canvasUrl: credentials.canvasUrl };
+    } else {
+      const linked = await firebaseService.getCanvasAccountCredentials(uid, account);
+      credentials = linked.credentials;
+      source = toSource(linked.account);
+    }
+
+    req.canvas = withPreferences(canvasService.forUser(uid, credentials, source), uid);
+
+    if (observee) {
+      // Canvas decides who is an observer: only students this user actually observes there can be picked
+      const observees = await req.canvas.getObservees();
+      const selected = observees.find(candidate => String(candidate.id) === String(observee));
+
+      if (!selected) {
+        const error = new Error(`User ${observee} is not observed by this Canvas account`);
+        error.status = 404;
+        throw error;
+      }
+
+      req.canvas = withPreferences(canvasService.forUser(uid, credentials, source, {
+        observee: { id: selected.id, name: selected.name }
+      }), uid);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = canvasContext;
@@ -1,6 +1,8 @@
 const cors = require('cors');
 
-// CORS middleware
-const corsMiddleware = cors();
+// CORS middleware, exposing the headers our list endpoints set
+const corsMiddleware = cors({
+  exposedHeaders: ['X-Results-Truncated', 'X-Canvas-Account-Errors']
+});
 
 module.exports = corsMiddleware;
@@ -0,0 +1,43 @@
+const { CanvasError, CanvasThrottledError } = require('../utils/canvasErrors');
+
+/**
+ * Error-handling middleware that maps Canvas errors to HTTP responses
+ * @param {Error} err - Error passed to next()
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof CanvasError) {
+    if (err instanceof CanvasThrottledError && err.retryAfter) {
+      res.set('Retry-After', String(Math.ceil(err.retryAfter)));
+    }
+
+    return res.status(err.statusCode).json({
+      error: err.message,
+      code: err.code,
+      canvasStatus: err.canvasStatus,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Errors from Express itself (e.g. malformed JSON bodies) carry their own status
+  const status = err.status || 500;
+
+  if (status >= 500) {
+    console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  res.status(status).json({
+    error: status >= 500 ? 'Internal server error' : err.message,
+    code: status >= 500 ? 'internal_error' : 'bad_request',
+    details: err.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = errorHandler;
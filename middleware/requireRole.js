@@ -0,0 +1,21 @@
+const { hasAnyRole } = require('../services/roleService');
+
+/**
+ * Create middleware that only lets through users holding one of the given roles.
+ * Admins are let through everywhere. Runs after authMiddleware.
+ * @param {...string} roles - Roles allowed to continue
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Unauthorized: No token provided' });
+  }
+
+  if (!hasAnyRole(req.user.roles, roles)) {
+    return res.status(403).json({ error: `Forbidden: requires role ${roles.join(' or ')}` });
+  }
+
+  next();
+};
+
+module.exports = requireRole;
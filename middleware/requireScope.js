@@ -0,0 +1,24 @@
+/**
+ * Create middleware that only lets through personal API tokens holding every
+ * given scope. Users signed in with Firebase have full access and always pass.
+ * Runs after authMiddleware.
+ * @param {...string} scopes - Scopes required to continue
+ * @returns {Function} Express middleware
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Unauthorized: No token provided' });
+  }
+
+  if (req.user.scopes) {
+    const missing = scopes.filter(scope => !req.user.scopes.includes(scope));
+
+    if (missing.length > 0) {
+      return res.status(403).json({ error: `Forbidden: token is missing scope ${missing.join(', ')}` });
+    }
+  }
+
+  next();
+};
+
+module.exports = requireScope;
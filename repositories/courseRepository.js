@@ -0,0 +1,48 @@
+const { getStore } = require('../utils/storage');
+
+/**
+ * Path of a user's stored courses
+ * @param {string} uid - User ID
+ * @returns {string} Collection path
+ */
+function coursesPath(uid) {
+  return `users/${uid}/courses`;
+}
+
+/**
+ * Repository for the courses stored for each user, keyed by Canvas course ID
+ */
+const courseRepository = {
+  /**
+   * List a user's stored courses
+   * @param {string} uid - User ID
+   * @param {Object} options - status to only list courses with that status
+   * @returns {Promise<Array>} Stored courses
+   */
+  list: async (uid, options = {}) => {
+    const { status } = options;
+    const docs = await getStore().query(coursesPath(uid), {
+      where: status ? [['status', '==', status]] : []
+    });
+
+    return docs.map(doc => doc.data);
+  },
+
+  /**
+   * Save courses in batches: replace whole courses and change fields of existing ones
+   * @param {string} uid - User ID
+   * @param {Object} changes - Changes to apply
+   * @param {Array} changes.save - Courses to store in full, each with its id
+   * @param {Array} changes.update - Field changes as { id, changes }
+   */
+  write: async (uid, changes) => {
+    const { save = [], update = [] } = changes;
+
+    await getStore().commit([
+      ...save.map(course => ({ op: 'set', path: `${coursesPath(uid)}/${course.id}`, data: course })),
+      ...update.map(entry => ({ op: 'update', path: `${coursesPath(uid)}/${entry.id}`, data: entry.changes }))
+    ]);
+  }
+};
+
+module.exports = courseRepository;
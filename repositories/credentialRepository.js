@@ -0,0 +1,123 @@
+const { getStore } = require('../utils/storage');
+const userRepository = require('./userRepository');
+
+/**
+ * Path of a user's linked Canvas account
+ * @param {string} uid - User ID
+ * @param {string} accountId - Account ID
+ * @returns {string} Document path
+ */
+function linkedAccountPath(uid, accountId) {
+  return `users/${uid}/canvasAccounts/${accountId}`;
+}
+
+/**
+ * Repository for stored Canvas credentials. The primary connection lives on the user's
+ * document as canvasCredentials, next to the Canvas user it signs in as; other Canvas
+ * instances are linked accounts, one document each. Keys are stored as they are given,
+ * so encrypting them is up to the caller.
+ */
+const credentialRepository = {
+  /**
+   * Get the primary Canvas connection
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Stored credentials and Canvas user, each null if missing
+   */
+  getPrimary: async (uid) => {
+    const userData = (await userRepository.get(uid)) || {};
+
+    return {
+      credentials: userData.canvasCredentials || null,
+      canvasUser: userData.canvasUser || null
+    };
+  },
+
+  /**
+   * Merge changes into the primary Canvas connection
+   * @param {string} uid - User ID
+   * @param {Object} changes - Credential fields to merge; deleteField() removes one
+   * @param {Object|null} canvasUser - Canvas user the credentials sign in as, if known
+   */
+  mergePrimary: async (uid, changes, canvasUser = null) => {
+    await userRepository.merge(uid, {
+      canvasCredentials: changes,
+      ...(canvasUser ? { canvasUser } : {})
+    });
+  },
+
+  /**
+   * Remove the primary Canvas connection
+   * @param {string} uid - User ID
+   */
+  clearPrimary: async (uid) => {
+    await userRepository.merge(uid, { canvasCredentials: getStore().deleteField() });
+  },
+
+  /**
+   * List a user's linked Canvas accounts, oldest first
+   * @param {string} uid - User ID
+   * @returns {Promise<Array>} Accounts as { id, data }
+   */
+  listLinked: async (uid) => {
+    const docs = await getStore().query(`users/${uid}/canvasAccounts`, { orderBy: 'createdAt' });
+    return docs.map(doc => ({ id: doc.id, data: doc.data }));
+  },
+
+  /**
+   * List the linked Canvas accounts of every user
+   * @returns {Promise<Array>} Accounts as { uid, id, data }
+   */
+  listAllLinked: async () => {
+    const docs = await getStore().queryGroup('canvasAccounts');
+    return docs.map(doc => ({ uid: doc.path.split('/')[1], id: doc.id, data: doc.data }));
+  },
+
+  /**
+   * Get a linked Canvas account
+   * @param {string} uid - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object|null>} Stored account, or null if not found
+   */
+  getLinked: async (uid, accountId) => {
+    return await getStore().get(linkedAccountPath(uid, accountId));
+  },
+
+  /**
+   * Store a new linked Canvas account
+   * @param {string} uid - User ID
+   * @param {Object} data - Account fields
+   * @returns {Promise<string>} New account ID
+   */
+  addLinked: async (uid, data) => {
+    const accountId = getStore().newId();
+    await getStore().set(linkedAccountPath(uid, accountId), data);
+    return accountId;
+  },
+
+  /**
+   * Merge changes into a linked Canvas account
+   * @param {string} uid - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} changes - Fields to merge
+   */
+  mergeLinked: async (uid, accountId, changes) => {
+    await getStore().set(linkedAccountPath(uid, accountId), changes, { merge: true });
+  },
+
+  /**
+   * Delete a linked Canvas account
+   * @param {string} uid - User ID
+   * @param {string} accountId - Account ID
+   */
+  deleteLinked: async (uid, accountId) => {
+    await getStore().delete(linkedAccountPath(uid, accountId));
+  },
+
+  /**
+   * Value that removes a credential field when merged
+   * @returns {*} Store delete marker
+   */
+  deleteField: () => getStore().deleteField()
+};
+
+module.exports = credentialRepository;
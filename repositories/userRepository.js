@@ -0,0 +1,56 @@
+const { getStore } = require('../utils/storage');
+
+/**
+ * Path of a user's document
+ * @param {string} uid - User ID
+ * @returns {string} Document path
+ */
+function userPath(uid) {
+  return `users/${uid}`;
+}
+
+/**
+ * Repository for user documents, which hold the user's Canvas profile and sync state.
+ * Subcollections under a user have their own repositories or live in firebaseService.
+ */
+const userRepository = {
+  path: userPath,
+
+  /**
+   * Get a user's document
+   * @param {string} uid - User ID
+   * @returns {Promise<Object|null>} User data, or null if the user has none stored
+   */
+  get: async (uid) => {
+    return await getStore().get(userPath(uid));
+  },
+
+  /**
+   * Deep-merge fields into a user's document, creating it if needed
+   * @param {string} uid - User ID
+   * @param {Object} data - Fields to merge
+   */
+  merge: async (uid, data) => {
+    await getStore().set(userPath(uid), data, { merge: true });
+  },
+
+  /**
+   * List every user
+   * @param {Object} options - Store query options, e.g. select
+   * @returns {Promise<Array>} Users as { uid, data }
+   */
+  list: async (options = {}) => {
+    const docs = await getStore().query('users', options);
+    return docs.map(doc => ({ uid: doc.id, data: doc.data }));
+  },
+
+  /**
+   * Delete a user's document and everything stored under it
+   * @param {string} uid - User ID
+   */
+  deleteAll: async (uid) => {
+    await getStore().deleteTree(userPath(uid));
+  }
+};
+
+module.exports = userRepository;
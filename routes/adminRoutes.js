@@ -0,0 +1,19 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const authMiddleware = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+// Every admin route needs a signed-in user
+router.use(authMiddleware);
+
+// Support staff can look users up
+router.get('/users/:uid/roles', requireRole('support'), adminController.getUserRoles);
+router.get('/users/:uid/canvas-credentials/status', requireRole('support'), adminController.getUserCanvasCredentialStatus);
+
+// Only admins can change roles
+router.post('/users/:uid/roles', requireRole('admin'), adminController.grantRole);
+router.delete('/users/:uid/roles/:role', requireRole('admin'), adminController.revokeRole);
+
+module.exports = router;
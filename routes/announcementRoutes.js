@@ -1,9 +1,10 @@
 const express = require('express');
 const announcementController = require('../controllers/announcementController');
+const requireScope = require('../middleware/requireScope');
 
 const router = express.Router();
 
 // Get announcements for all available courses
-router.get('/announcements', announcementController.getAnnouncements);
+router.get('/announcements', requireScope('announcements:read'), announcementController.getAnnouncements);
 
 module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const assignmentGradesController = require('../controllers/assignmentGradesController');
+const requireScope = require('../middleware/requireScope');
 
 const router = express.Router();
 
 // Get assignments with grades for Spring 2025 courses
-router.get('/assignment-grades', assignmentGradesController.getAssignmentGrades);
+router.get('/assignment-grades', requireScope('assignments:read', 'grades:read'), assignmentGradesController.getAssignmentGrades);
 
 module.exports = router;
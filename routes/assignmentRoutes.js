@@ -1,12 +1,13 @@
 const express = require('express');
 const assignmentController = require('../controllers/assignmentController');
+const requireScope = require('../middleware/requireScope');
 
 const router = express.Router();
 
 // Get assignments for a course
-router.get('/courses/:courseId/assignments', assignmentController.getCourseAssignments);
+router.get('/courses/:courseId/assignments', requireScope('assignments:read'), assignmentController.getCourseAssignments);
 
 // Get submissions for an assignment
-router.get('/courses/:courseId/assignments/:assignmentId/submissions', assignmentController.getAssignmentSubmissions);
+router.get('/courses/:courseId/assignments/:assignmentId/submissions', requireScope('assignments:read'), assignmentController.getAssignmentSubmissions);
 
 module.exports = router;
@@ -6,10 +6,26 @@ const router = express.Router();
 
 // Public routes (no authentication required)
 router.post('/register', authController.register);
+router.post('/local/sign-in', authController.localSignIn);
+router.get('/canvas/oauth/callback', authController.canvasOAuthCallback);
 
 // Protected routes (authentication required)
 router.post('/canvas-credentials', authMiddleware, authController.storeCanvasCredentials);
 router.get('/canvas-credentials', authMiddleware, authController.getCanvasCredentials);
+router.get('/canvas-credentials/status', authMiddleware, authController.getCanvasCredentialStatus);
+router.get('/canvas-accounts', authMiddleware, authController.listCanvasAccounts);
+router.post('/canvas-accounts', authMiddleware, authController.addCanvasAccount);
+router.get('/canvas-accounts/:accountId', authMiddleware, authController.getCanvasAccount);
+router.patch('/canvas-accounts/:accountId', authMiddleware, authController.updateCanvasAccount);
+router.delete('/canvas-accounts/:accountId', authMiddleware, authController.deleteCanvasAccount);
+router.get('/canvas/oauth/start', authMiddleware, authController.startCanvasOAuth);
+router.post('/canvas/oauth/logout', authMiddleware, authController.canvasOAuthLogout);
+router.post('/api-tokens', authMiddleware, authController.createApiToken);
+router.get('/api-tokens', authMiddleware, authController.listApiTokens);
+router.delete('/api-tokens/:tokenId', authMiddleware, authController.revokeApiToken);
+router.delete('/account', authMiddleware, authController.deleteAccount);
+router.get('/account/export', authMiddleware, authController.exportAccount);
+router.get('/sync/status', authMiddleware, authController.getSyncStatus);
 router.get('/courses', authMiddleware, authController.getUserCourses);
 router.post('/courses/refresh', authMiddleware, authController.refreshUserCourses);
 router.post('/courses/update-status', authMiddleware, authController.updateCourseStatus);
@@ -0,0 +1,10 @@
+const express = require('express');
+const changeController = require('../controllers/changeController');
+const requireScope = require('../middleware/requireScope');
+
+const router = express.Router();
+
+// Get changes found by the background sync since a point in time
+router.get('/changes', requireScope('changes:read'), changeController.getChanges);
+
+module.exports = router;
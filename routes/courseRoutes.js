@@ -1,12 +1,22 @@
 const express = require('express');
 const courseController = require('../controllers/courseController');
+const requireScope = require('../middleware/requireScope');
 
 const router = express.Router();
 
 // Get all available courses
-router.get('/courses', courseController.getCourses);
+router.get('/courses', requireScope('courses:read'), courseController.getCourses);
+
+// Get the user's course preferences
+router.get('/courses/preferences', requireScope('courses:read'), courseController.getCoursePreferences);
+
+// Pick up nickname and color changes made in Canvas
+router.post('/courses/preferences/sync', requireScope('courses:write'), courseController.syncCoursePreferences);
+
+// Hide, pin, override the status of, rename or recolor a course
+router.patch('/courses/:courseId/preferences', requireScope('courses:write'), courseController.updateCoursePreferences);
 
 // Get calendar events
-router.get('/calendar_events', courseController.getCalendarEvents);
+router.get('/calendar_events', requireScope('calendar:read'), courseController.getCalendarEvents);
 
 module.exports = router;
@@ -1,12 +1,13 @@
 const express = require('express');
 const dashboardController = require('../controllers/dashboardController');
+const requireScope = require('../middleware/requireScope');
 
 const router = express.Router();
 
 // Get combined course data, grades, and assignments in a single request
-router.get('/combined-course-data', dashboardController.getCombinedCourseData);
+router.get('/combined-course-data', requireScope('courses:read', 'grades:read', 'assignments:read'), dashboardController.getCombinedCourseData);
 
 // Get all data for a user
-router.get('/all-data', dashboardController.getAllData);
+router.get('/all-data', requireScope('profile:read', 'courses:read', 'grades:read', 'assignments:read', 'announcements:read', 'calendar:read', 'todo:read'), dashboardController.getAllData);
 
 module.exports = router;
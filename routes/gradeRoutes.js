@@ -1,15 +1,28 @@
 const express = require('express');
 const gradeController = require('../controllers/gradeController');
+const requireScope = require('../middleware/requireScope');
 
 const router = express.Router();
 
 // Get user grades across all courses (detailed version)
-router.get('/grades', gradeController.getGrades);
+router.get('/grades', requireScope('grades:read'), gradeController.getGrades);
 
 // Get current term grades only (fast endpoint)
-router.get('/current-term-grades', gradeController.getCurrentTermGrades);
+router.get('/current-term-grades', requireScope('grades:read'), gradeController.getCurrentTermGrades);
 
 // Get current grades for all courses (fast endpoint)
-router.get('/current-grades', gradeController.getCurrentGrades);
+router.get('/current-grades', requireScope('grades:read'), gradeController.getCurrentGrades);
+
+// Get a course's grade timeline
+router.get('/courses/:courseId/grade-history', requireScope('grades:read'), gradeController.getGradeHistory);
+
+// Work out a course grade with hypothetical scores
+router.post('/courses/:courseId/what-if', requireScope('grades:read'), gradeController.calculateWhatIf);
+
+// Get the letter-grade scale a course grades against
+router.get('/courses/:courseId/grading-scale', requireScope('grades:read'), gradeController.getGradingScale);
+
+// Work out the scores needed on remaining work for a target grade
+router.get('/courses/:courseId/target', requireScope('grades:read'), gradeController.getTargetGrade);
 
 module.exports = router;
@@ -1,16 +1,28 @@
 const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const canvasContext = require('../middleware/canvasContext');
 const userRoutes = require('./userRoutes');
 const courseRoutes = require('./courseRoutes');
 const assignmentRoutes = require('./assignmentRoutes');
 const announcementRoutes = require('./announcementRoutes');
 const gradeRoutes = require('./gradeRoutes');
 const dashboardRoutes = require('./dashboardRoutes');
-const springCoursesRoutes = require('./springCoursesRoutes');
+const termRoutes = require('./termRoutes');
 const assignmentGradesRoutes = require('./assignmentGradesRoutes');
 const twoStageRoutes = require('./twoStageRoutes');
+const changeRoutes = require('./changeRoutes');
 
 const router = express.Router();
 
+// Every /api route is for the signed-in user, who may be using a personal API token
+router.use(authMiddleware.withApiTokens);
+
+// The change feed only reads what the background sync stored, so it works without Canvas credentials
+router.use('/', changeRoutes);
+
+// Everything else talks to Canvas as the signed-in user
+router.use(canvasContext);
+
 // Mount all routes directly (no additional /api prefix)
 router.use('/', userRoutes);
 router.use('/', courseRoutes);
@@ -18,7 +30,7 @@ router.use('/', assignmentRoutes);
 router.use('/', announcementRoutes);
 router.use('/', gradeRoutes);
 router.use('/', dashboardRoutes);
-router.use('/', springCoursesRoutes);
+router.use('/', termRoutes);
 router.use('/', assignmentGradesRoutes);
 router.use('/', twoStageRoutes);
 
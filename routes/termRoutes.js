@@ -0,0 +1,13 @@
+const express = require('express');
+const termController = require('../controllers/termController');
+const requireScope = require('../middleware/requireScope');
+
+const router = express.Router();
+
+// Get the user's enrollment terms
+router.get('/terms', requireScope('courses:read'), termController.getTerms);
+
+// Get assignments and grades for the courses in a term ('current', 'past', 'future' or a term ID)
+router.get('/terms/:termId/courses', requireScope('courses:read', 'grades:read', 'assignments:read'), termController.getTermCourses);
+
+module.exports = router;
@@ -1,10 +1,10 @@
 const express = require('express');
 const twoStageController = require('../controllers/twoStageController');
-const authMiddleware = require('../middleware/auth');
+const requireScope = require('../middleware/requireScope');
 
 const router = express.Router();
 
 // Get data in two stages: first courses, then assignments
-router.get('/two-stage-data', authMiddleware, twoStageController.getTwoStageData);
+router.get('/two-stage-data', requireScope('courses:read', 'assignments:read', 'announcements:read'), twoStageController.getTwoStageData);
 
 module.exports = router;
@@ -1,11 +1,16 @@
 const express = require('express');
 const userController = require('../controllers/userController');
-const authMiddleware = require('../middleware/auth');
+const requireScope = require('../middleware/requireScope');
 
 const router = express.Router();
 
-// Protected routes (authentication required)
-router.get('/user', authMiddleware, userController.getCurrentUser);
-router.get('/todo', authMiddleware, userController.getTodoItems);
+// Get current user info
+router.get('/user', requireScope('profile:read'), userController.getCurrentUser);
+
+// Get students the user observes
+router.get('/observees', requireScope('profile:read'), userController.getObservees);
+
+// Get user's todo items
+router.get('/todo', requireScope('todo:read'), userController.getTodoItems);
 
 module.exports = router;
@@ -0,0 +1,29 @@
+const firebaseService = require('../services/firebaseService');
+
+/**
+ * Maintenance commands for stored Canvas credentials
+ *   migrate - encrypt any Canvas API keys still stored in plaintext
+ *   rotate  - re-wrap every stored key with the active master key
+ */
+const commands = {
+  migrate: firebaseService.migratePlaintextCredentials,
+  rotate: firebaseService.rotateCredentialKeys
+};
+
+async function main() {
+  const command = process.argv[2];
+
+  if (!commands[command]) {
+    console.error(`Usage: node scripts/canvasCredentials.js <${Object.keys(commands).join('|')}>`);
+    process.exit(1);
+  }
+
+  const result = await commands[command]();
+  console.log(`Canvas credentials ${command} complete:`, result);
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Canvas credentials command failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+const roleService = require('../services/roleService');
+
+/**
+ * Manage user roles from the command line, e.g. to create the first admin
+ *   grant <uid> <role>  - give a user a role
+ *   revoke <uid> <role> - take a role away
+ *   show <uid>          - print a user's roles
+ */
+const commands = {
+  grant: (uid, role) => roleService.grantRole(uid, role),
+  revoke: (uid, role) => roleService.revokeRole(uid, role),
+  show: (uid) => roleService.getRoles(uid)
+};
+
+async function main() {
+  const [command, uid, role] = process.argv.slice(2);
+
+  if (!commands[command] || !uid || (command !== 'show' && !role)) {
+    console.error(`Usage: node scripts/roles.js <${Object.keys(commands).join('|')}> <uid> [role]`);
+    process.exit(1);
+  }
+
+  const roles = await commands[command](uid, role);
+  console.log(`Roles for ${uid}:`, roles.join(', '));
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Roles command failed:', error.message);
+  process.exit(1);
+});
@@ -1,9 +1,12 @@
 const express = require('express');
 const corsMiddleware = require('./middleware/cors');
+const errorHandler = require('./middleware/errorHandler');
 const routes = require('./routes');
 const authRoutes = require('./routes/authRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 const env = require('./config/env');
-const { db } = require('./config/firebase');
+const syncService = require('./services/syncService');
+const { getStore } = require('./utils/storage');
 
 const app = express();
 const PORT = env.PORT || 3001;
@@ -15,14 +18,29 @@ app.use(express.json());
 // API Routes
 app.use('/api', routes);
 app.use('/auth', authRoutes);
+app.use('/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date() });
 });
 
+// Map errors passed to next() onto consistent responses
+app.use(errorHandler);
+
+// Start the bundled fake Canvas server for offline development
+if (env.CANVAS_MODE === 'fake' && !process.env.FAKE_CANVAS_URL) {
+  require('./fakeCanvas/server').startFakeCanvasServer(env.FAKE_CANVAS_PORT);
+}
+
+// Keep Firestore in step with Canvas in the background
+if (env.SYNC_ENABLED) {
+  syncService.start();
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  console.log(`Firebase connected: ${!!db}`);
+  console.log(`Storage backend: ${getStore().backend}`);
+  console.log(`Canvas mode: ${env.CANVAS_MODE}`);
 });
@@ -0,0 +1,87 @@
+const { auth } = require('../config/firebase');
+const firebaseService = require('./firebaseService');
+const canvasService = require('./canvasService');
+const canvasOAuthService = require('./canvasOAuthService');
+const { rolesFromClaims } = require('./roleService');
+
+/**
+ * Service for a user's own account: deleting it and exporting their data
+ */
+const accountService = {
+  /**
+   * Delete a user for good: drop cached Canvas responses and revoke the Canvas token of
+   * every connection, then delete all their Firestore data and their Firebase Auth record
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Whether every Canvas token was revoked, and the outcome per connection
+   */
+  deleteAccount: async (uid) => {
+    // Read every connection's credentials as stored while they still exist, without
+    // refreshing OAuth tokens, since a refused refresh must not block the deletion
+    const accounts = await firebaseService.listCanvasAccounts(uid);
+    const lookups = await Promise.allSettled(accounts.map(async account => (account.id === 'primary'
+      ? await firebaseService.getStoredCanvasCredentials(uid)
+      : (await firebaseService.getCanvasAccountCredentials(uid, account.id)).credentials)));
+
+    const connections = accounts.map((account, index) => {
+      if (lookups[index].status === 'rejected') {
+        console.error(`Error reading Canvas account ${account.id} of user ${uid}:`, lookups[index].reason.message);
+      }
+
+      return { accountId: account.id, credentials: lookups[index].value || null };
+    });
+    const usable = connections.filter(connection => connection.credentials);
+
+    // Clear every connection's cache even if one of them fails
+    const cleared = await Promise.allSettled(usable.map(({ credentials }) => canvasService.invalidateCache(credentials)));
+    cleared
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error(`Error clearing Canvas cache for user ${uid}:`, result.reason.message));
+
+    // Pasted tokens are revoked too: the account they were given to is going away
+    const tokens = await Promise.all(connections.map(async ({ accountId, credentials }) => ({
+      accountId,
+      revoked: credentials ? await canvasOAuthService.revokeToken(credentials) : false
+    })));
+
+    await firebaseService.deleteUserData(uid);
+
+    try {
+      await auth.deleteUser(uid);
+    } catch (error) {
+      // Deleting twice should still succeed
+      if (error.code !== 'auth/user-not-found') {
+        throw error;
+      }
+    }
+
+    return { success: true, revoked: tokens.every(token => token.revoked), tokens };
+  },
+
+  /**
+   * Collect everything we store about a user into one document they can download
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Account profile and stored data
+   */
+  exportAccount: async (uid) => {
+    const [userRecord, data] = await Promise.all([
+      auth.getUser(uid),
+      firebaseService.exportUserData(uid)
+    ]);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      account: {
+        uid: userRecord.uid,
+        email: userRecord.email || null,
+        emailVerified: userRecord.emailVerified,
+        displayName: userRecord.displayName || null,
+        roles: rolesFromClaims(userRecord.customClaims),
+        createdAt: userRecord.metadata.creationTime,
+        lastSignInAt: userRecord.metadata.lastSignInTime || null
+      },
+      ...data
+    };
+  }
+};
+
+module.exports = accountService;
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+const firebaseService = require('./firebaseService');
+const { API_SCOPES } = require('../config/apiScopes');
+
+// Personal API tokens look like cdt_<id>_<secret>, so they are easy to tell apart from Firebase ID tokens
+const TOKEN_PREFIX = 'cdt_';
+
+// Only write lastUsedAt once a minute, so busy scripts don't turn every request into a write
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a token secret for storage
+ * @param {string} secret - Token secret
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Convert a stored date (Date, Firestore Timestamp or null) into a Date
+ * @param {*} value - Stored date
+ * @returns {Date|null} Date
+ */
+function toDate(value) {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Describe a token record without its hash
+ * @param {Object} record - Stored token record
+ * @returns {Object} Token metadata
+ */
+function describeToken(record) {
+  const expiresAt = toDate(record.expiresAt);
+  const revokedAt = toDate(record.revokedAt);
+
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    createdAt: toDate(record.createdAt),
+    expiresAt,
+    lastUsedAt: toDate(record.lastUsedAt),
+    revokedAt,
+    active: !revokedAt && (!expiresAt || expiresAt > new Date())
+  };
+}
+
+/**
+ * Build a 400 error
+ * @param {string} message - Error message
+ * @returns {Error} Error with a status
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Service for personal API tokens
+ */
+const apiTokenService = {
+  /**
+   * Check whether a bearer token is a personal API token rather than a Firebase ID token
+   * @param {string} token - Bearer token
+   * @returns {boolean} Whether it is a personal API token
+   */
+  isApiToken: (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX),
+
+  /**
+   * Mint a personal API token. The plaintext token is only ever returned here.
+   * @param {string} uid - User ID
+   * @param {Object} options - Name, scopes and lifetime in days
+   * @returns {Promise<Object>} Token metadata and the plaintext token
+   */
+  createToken: async (uid, options = {}) => {
+    const { name, scopes, expiresInDays = env.API_TOKEN_DEFAULT_EXPIRY_DAYS } = options;
+
+    if (!name) {
+      throw badRequest('Token name is required');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw badRequest(`At least one scope is required: ${API_SCOPES.join(', ')}`);
+    }
+
+    const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > env.API_TOKEN_MAX_EXPIRY_DAYS) {
+      throw badRequest(`expiresInDays must be between 1 and ${env.API_TOKEN_MAX_EXPIRY_DAYS}`);
+    }
+
+    const tokenId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const record = {
+      uid,
+      name,
+      scopes: Array.from(new Set(scopes)),
+      tokenHash: hashSecret(secret),
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + days * DAY_MS),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    await firebaseService.storeApiToken(tokenId, record);
+
+    return {
+      ...describeToken({ id: tokenId, ...record }),
+      token: `${TOKEN_PREFIX}${tokenId}_${secret}`
+    };
+  },
+
+  /**
+   * List a user's personal API tokens
+   * @param {string} uid - User ID
+   * @returns {Promise<Array>} Token metadata, newest first
+   */
+  listTokens: async (uid) => {
+    const records = await firebaseService.listApiTokens(uid);
+
+    return records
+      .map(describeToken)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  },
+
+  /**
+   * Revoke one of a user's personal API tokens
+   * @param {string} uid - User ID
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object|null>} Token metadata, or null if the user has no such token
+   */
+  revokeToken: async (uid, tokenId) => {
+    const record = await firebaseService.getApiToken(tokenId);
+
+    if (!record || record.uid !== uid) {
+      return null;
+    }
+
+    const revokedAt = toDate(record.revokedAt) || new Date();
+    await firebaseService.updateApiToken(tokenId, { revokedAt });
+
+    return describeToken({ ...record, revokedAt });
+  },
+
+  /**
+   * Check a personal API token and record that it was used
+   * @param {string} token - Plaintext token
+   * @returns {Promise<Object|null>} User ID, token ID and scopes, or null if the token is not valid
+   */
+  verifyToken: async (token) => {
+    const match = /^cdt_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/.exec(token || '');
+
+    if (!match) {
+      return null;
+    }
+
+    const [, tokenId, secret] = match;
+    const record = await firebaseService.getApiToken(tokenId);
+
+    if (!record) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const { active } = describeToken(record);
+    if (!active) {
+      return null;
+    }
+
+    const lastUsedAt = toDate(record.lastUsedAt);
+    if (!lastUsedAt || Date.now() - lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+      // Failing to record usage shouldn't fail the request
+      firebaseService.updateApiToken(tokenId, { lastUsedAt: new Date() }).catch(error => {
+        console.error(`Error recording use of API token ${tokenId}:`, error.message);
+      });
+    }
+
+    return { uid: record.uid, tokenId, scopes: record.scopes };
+  }
+};
+
+module.exports = apiTokenService;
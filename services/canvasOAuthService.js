@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const env = require('../config/env');
+const firebaseService = require('./firebaseService');
+const canvasService = require('./canvasService');
+const { decryptToken } = require('../utils/tokenCrypto');
+const { invalidateCache } = require('../utils/canvasAPI');
+const { CanvasUnauthorizedError } = require('../utils/canvasErrors');
+const { normalizeCanvasUrl } = require('../utils/canvasUrl');
+
+// Pending authorizations expire after ten minutes
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Refresh access tokens this long before Canvas says they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// In-flight refreshes per user, so concurrent 401s share one refresh
+const pendingRefreshes = new Map();
+
+/**
+ * Base64url-encode a buffer
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} Base64url string
+ */
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Convert a stored date (Date, Firestore Timestamp or string) into milliseconds
+ * @param {*} value - Stored date
+ * @returns {number|null} Milliseconds since epoch
+ */
+function toMillis(value) {
+  if (!value) return null;
+  if (value.toMillis) return value.toMillis();
+  return new Date(value).getTime();
+}
+
+/**
+ * Check whether a Canvas instance may be used with OAuth. Token requests carry our
+ * developer key secret, so they only go to the configured Canvas instances.
+ * @param {string} canvasUrl - Normalized Canvas base URL
+ * @returns {boolean} True if it is CANVAS_OAUTH_DEFAULT_URL or listed in CANVAS_OAUTH_ALLOWED_URLS
+ */
+function isAllowedCanvasUrl(canvasUrl) {
+  const configured = [env.CANVAS_OAUTH_DEFAULT_URL, ...(env.CANVAS_OAUTH_ALLOWED_URLS || '').split(',')]
+    .map(url => (url || '').trim())
+    .filter(Boolean);
+
+  return configured.some(url => {
+    try {
+      return normalizeCanvasUrl(url) === canvasUrl;
+    } catch (error) {
+      console.warn(`Ignoring invalid Canvas OAuth URL "${url}":`, error.message);
+      return false;
+    }
+  });
+}
+
+/**
+ * Post to Canvas's OAuth2 token endpoint
+ * @param {string} canvasUrl - Canvas base URL
+ * @param {Object} params - Form parameters
+ * @returns {Promise<Object>} Token response
+ */
+async function requestToken(canvasUrl, params) {
+  if (!isAllowedCanvasUrl(canvasUrl)) {
+    throw new Error(`Canvas OAuth is not enabled for ${canvasUrl}`);
+  }
+
+  const response = await axios.post(`${canvasUrl}/login/oauth2/token`, new URLSearchParams({
+    client_id: env.CANVAS_OAUTH_CLIENT_ID,
+    client_secret: env.CANVAS_OAUTH_CLIENT_SECRET,
+    ...params
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: env.CANVAS_REQUEST_TIMEOUT_MS
+  });
+
+  return response.data;
+}
+
+/**
+ * Service for Canvas OAuth2 operations
+ */
+const canvasOAuthService = {
+  /**
+   * Check whether users may connect a Canvas instance with OAuth
+   * @param {string} canvasUrl - Normalized Canvas base URL
+   * @returns {boolean} True if OAuth is enabled for it
+   */
+  isAllowedCanvasUrl: (canvasUrl) => isAllowedCanvasUrl(canvasUrl),
+
+  /**
+   * Start an OAuth2 authorization for a user
+   * @param {string} uid - User ID
+   * @param {string} canvasUrl - Canvas base URL
+   * @returns {Promise<Object>} URL to send the user to
+   */
+  startAuthorization: async (uid, canvasUrl) => {
+    if (!env.CANVAS_OAUTH_CLIENT_ID || !env.CANVAS_OAUTH_CLIENT_SECRET || !env.CANVAS_OAUTH_REDIRECT_URI) {
+      throw new Error('Canvas OAuth is not configured');
+    }
+
+    const state = base64Url(crypto.randomBytes(24));
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await firebaseService.saveOAuthState(state, {
+      uid,
+      canvasUrl,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+
+    const params = new URLSearchParams({
+      client_id: env.CANVAS_OAUTH_CLIENT_ID,
+      response_type: 'code',
+      redirect_uri: env.CANVAS_OAUTH_REDIRECT_URI,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return { authorizationUrl: `${canvasUrl}/login/oauth2/auth?${params.toString()}` };
+  },
+
+  /**
+   * Complete an OAuth2 authorization by exchanging the code for tokens
+   * @param {string} state - OAuth state value from the callback
+   * @param {string} code - Authorization code from the callback
+   * @returns {Promise<Object>} User ID and Canvas user the tokens belong to
+   */
+  completeAuthorization: async (state, code) => {
+    const pending = await firebaseService.consumeOAuthState(state);
+
+    if (!pending || toMillis(pending.expiresAt) < Date.now()) {
+      throw new Error('OAuth state is invalid or expired');
+    }
+
+    const tokens = await requestToken(pending.canvasUrl, {
+      grant_type: 'authorization_code',
+      redirect_uri: env.CANVAS_OAUTH_REDIRECT_URI,
+      code,
+      code_verifier: pending.codeVerifier
+    });
+
+    // Look up the Canvas user now so their profile is stored alongside the tokens
+    const check = await canvasService.checkCredentials({
+      canvasUrl: pending.canvasUrl,
+      canvasApiKey: tokens.access_token
+    });
+
+    if (check.status !== 'valid') {
+      throw new Error(`Canvas rejected the new access token: ${check.message}`);
+    }
+
+    await firebaseService.storeCanvasOAuthTokens(pending.uid, {
+      canvasUrl: check.canvasUrl,
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token,
+      expiresAt: tokens.expires_in ? new Date(Date.now() + tokens.expires_in * 1000) : null,
+      canvasUser: check.canvasUser
+    });
+
+    return { uid: pending.uid, canvasUser: check.canvasUser };
+  },
+
+  /**
+   * Get a new access token using the stored refresh token
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Fresh Canvas credentials
+   */
+  refreshAccessToken: async (uid) => {
+    if (pendingRefreshes.has(uid)) {
+      return await pendingRefreshes.get(uid);
+    }
+
+    const refresh = (async () => {
+      const { canvasUrl, refreshToken } = await firebaseService.getCanvasRefreshToken(uid);
+
+      let tokens;
+      try {
+        tokens = await requestToken(canvasUrl, {
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken
+        });
+      } catch (error) {
+        const response = error.response;
+
+        if (!response || response.status >= 500) {
+          throw error;
+        }
+
+        // Canvas refuses the refresh token once the user removes our access
+        const message = response.data && response.data.error_description
+          ? response.data.error_description
+          : 'Canvas refresh token was rejected';
+        await firebaseService.recordCanvasCredentialStatus(uid, { status: 'revoked', message });
+        throw new CanvasUnauthorizedError(message, {
+          canvasStatus: response.status,
+          url: '/login/oauth2/token',
+          cause: error
+        });
+      }
+
+      await firebaseService.updateCanvasAccessToken(uid, {
+        accessToken: tokens.access_token,
+        expiresAt: tokens.expires_in ? new Date(Date.now() + tokens.expires_in * 1000) : null
+      });
+
+      return { canvasUrl, canvasApiKey: tokens.access_token };
+    })();
+
+    pendingRefreshes.set(uid, refresh);
+    try {
+      return await refresh;
+    } finally {
+      pendingRefreshes.delete(uid);
+    }
+  },
+
+  /**
+   * Build Canvas credentials for an OAuth user, refreshing the access token if it has expired
+   * @param {string} uid - User ID
+   * @param {Object} stored - Stored canvasCredentials
+   * @returns {Promise<Object>} Canvas credentials with a refresh callback
+   */
+  buildCredentials: async (uid, stored) => {
+    const expiresAt = toMillis(stored.expiresAt);
+    const refreshCredentials = () => canvasOAuthService.refreshAccessToken(uid);
+
+    if (expiresAt && expiresAt - EXPIRY_MARGIN_MS <= Date.now()) {
+      return { ...(await refreshCredentials()), refreshCredentials };
+    }
+
+    return {
+      canvasUrl: stored.url,
+      canvasApiKey: decryptToken(stored.apiKeyEncrypted),
+      refreshCredentials
+    };
+  },
+
+  /**
+   * Ask Canvas to delete an access token. Failures are logged rather than thrown,
+   * since the token may already be expired or revoked.
+   * @param {Object} credentials - Canvas URL and the token to delete
+   * @returns {Promise<boolean>} Whether Canvas confirmed the revocation
+   */
+  revokeToken: async (credentials) => {
+    try {
+      await axios.delete(`${credentials.canvasUrl}/login/oauth2/token`, {
+        headers: { Authorization: `Bearer ${credentials.canvasApiKey}` },
+        timeout: env.CANVAS_REQUEST_TIMEOUT_MS
+      });
+      return true;
+    } catch (error) {
+      console.error(`Error revoking Canvas token for ${credentials.canvasUrl}:`, error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Revoke a user's Canvas token and forget their Canvas credentials. The stored token
+   * is used as it is, without refreshing it, so a refused refresh can't block the logout.
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Whether Canvas confirmed the revocation
+   */
+  logout: async (uid) => {
+    const stored = await firebaseService.getStoredCanvasCredentials(uid);
+    let revoked = false;
+
+    if (stored) {
+      // Only OAuth tokens are ours to delete, pasted tokens belong to the user
+      if (stored.authType === 'oauth') {
+        revoked = await canvasOAuthService.revokeToken(stored);
+      }
+
+      try {
+        await invalidateCache(stored);
+      } catch (error) {
+        console.error(`Error clearing Canvas cache for user ${uid}:`, error.message);
+      }
+    }
+
+    await firebaseService.clearCanvasCredentials(uid);
+
+    return { success: true, revoked };
+  }
+};
+
+module.exports = canvasOAuthService;
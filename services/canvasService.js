@@ -1,4 +1,69 @@
-const { fetchAllPages } = require('../utils/canvasAPI');
+const { fetchAllPages, fetchPaged, sendRequest, invalidateCache } = require('../utils/canvasAPI');
+const { CanvasUnauthorizedError } = require('../utils/canvasErrors');
+const { normalizeCanvasUrl } = require('../utils/canvasUrl');
+
+// How far ahead an observee's to-do list looks, matching Canvas's own to-do list
+const TODO_WINDOW_DAYS = 7;
+
+/**
+ * Keep only the courses an observee is enrolled in, with only their enrollments,
+ * so callers can read grades the same way they do for a student
+ * @param {Array} courses - Courses fetched with include[]=observed_users
+ * @param {number|string} observeeId - Canvas user ID of the observee
+ * @returns {Array} Observee's courses
+ */
+function narrowToObservee(courses, observeeId) {
+  const id = String(observeeId);
+
+  return courses
+    .map(course => ({
+      ...course,
+      enrollments: (course.enrollments || []).filter(enrollment =>
+        enrollment.type === 'student' && String(enrollment.user_id) === id)
+    }))
+    .filter(course => course.enrollments.length > 0);
+}
+
+/**
+ * Replace the per-observee submission arrays Canvas returns to observers with the observee's submission
+ * @param {Array} assignments - Assignments fetched with include[]=observed_users
+ * @param {number|string} observeeId - Canvas user ID of the observee
+ * @returns {Array} Assignments with a single submission each
+ */
+function selectObserveeSubmission(assignments, observeeId) {
+  const id = String(observeeId);
+
+  return assignments.map(assignment => {
+    if (!Array.isArray(assignment.submission)) {
+      return assignment;
+    }
+
+    return {
+      ...assignment,
+      submission: assignment.submission.find(submission => String(submission.user_id) === id) || null
+    };
+  });
+}
+
+/**
+ * Convert a planner item into the shape of a Canvas to-do item
+ * @param {Object} item - Planner item
+ * @returns {Object} To-do item
+ */
+function plannerItemToTodo(item) {
+  return {
+    type: 'submitting',
+    assignment: {
+      id: item.plannable_id,
+      name: item.plannable.title,
+      due_at: item.plannable.due_at || item.plannable_date,
+      points_possible: item.plannable.points_possible
+    },
+    context_type: item.context_type,
+    course_id: item.course_id,
+    html_url: item.html_url
+  };
+}
 
 /**
  * Service for Canvas API operations
@@ -15,37 +80,177 @@ const canvasService = {
     });
   },
 
+  /**
+   * Check Canvas credentials against /users/self
+   * @param {Object} credentials - Canvas API credentials
+   * @returns {Promise<Object>} Normalized Canvas URL, status ('valid', 'expired' or 'revoked') and the Canvas user if valid
+   */
+  checkCredentials: async (credentials) => {
+    const canvasUrl = normalizeCanvasUrl(credentials.canvasUrl);
+
+    try {
+      // Always ask Canvas, a cached profile says nothing about the token
+      const user = await fetchAllPages('/api/v1/users/self', {
+        ...credentials,
+        canvasUrl,
+        useCache: false
+      });
+
+      return {
+        canvasUrl,
+        status: 'valid',
+        canvasUser: {
+          id: user.id,
+          name: user.name,
+          timeZone: user.time_zone || null,
+          locale: user.locale || user.effective_locale || null
+        }
+      };
+    } catch (error) {
+      if (!(error instanceof CanvasUnauthorizedError)) {
+        throw error;
+      }
+
+      // Canvas answers 401 for both, so tell them apart by Canvas's message
+      const response = error.cause && error.cause.response;
+      const errors = response && response.data && response.data.errors;
+      const message = Array.isArray(errors) && errors[0] ? errors[0].message : error.message;
+      const expired = /expired/i.test(message);
+
+      return {
+        canvasUrl,
+        status: expired ? 'expired' : 'revoked',
+        message
+      };
+    }
+  },
+
+  /**
+   * Get the students the current user observes
+   * @param {Object} credentials - Canvas API credentials
+   * @returns {Promise<Array>} List of observed users
+   */
+  getObservees: async (credentials) => {
+    return await fetchAllPages('/api/v1/users/self/observees?include[]=avatar_url', {
+      ...credentials
+    });
+  },
+
   /**
    * Get all available courses
    * @param {Object} options - Additional options
-   * @returns {Promise<Array>} List of courses
+   * @returns {Promise<Array|Object>} List of courses, or a paged result if options.paged is set
    */
   getCourses: async (options = {}) => {
     const {
       includeTerms = true,
       includeTeachers = true,
       includeTotalScores = true,
+      includeSections = false,
+      includeConcluded = false,
+      perPage = 100,
+      paged = false,
+      observeeId = null,
+      priority,
+      stats,
       canvasUrl,
-      canvasApiKey
+      canvasApiKey,
+      refreshCredentials
     } = options;
 
-    let url = '/api/v1/courses?state[]=available';
+    let url = `/api/v1/courses?state[]=available&per_page=${perPage}`;
+
+    // Concluded courses are left out unless asked for
+    if (includeConcluded) url += '&state[]=completed';
 
     if (includeTerms) url += '&include[]=term';
     if (includeTeachers) url += '&include[]=teachers';
     if (includeTotalScores) url += '&include[]=total_scores';
+    // Section dates can override term dates
+    if (includeSections) url += '&include[]=sections';
+    if (observeeId) url += '&include[]=observed_users';
 
-    return await fetchAllPages(url, {
+    const result = await (paged ? fetchPaged : fetchAllPages)(url, {
+      priority,
+      stats,
       canvasUrl,
-      canvasApiKey
+      canvasApiKey,
+      refreshCredentials
     });
+
+    if (!observeeId) {
+      return result;
+    }
+
+    return paged ? { ...result, items: narrowToObservee(result.items, observeeId) } : narrowToObservee(result, observeeId);
+  },
+
+  /**
+   * Get a single course with its grading settings
+   * @param {number} courseId - Course ID
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Course, with the student's total scores
+   */
+  getCourse: async (courseId, options = {}) => {
+    const { observeeId = null, ...requestOptions } = options;
+
+    let url = `/api/v1/courses/${courseId}?include[]=total_scores`;
+    if (observeeId) url += '&include[]=observed_users';
+
+    const course = await fetchAllPages(url, requestOptions);
+
+    if (!observeeId) {
+      return course;
+    }
+
+    // An observer's own enrollment carries no scores, so read the observee's
+    return narrowToObservee([course], observeeId)[0] || { ...course, enrollments: [] };
+  },
+
+  /**
+   * Get a course's assignment groups with their weights, drop rules and assignments
+   * @param {number} courseId - Course ID
+   * @param {Object} options - Additional options
+   * @returns {Promise<Array>} Assignment groups
+   */
+  getAssignmentGroups: async (courseId, options = {}) => {
+    // Groups, weights and rules are the same for every student, observed or not
+    const { observeeId, ...requestOptions } = options;
+
+    return await fetchAllPages(`/api/v1/courses/${courseId}/assignment_groups?include[]=assignments`, requestOptions);
+  },
+
+  /**
+   * Get the grading standards available to a course, including those set on its account
+   * @param {number} courseId - Course ID
+   * @param {Object} options - Additional options
+   * @returns {Promise<Array>} Grading standards, each with its grading_scheme
+   */
+  getGradingStandards: async (courseId, options = {}) => {
+    // Standards are the same for every student, observed or not
+    const { observeeId, ...requestOptions } = options;
+
+    return await fetchAllPages(`/api/v1/courses/${courseId}/grading_standards`, requestOptions);
+  },
+
+  /**
+   * Get the grading standards set on a Canvas account. Canvas only lets account admins
+   * list them, so students and observers usually get a 401.
+   * @param {number} accountId - Account ID
+   * @param {Object} options - Additional options
+   * @returns {Promise<Array>} Grading standards, each with its grading_scheme
+   */
+  getAccountGradingStandards: async (accountId, options = {}) => {
+    const { observeeId, ...requestOptions } = options;
+
+    return await fetchAllPages(`/api/v1/accounts/${accountId}/grading_standards`, requestOptions);
   },
 
   /**
    * Get assignments for a specific course
    * @param {number} courseId - Course ID
    * @param {Object} options - Additional options
-   * @returns {Promise<Array>} List of assignments
+   * @returns {Promise<Array|Object>} List of assignments, or a paged result if options.paged is set
    */
   getCourseAssignments: async (courseId, options = {}) => {
     const {
@@ -54,20 +259,38 @@ const canvasService = {
       dueBefore = null,
       orderBy = 'due_at',
       perPage = 50,
+      paged = false,
+      observeeId = null,
+      priority,
+      stats,
       canvasUrl,
-      canvasApiKey
+      canvasApiKey,
+      refreshCredentials
     } = options;
 
     let url = `/api/v1/courses/${courseId}/assignments?per_page=${perPage}&order_by=${orderBy}`;
 
     if (includeSubmission) url += '&include[]=submission';
+    // Observers only get submissions for the students they observe
+    if (includeSubmission && observeeId) url += '&include[]=observed_users';
     if (dueAfter) url += `&due_after=${encodeURIComponent(dueAfter)}`;
     if (dueBefore) url += `&due_before=${encodeURIComponent(dueBefore)}`;
 
-    return await fetchAllPages(url, {
+    const result = await (paged ? fetchPaged : fetchAllPages)(url, {
+      priority,
+      stats,
       canvasUrl,
-      canvasApiKey
+      canvasApiKey,
+      refreshCredentials
     });
+
+    if (!observeeId || !includeSubmission) {
+      return result;
+    }
+
+    return paged
+      ? { ...result, items: selectObserveeSubmission(result.items, observeeId) }
+      : selectObserveeSubmission(result, observeeId);
   },
 
   /**
@@ -93,8 +316,11 @@ const canvasService = {
     const {
       latestOnly = false,
       startDate = '2023-01-01',
+      priority,
+      stats,
       canvasUrl,
-      canvasApiKey
+      canvasApiKey,
+      refreshCredentials
     } = options;
 
     // Build context codes for courses (format: course_123)
@@ -112,8 +338,11 @@ const canvasService = {
       `&start_date=${startDate}`; // Get announcements from this date
 
     return await fetchAllPages(announcementsUrl, {
+      priority,
+      stats,
       canvasUrl,
-      canvasApiKey
+      canvasApiKey,
+      refreshCredentials
     });
   },
 
@@ -129,27 +358,105 @@ const canvasService = {
   },
 
   /**
-   * Get user's todo items
+   * Get user's todo items, or an observee's when credentials.observeeId is set
    * @param {Object} credentials - Canvas API credentials
    * @returns {Promise<Array>} List of todo items
    */
   getTodoItems: async (credentials) => {
-    return await fetchAllPages('/api/v1/users/self/todo', {
-      ...credentials
-    });
+    const { observeeId, ...options } = credentials;
+
+    if (!observeeId) {
+      return await fetchAllPages('/api/v1/users/self/todo', {
+        ...options
+      });
+    }
+
+    // Canvas has no to-do list for other users, but the planner can show an observee's
+    const now = new Date();
+    const endDate = new Date(now.getTime() + TODO_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const items = await fetchAllPages(
+      `/api/v1/planner/items?observed_user_id=${observeeId}` +
+      `&start_date=${encodeURIComponent(now.toISOString())}&end_date=${encodeURIComponent(endDate.toISOString())}`,
+      { ...options }
+    );
+
+    return items
+      .filter(item => item.plannable_type === 'assignment' && !(item.submissions && item.submissions.submitted))
+      .map(plannerItemToTodo);
   },
 
   /**
-   * Get student submissions for a course
+   * Get student submissions for a course, the observee's when credentials.observeeId is set.
+   * credentials.gradedSince or credentials.submittedSince (ISO dates) limit it to recent changes.
    * @param {number} courseId - Course ID
    * @param {Object} credentials - Canvas API credentials
    * @returns {Promise<Array>} List of submissions
    */
   getCourseSubmissions: async (courseId, credentials) => {
-    return await fetchAllPages(`/api/v1/courses/${courseId}/students/submissions?student_ids[]=self`, {
+    const { observeeId, gradedSince = null, submittedSince = null, ...options } = credentials;
+
+    let url = `/api/v1/courses/${courseId}/students/submissions?student_ids[]=${observeeId || 'self'}`;
+
+    if (gradedSince) url += `&graded_since=${encodeURIComponent(gradedSince)}`;
+    if (submittedSince) url += `&submitted_since=${encodeURIComponent(submittedSince)}`;
+
+    return await fetchAllPages(url, {
       silentErrors: true,
+      ...options
+    });
+  },
+
+  /**
+   * Get the nicknames the user gave their courses in Canvas
+   * @param {Object} credentials - Canvas API credentials
+   * @returns {Promise<Array>} Course IDs, names and nicknames
+   */
+  getCourseNicknames: async (credentials) => {
+    return await fetchAllPages('/api/v1/users/self/course_nicknames', {
+      ...credentials
+    });
+  },
+
+  /**
+   * Set or clear the user's nickname for a course in Canvas
+   * @param {number} courseId - Course ID
+   * @param {string|null} nickname - Nickname, or null to go back to the course name
+   * @param {Object} credentials - Canvas API credentials
+   * @returns {Promise<Object>} Course nickname
+   */
+  setCourseNickname: async (courseId, nickname, credentials) => {
+    const url = `/api/v1/users/self/course_nicknames/${courseId}`;
+
+    return nickname
+      ? await sendRequest('put', url, { ...credentials, data: { nickname } })
+      : await sendRequest('delete', url, { ...credentials });
+  },
+
+  /**
+   * Get the custom colors the user picked in Canvas
+   * @param {Object} credentials - Canvas API credentials
+   * @returns {Promise<Object>} Hex colors keyed by asset string, e.g. course_42
+   */
+  getCustomColors: async (credentials) => {
+    const result = await fetchAllPages('/api/v1/users/self/colors', {
       ...credentials
     });
+
+    return result.custom_colors || {};
+  },
+
+  /**
+   * Set the user's color for a course in Canvas
+   * @param {number} courseId - Course ID
+   * @param {string} color - Hex color, e.g. #1a73e8
+   * @param {Object} credentials - Canvas API credentials
+   * @returns {Promise<Object>} Color as saved
+   */
+  setCourseColor: async (courseId, color, credentials) => {
+    return await sendRequest('put', `/api/v1/users/self/colors/course_${courseId}`, {
+      ...credentials,
+      data: { hexcode: color.replace(/^#/, '') }
+    });
   },
 
   /**
@@ -163,39 +470,215 @@ const canvasService = {
       includeTeachers = true,
       includeTotalScores = true,
       uid,
+      priority,
+      stats,
       canvasUrl,
-      canvasApiKey
+      canvasApiKey,
+      refreshCredentials
     } = options;
 
     if (!uid) {
       throw new Error('User ID is required to get current courses');
     }
 
-    // Get user's courses from Firestore
-    const { db } = require('../config/firebase');
-    const coursesSnapshot = await db.collection('users').doc(uid).collection('courses')
-      .where('status', '==', 'current')
-      .get();
+    // Get user's current courses from Firestore, honoring their status overrides
+    const coursePreferenceService = require('./coursePreferenceService');
+    const storedCourses = await coursePreferenceService.getStoredCourses(uid, { status: 'current', includeHidden: true });
 
-    if (coursesSnapshot.empty) {
+    if (storedCourses.length === 0) {
       console.warn('No current courses found for user in Firestore');
       return [];
     }
 
     // Get course IDs from Firestore
-    const courseIds = coursesSnapshot.docs.map(doc => parseInt(doc.id));
+    const courseIds = storedCourses.map(course => parseInt(course.id));
 
     // Get all courses from Canvas
     const allCourses = await canvasService.getCourses({
       includeTerms,
       includeTeachers,
       includeTotalScores,
+      priority,
+      stats,
       canvasUrl,
-      canvasApiKey
+      canvasApiKey,
+      refreshCredentials
     });
 
     // Filter courses by IDs from Firestore
     return allCourses.filter(course => courseIds.includes(course.id));
+  },
+
+  /**
+   * Drop all cached Canvas responses for a user so the next request goes to Canvas
+   * @param {Object} credentials - Canvas API credentials
+   * @returns {Promise<number>} Number of cache entries removed
+   */
+  invalidateCache: async (credentials) => {
+    return await invalidateCache(credentials);
+  },
+
+  /**
+   * Create a Canvas client bound to one user's credentials, so callers only pass request options
+   * @param {string} uid - User ID
+   * @param {Object} credentials - Canvas API credentials
+   * @param {Object} source - Canvas account the credentials belong to ({ accountId, name, canvasUrl })
+   * @param {Object} clientOptions - Additional options
+   * @returns {Object} Canvas service methods that always use these credentials
+   */
+  forUser: (uid, credentials, source = null, clientOptions = {}) => {
+    const { observee = null } = clientOptions;
+    // Grades, assignments and to-dos are read for the observee when an observer picks one
+    const scope = observee ? { ...credentials, observeeId: observee.id } : credentials;
+
+    const client = {
+      uid,
+      canvasUrl: credentials.canvasUrl,
+      credentials,
+      source,
+      observee,
+      accounts: null,
+      getUserInfo: (options = {}) => canvasService.getUserInfo({ ...options, ...credentials }),
+      getObservees: (options = {}) => canvasService.getObservees({ ...options, ...credentials }),
+      getCourses: (options = {}) => canvasService.getCourses({ ...options, ...scope }),
+      getCourse: (courseId, options = {}) => canvasService.getCourse(courseId, { ...options, ...scope }),
+      getAssignmentGroups: (courseId, options = {}) => canvasService.getAssignmentGroups(courseId, { ...options, ...scope }),
+      getGradingStandards: (courseId, options = {}) => canvasService.getGradingStandards(courseId, { ...options, ...scope }),
+      getAccountGradingStandards: (accountId, options = {}) =>
+        canvasService.getAccountGradingStandards(accountId, { ...options, ...credentials }),
+      getCourseAssignments: (courseId, options = {}) => canvasService.getCourseAssignments(courseId, { ...options, ...scope }),
+      getAssignmentSubmissions: (courseId, assignmentId, options = {}) =>
+        canvasService.getAssignmentSubmissions(courseId, assignmentId, { ...options, ...credentials }),
+      getAnnouncements: (courses, options = {}) => canvasService.getAnnouncements(courses, { ...options, ...credentials }),
+      getCalendarEvents: (options = {}) => canvasService.getCalendarEvents({ ...options, ...credentials }),
+      getTodoItems: (options = {}) => canvasService.getTodoItems({ ...options, ...scope }),
+      getCourseSubmissions: (courseId, options = {}) => canvasService.getCourseSubmissions(courseId, { ...options, ...scope }),
+      getCurrentCourses: (options = {}) => canvasService.getCurrentCourses({ ...options, uid, ...credentials }),
+      getCourseNicknames: (options = {}) => canvasService.getCourseNicknames({ ...options, ...credentials }),
+      setCourseNickname: (courseId, nickname, options = {}) =>
+        canvasService.setCourseNickname(courseId, nickname, { ...options, ...credentials }),
+      getCustomColors: (options = {}) => canvasService.getCustomColors({ ...options, ...credentials }),
+      setCourseColor: (courseId, color, options = {}) => canvasService.setCourseColor(courseId, color, { ...options, ...credentials }),
+      invalidateCache: () => canvasService.invalidateCache(credentials)
+    };
+
+    // A single-account client answers for every course it returns
+    client.forSource = () => client;
+    client.accounts = [client];
+
+    return client;
+  },
+
+  /**
+   * Create a Canvas client that reads from several linked Canvas accounts at once,
+   * tagging every item with the account it came from
+   * @param {Array} clients - Clients from forUser, each with a source
+   * @param {Object} options - Additional options
+   * @returns {Object} Canvas client that aggregates across the accounts
+   */
+  forAccounts: (clients, options = {}) => {
+    const { onAccountError = null } = options;
+    const [primary] = clients;
+
+    /**
+     * Run a request against every account and merge the results
+     * @param {Function} request - Called with each client, returns an array or paged result
+     * @param {Array} targets - Clients to run against
+     * @returns {Promise<Array|Object>} Tagged items, as an array or paged result
+     */
+    const aggregate = async (request, targets = clients) => {
+      const results = await Promise.allSettled(targets.map(client => request(client)));
+      const failures = results.filter(result => result.status === 'rejected');
+
+      // Only fail outright if no account answered
+      if (targets.length > 0 && failures.length === targets.length) {
+        throw failures[0].reason;
+      }
+
+      let paged = false;
+      let truncated = false;
+      const items = [];
+
+      results.forEach((result, index) => {
+        const { source } = targets[index];
+
+        if (result.status === 'rejected') {
+          console.error(`Error fetching from Canvas account ${source.accountId}:`, result.reason.message);
+          if (onAccountError) onAccountError(source, result.reason);
+          return;
+        }
+
+        let values = result.value;
+        if (values && !Array.isArray(values) && Array.isArray(values.items)) {
+          paged = true;
+          truncated = truncated || values.truncated;
+          values = values.items;
+        }
+
+        (values || []).forEach(item => items.push({ ...item, source }));
+      });
+
+      return paged ? { items, truncated, pageCount: null, lastPage: null } : items;
+    };
+
+    /**
+     * Find the client for the account an item came from
+     * @param {Object} source - Source tag from an aggregated item
+     * @returns {Object} Client for that account
+     */
+    const forSource = (source) => {
+      const client = source && clients.find(candidate => candidate.source.accountId === source.accountId);
+
+      if (!client) {
+        const error = new Error('Pick a Canvas account with ?account= for course-specific requests');
+        error.status = 400;
+        throw error;
+      }
+
+      return client;
+    };
+
+    /**
+     * Reject course-specific requests, which only make sense for one Canvas instance
+     * @returns {Promise} Rejected promise
+     */
+    const needsAccount = async () => forSource(null);
+
+    return {
+      uid: primary.uid,
+      canvasUrl: primary.canvasUrl,
+      credentials: primary.credentials,
+      source: null,
+      observee: null,
+      accounts: clients,
+      forSource,
+      getUserInfo: (requestOptions = {}) => primary.getUserInfo(requestOptions),
+      getObservees: (requestOptions = {}) => aggregate(client => client.getObservees(requestOptions)),
+      getCourses: (requestOptions = {}) => aggregate(client => client.getCourses(requestOptions)),
+      getAnnouncements: (courses, requestOptions = {}) => {
+        // Each account only knows about its own courses
+        const coursesOf = client =>
+          courses.filter(course => course.source && course.source.accountId === client.source.accountId);
+        const targets = clients.filter(client => coursesOf(client).length > 0);
+
+        return aggregate(client => client.getAnnouncements(coursesOf(client), requestOptions), targets);
+      },
+      getCalendarEvents: (requestOptions = {}) => aggregate(client => client.getCalendarEvents(requestOptions)),
+      getTodoItems: (requestOptions = {}) => aggregate(client => client.getTodoItems(requestOptions)),
+      getCourse: needsAccount,
+      getAssignmentGroups: needsAccount,
+      getGradingStandards: needsAccount,
+      getAccountGradingStandards: needsAccount,
+      getCourseAssignments: needsAccount,
+      getAssignmentSubmissions: needsAccount,
+      getCourseSubmissions: needsAccount,
+      getCurrentCourses: needsAccount,
+      getCourseNicknames: needsAccount,
+      setCourseNickname: needsAccount,
+      getCustomColors: needsAccount,
+      setCourseColor: needsAccount,
+      invalidateCache: () => Promise.all(clients.map(client => client.invalidateCache()))
+    };
   }
 };
 
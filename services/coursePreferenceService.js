@@ -0,0 +1,313 @@
+const firebaseService = require('./firebaseService');
+
+// Canvas rejects course nicknames longer than this
+const MAX_NICKNAME_LENGTH = 59;
+
+const STATUSES = ['current', 'past'];
+
+const DEFAULT_PREFERENCES = {
+  hidden: false,
+  pinned: false,
+  status: null,
+  nickname: null,
+  color: null
+};
+
+/**
+ * Build a 400 error
+ * @param {string} message - Error message
+ * @returns {Error} Error with a status
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Check and normalize a set of preference changes
+ * @param {Object} changes - Requested changes
+ * @returns {Object} Changes to store
+ */
+function validateChanges(changes) {
+  const valid = {};
+
+  for (const field of ['hidden', 'pinned']) {
+    if (changes[field] !== undefined) {
+      if (typeof changes[field] !== 'boolean') {
+        throw badRequest(`${field} must be true or false`);
+      }
+      valid[field] = changes[field];
+    }
+  }
+
+  if (changes.status !== undefined) {
+    if (changes.status !== null && !STATUSES.includes(changes.status)) {
+      throw badRequest(`status must be ${STATUSES.join(', ')} or null`);
+    }
+    valid.status = changes.status;
+  }
+
+  if (changes.nickname !== undefined) {
+    const nickname = changes.nickname === null ? '' : String(changes.nickname).trim();
+
+    if (nickname.length > MAX_NICKNAME_LENGTH) {
+      throw badRequest(`nickname must be at most ${MAX_NICKNAME_LENGTH} characters`);
+    }
+    valid.nickname = nickname || null;
+  }
+
+  if (changes.color !== undefined) {
+    if (changes.color !== null && !/^#?[0-9a-f]{6}$/i.test(changes.color)) {
+      throw badRequest('color must be a hex color like #1a73e8');
+    }
+    valid.color = changes.color ? `#${changes.color.replace(/^#/, '').toLowerCase()}` : null;
+  }
+
+  if (Object.keys(valid).length === 0) {
+    throw badRequest('Nothing to update: send hidden, pinned, status, nickname or color');
+  }
+
+  return valid;
+}
+
+/**
+ * Service for the user's own course curation: hiding, pinning, status overrides,
+ * nicknames and colors. Nicknames and colors are kept in step with Canvas.
+ */
+const coursePreferenceService = {
+  /**
+   * Build the key a course's preferences are stored under. Courses from linked
+   * Canvas accounts are kept apart, since course IDs are only unique per instance.
+   * @param {Object|null} source - Canvas account the course came from
+   * @param {number|string} courseId - Course ID
+   * @returns {string} Preference key
+   */
+  preferenceKey: (source, courseId) => {
+    return source && source.accountId && source.accountId !== 'primary'
+      ? `${source.accountId}_${courseId}`
+      : String(courseId);
+  },
+
+  /**
+   * Attach preferences to courses, drop hidden ones and put pinned ones first
+   * @param {Array} courses - Canvas or stored courses
+   * @param {Object} preferences - Preferences keyed by preference key
+   * @param {Object} options - includeHidden keeps hidden courses, flagged as hidden; source is
+   * the Canvas account for courses without their own source tag
+   * @returns {Array} Courses with a preferences field
+   */
+  applyPreferences: (courses, preferences, options = {}) => {
+    const { includeHidden = false, source = null } = options;
+
+    const decorated = courses.map(course => {
+      const stored = preferences[coursePreferenceService.preferenceKey(course.source || source, course.id)] || {};
+      const prefs = {
+        hidden: !!stored.hidden,
+        pinned: !!stored.pinned,
+        status: stored.status || null,
+        nickname: stored.nickname || null,
+        color: stored.color || null
+      };
+
+      // Canvas already renames nicknamed courses for the user; cover the gap until it does
+      if (prefs.nickname && course.name !== prefs.nickname) {
+        return { ...course, name: prefs.nickname, original_name: course.original_name || course.name, preferences: prefs };
+      }
+
+      return { ...course, preferences: prefs };
+    });
+
+    return decorated
+      .filter(course => includeHidden || !course.preferences.hidden)
+      .sort((a, b) => Number(b.preferences.pinned) - Number(a.preferences.pinned));
+  },
+
+  /**
+   * Sort course entries by name in place, keeping pinned courses first
+   * @param {Array} entries - Entries with a preferences field
+   * @param {Function} nameOf - Gets an entry's course name
+   * @returns {Array} The sorted entries
+   */
+  sortCourses: (entries, nameOf) => {
+    const pinned = entry => Number(!!(entry.preferences && entry.preferences.pinned));
+
+    return entries.sort((a, b) => {
+      if (pinned(a) !== pinned(b)) return pinned(b) - pinned(a);
+      if (nameOf(a) < nameOf(b)) return -1;
+      if (nameOf(a) > nameOf(b)) return 1;
+      return 0;
+    });
+  },
+
+  /**
+   * Wrap a single-account Canvas client so the courses it lists honor the user's preferences.
+   * getCourses and getCurrentCourses accept includeHidden.
+   * @param {Object} client - Client from canvasService.forUser
+   * @param {string} uid - User ID
+   * @returns {Object} Client with preferences applied
+   */
+  withPreferences: (client, uid) => {
+    let loading = null;
+    // Read preferences at most once per client, and only if courses are listed
+    const load = () => {
+      loading = loading || firebaseService.getCoursePreferences(uid);
+      return loading;
+    };
+
+    /**
+     * Apply preferences to a course listing, plain or paged
+     * @param {Function} list - Fetches the courses
+     * @returns {Function} Listing with preferences applied
+     */
+    const decorate = (list) => async (options = {}) => {
+      const { includeHidden = false, ...requestOptions } = options;
+      const [result, preferences] = await Promise.all([list(requestOptions), load()]);
+      const apply = courses => coursePreferenceService.applyPreferences(courses, preferences, {
+        includeHidden,
+        source: client.source
+      });
+
+      return Array.isArray(result) ? apply(result) : { ...result, items: apply(result.items) };
+    };
+
+    const wrapped = {
+      ...client,
+      getCourses: decorate(client.getCourses),
+      getCurrentCourses: decorate(client.getCurrentCourses)
+    };
+
+    wrapped.forSource = () => wrapped;
+    wrapped.accounts = [wrapped];
+
+    return wrapped;
+  },
+
+  /**
+   * Get the courses stored in Firestore with the user's preferences applied,
+   * filtered by their effective status
+   * @param {string} uid - User ID
+   * @param {Object} options - status ('current', 'past' or 'dropped') and includeHidden
+   * @returns {Promise<Array>} Courses
+   */
+  getStoredCourses: async (uid, options = {}) => {
+    const { status, includeHidden = false } = options;
+
+    const [courses, preferences] = await Promise.all([
+      firebaseService.getCourses(uid),
+      firebaseService.getCoursePreferences(uid)
+    ]);
+
+    return coursePreferenceService.applyPreferences(courses, preferences, { includeHidden })
+      // A status override doesn't bring back a course Canvas no longer lists
+      .map(course => ({
+        ...course,
+        status: course.status === 'dropped' ? course.status : course.preferences.status || course.status
+      }))
+      .filter(course => !status || course.status === status);
+  },
+
+  /**
+   * Change the user's preferences for a course, saving nickname and color to Canvas first
+   * @param {string} uid - User ID
+   * @param {Object} client - Single-account Canvas client
+   * @param {number} courseId - Course ID
+   * @param {Object} changes - hidden, pinned, status, nickname and/or color
+   * @returns {Promise<Object>} Course preferences after the change
+   */
+  updatePreferences: async (uid, client, courseId, changes) => {
+    const valid = validateChanges(changes);
+    const key = coursePreferenceService.preferenceKey(client.source, courseId);
+
+    if (valid.nickname !== undefined) {
+      await client.setCourseNickname(courseId, valid.nickname);
+    }
+
+    // Canvas can't clear a custom color, so clearing only forgets ours until Canvas's is pulled again
+    if (valid.color) {
+      await client.setCourseColor(courseId, valid.color);
+    }
+
+    await firebaseService.setCoursePreferences(uid, key, {
+      courseId,
+      accountId: (client.source && client.source.accountId) || 'primary',
+      ...valid
+    });
+
+    const preferences = await firebaseService.getCoursePreferences(uid);
+    const { courseId: storedCourseId, accountId, updatedAt, ...stored } = preferences[key] || {};
+
+    return { courseId, ...DEFAULT_PREFERENCES, ...stored };
+  },
+
+  /**
+   * Bring stored nicknames and colors in line with what the user set in Canvas itself
+   * @param {string} uid - User ID
+   * @param {Object} client - Single-account Canvas client
+   * @param {Array} courses - The user's Canvas courses
+   * @returns {Promise<number>} Number of courses whose preferences changed
+   */
+  pullFromCanvas: async (uid, client, courses) => {
+    const [nicknames, colors, preferences] = await Promise.all([
+      client.getCourseNicknames(),
+      client.getCustomColors(),
+      firebaseService.getCoursePreferences(uid)
+    ]);
+
+    const nicknameById = new Map(nicknames.map(entry => [String(entry.course_id), entry.nickname]));
+    let updated = 0;
+
+    for (const course of courses) {
+      const key = coursePreferenceService.preferenceKey(client.source, course.id);
+      const stored = preferences[key] || {};
+      const changes = {};
+
+      const nickname = nicknameById.get(String(course.id)) || null;
+      if (nickname !== (stored.nickname || null)) {
+        changes.nickname = nickname;
+      }
+
+      const color = colors[`course_${course.id}`] ? colors[`course_${course.id}`].toLowerCase() : null;
+      if (color && color !== stored.color) {
+        changes.color = color;
+      }
+
+      if (Object.keys(changes).length > 0) {
+        await firebaseService.setCoursePreferences(uid, key, {
+          courseId: course.id,
+          accountId: (client.source && client.source.accountId) || 'primary',
+          ...changes
+        });
+        updated++;
+      }
+    }
+
+    return updated;
+  },
+
+  /**
+   * List the user's preferences for each of their courses. Nicknames and colors are as of
+   * the last pull from Canvas; this only reads.
+   * @param {string} uid - User ID
+   * @param {Object} client - Single-account Canvas client
+   * @returns {Promise<Array>} Course IDs, names and preferences
+   */
+  listPreferences: async (uid, client) => {
+    const courses = await client.getCourses({ includeTeachers: false, includeTotalScores: false, includeHidden: true });
+    const preferences = await firebaseService.getCoursePreferences(uid);
+
+    return courses.map(course => {
+      const { courseId, accountId, updatedAt, ...stored } =
+        preferences[coursePreferenceService.preferenceKey(client.source, course.id)] || {};
+
+      return {
+        courseId: course.id,
+        name: course.original_name || course.name,
+        ...DEFAULT_PREFERENCES,
+        ...stored
+      };
+    });
+  }
+};
+
+module.exports = coursePreferenceService;
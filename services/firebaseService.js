@@ -1,113 +1,1214 @@
-const { db, auth } = require('../config/firebase');
+const { getStore } = require('../utils/storage');
+const userRepository = require('../repositories/userRepository');
+const credentialRepository = require('../repositories/credentialRepository');
+const courseRepository = require('../repositories/courseRepository');
+const { encryptToken, decryptToken, rewrapToken, getActiveKeyId, maskToken } = require('../utils/tokenCrypto');
+const { CanvasCredentialsMissingError } = require('../utils/canvasErrors');
 
 /**
- * Service for Firebase operations
+ * Build the stored form of a Canvas API key, encrypted with a per-user data key
+ * @param {string} canvasApiKey - Plaintext Canvas API key
+ * @returns {Object} Fields to store under canvasCredentials
+ */
+function buildEncryptedApiKey(canvasApiKey) {
+  const envelope = encryptToken(canvasApiKey);
+
+  return {
+    apiKeyEncrypted: envelope,
+    apiKeyLast4: canvasApiKey.slice(-4),
+    keyId: envelope.keyId,
+    // Remove any plaintext key left from before encryption
+    apiKey: credentialRepository.deleteField()
+  };
+}
+
+// Secrets that never leave the server, not even in a user's own data export
+const SECRET_FIELDS = ['apiKey', 'apiKeyEncrypted', 'refreshTokenEncrypted', 'tokenHash', 'codeVerifier'];
+
+/**
+ * Turn stored data into plain JSON, dropping secrets
+ * @param {*} value - Stored value
+ * @returns {*} Exportable value
+ */
+function toExportable(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toExportable);
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !SECRET_FIELDS.includes(key))
+    .map(([key, field]) => [key, toExportable(field)]));
+}
+
+/**
+ * Read a document and every subcollection under it
+ * @param {string} path - Document path
+ * @returns {Promise<Object>} Document data and subcollections, keyed by collection ID
+ */
+async function exportDocument(path) {
+  const store = getStore();
+  const [data, collections] = await Promise.all([store.get(path), store.listCollections(path)]);
+  const exported = { id: path.split('/').pop(), data: data ? toExportable(data) : null };
+
+  for (const collection of collections) {
+    const ids = await store.listDocuments(`${path}/${collection}`);
+    exported[collection] = await Promise.all(ids.map(id => exportDocument(`${path}/${collection}/${id}`)));
+  }
+
+  return exported;
+}
+
+/**
+ * Delete every document a query matches
+ * @param {string} collectionPath - Collection path
+ * @param {Object} options - Store query options
+ * @returns {Promise<number>} Number of documents deleted
+ */
+async function deleteQuery(collectionPath, options) {
+  const docs = await getStore().query(collectionPath, options);
+
+  await getStore().commit(docs.map(doc => ({ op: 'delete', path: doc.path })));
+
+  return docs.length;
+}
+
+// Stored course fields compared on refresh; a change to any of them counts as an update
+const COURSE_FIELDS = ['name', 'course_code', 'term', 'start_at', 'end_at', 'status', 'enrollmentState'];
+
+/**
+ * Work out the user's enrollment state in a Canvas course
+ * @param {Object} course - Canvas course with its enrollments
+ * @returns {string|null} 'active', 'invited', 'completed', 'concluded', another Canvas state, or null
+ */
+function enrollmentStateFor(course) {
+  // A concluded course is read-only for everyone, whatever the enrollment says
+  if (course.workflow_state === 'completed' || course.concluded === true) {
+    return 'concluded';
+  }
+
+  const states = (course.enrollments || []).map(enrollment => enrollment.enrollment_state);
+
+  if (states.includes('active')) return 'active';
+  if (states.includes('invited') || states.includes('creation_pending')) return 'invited';
+  if (states.includes('completed')) return 'completed';
+
+  return states[0] || null;
+}
+
+/**
+ * Work out whether a stored course is current or past
+ * @param {Object} course - Stored course
+ * @param {Date} now - Point in time to compare against
+ * @returns {string} 'current' or 'past'
+ */
+function courseStatusFor(course, now) {
+  if (['completed', 'concluded'].includes(course.enrollmentState)) {
+    return 'past';
+  }
+
+  // Determine if course is current based on end_at date
+  const endDate = course.end_at ? new Date(course.end_at) : null;
+  return !endDate || endDate > now ? 'current' : 'past';
+}
+
+/**
+ * Build the stored form of a Canvas course
+ * @param {Object} course - Canvas course
+ * @param {Date} now - Point in time to compare against
+ * @returns {Object} Course fields to store
+ */
+function toStoredCourse(course, now) {
+  const stored = {
+    id: course.id,
+    name: course.name,
+    course_code: course.course_code || null,
+    term: course.term ? course.term.name : null,
+    start_at: course.start_at || null,
+    end_at: course.end_at || null,
+    enrollmentState: enrollmentStateFor(course)
+  };
+
+  return { ...stored, status: courseStatusFor(stored, now) };
+}
+
+/**
+ * Build the stored form of a Canvas user profile
+ * @param {Object} canvasUser - Canvas user ID, name, time zone and locale
+ * @returns {Object} Fields to store under canvasUser
+ */
+function buildCanvasUser(canvasUser) {
+  return {
+    id: canvasUser.id,
+    name: canvasUser.name || null,
+    timeZone: canvasUser.timeZone || null,
+    locale: canvasUser.locale || null
+  };
+}
+
+/**
+ * Re-wrap a stored connection's encrypted tokens that use an old master key
+ * @param {Object} stored - Stored connection
+ * @param {string} activeKeyId - ID of the active master key
+ * @returns {Object|null} Fields to merge into the connection, or null if already current
+ */
+function rewrapStoredTokens(stored, activeKeyId) {
+  const changes = {};
+
+  if (stored.apiKeyEncrypted && stored.apiKeyEncrypted.keyId !== activeKeyId) {
+    changes.apiKeyEncrypted = rewrapToken(stored.apiKeyEncrypted);
+    changes.keyId = changes.apiKeyEncrypted.keyId;
+  }
+
+  if (stored.refreshTokenEncrypted && stored.refreshTokenEncrypted.keyId !== activeKeyId) {
+    changes.refreshTokenEncrypted = rewrapToken(stored.refreshTokenEncrypted);
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Describe a stored Canvas connection without exposing its API key
+ * @param {string} id - Account ID ('primary' for users/{uid}.canvasCredentials)
+ * @param {Object} stored - Stored connection
+ * @param {Object} canvasUser - Stored Canvas user for the connection
+ * @returns {Object} Account metadata
+ */
+function describeCanvasAccount(id, stored, canvasUser) {
+  return {
+    id,
+    name: stored.name || (id === 'primary' ? 'Primary' : id),
+    primary: id === 'primary',
+    canvasUrl: stored.url,
+    authType: stored.authType || 'token',
+    maskedApiKey: stored.apiKeyLast4 ? maskToken(stored.apiKeyLast4) : null,
+    status: stored.status || 'unknown',
+    checkedAt: stored.checkedAt || null,
+    canvasUser: canvasUser || null,
+    updatedAt: stored.updatedAt || null
+  };
+}
+
+/**
+ * Service for app data, kept in the storage backend selected by config
  */
 const firebaseService = {
   /**
-   * Store Canvas credentials for a user
+   * Store Canvas credentials for a user
+   * @param {string} uid - User ID
+   * @param {Object} credentials - Canvas credentials
+   * @returns {Promise<Object>} Result of operation
+   */
+  storeCanvasCredentials: async (uid, credentials) => {
+    try {
+      const { canvasUrl, canvasApiKey, canvasUser, name } = credentials;
+      
+      if (!canvasUrl || !canvasApiKey) {
+        throw new Error('Canvas URL and API key are required');
+      }
+
+      const now = new Date();
+      
+      // Store credentials, never writing the key in plaintext
+      await credentialRepository.mergePrimary(uid, {
+        url: canvasUrl,
+        authType: 'token',
+        ...buildEncryptedApiKey(canvasApiKey),
+        // A pasted token replaces any OAuth connection
+        refreshTokenEncrypted: credentialRepository.deleteField(),
+        expiresAt: credentialRepository.deleteField(),
+        status: canvasUser ? 'valid' : 'unknown',
+        statusMessage: null,
+        checkedAt: canvasUser ? now : null,
+        ...(name ? { name } : {}),
+        updatedAt: now
+      }, canvasUser ? buildCanvasUser(canvasUser) : null);
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error storing Canvas credentials:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get Canvas credentials for a user
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Canvas credentials
+   */
+  getCanvasCredentials: async (uid) => {
+    try {
+      const { credentials: stored } = await credentialRepository.getPrimary(uid);
+
+      if (!stored) {
+        throw new CanvasCredentialsMissingError();
+      }
+
+      // OAuth tokens expire, so hand them to the OAuth service to refresh as needed
+      if (stored.authType === 'oauth') {
+        const canvasOAuthService = require('./canvasOAuthService');
+        return await canvasOAuthService.buildCredentials(uid, stored);
+      }
+
+      if (stored.apiKeyEncrypted) {
+        return {
+          canvasUrl: stored.url,
+          canvasApiKey: decryptToken(stored.apiKeyEncrypted)
+        };
+      }
+
+      // Encrypt plaintext keys stored before encryption was introduced
+      if (stored.apiKey) {
+        try {
+          await credentialRepository.mergePrimary(uid, buildEncryptedApiKey(stored.apiKey));
+        } catch (migrationError) {
+          console.error(`Error encrypting plaintext Canvas credentials for user ${uid}:`, migrationError.message);
+        }
+
+        return {
+          canvasUrl: stored.url,
+          canvasApiKey: stored.apiKey
+        };
+      }
+
+      throw new CanvasCredentialsMissingError();
+    } catch (error) {
+      if (error instanceof CanvasCredentialsMissingError) {
+        throw error;
+      }
+
+      console.error('Error getting Canvas credentials:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get Canvas credential metadata for a user, with the API key masked
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Canvas URL, masked key and encryption details
+   */
+  getCanvasCredentialsMetadata: async (uid) => {
+    try {
+      const { credentials: stored } = await credentialRepository.getPrimary(uid);
+
+      if (!stored) {
+        throw new Error('Canvas credentials not found');
+      }
+
+      const last4 = stored.apiKeyLast4 || (stored.apiKey ? stored.apiKey.slice(-4) : null);
+
+      return {
+        canvasUrl: stored.url,
+        authType: stored.authType || 'token',
+        maskedApiKey: last4 ? maskToken(last4) : null,
+        encrypted: !!stored.apiKeyEncrypted,
+        keyId: stored.keyId || null,
+        updatedAt: stored.updatedAt || null
+      };
+    } catch (error) {
+      console.error('Error getting Canvas credentials metadata:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Store Canvas OAuth tokens for a user
+   * @param {string} uid - User ID
+   * @param {Object} tokens - Canvas URL, access token, refresh token and expiry
+   * @returns {Promise<Object>} Result of operation
+   */
+  storeCanvasOAuthTokens: async (uid, tokens) => {
+    try {
+      const { canvasUrl, accessToken, refreshToken, expiresAt, canvasUser } = tokens;
+      const now = new Date();
+
+      await credentialRepository.mergePrimary(uid, {
+        url: canvasUrl,
+        authType: 'oauth',
+        ...buildEncryptedApiKey(accessToken),
+        refreshTokenEncrypted: encryptToken(refreshToken),
+        expiresAt: expiresAt || null,
+        status: canvasUser ? 'valid' : 'unknown',
+        statusMessage: null,
+        checkedAt: canvasUser ? now : null,
+        updatedAt: now
+      }, canvasUser ? buildCanvasUser(canvasUser) : null);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error storing Canvas OAuth tokens:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record the result of checking a user's Canvas credentials
+   * @param {string} uid - User ID
+   * @param {Object} result - Status, message and Canvas user from canvasService.checkCredentials
+   * @returns {Promise<Object>} Result of operation
+   */
+  recordCanvasCredentialStatus: async (uid, result) => {
+    try {
+      const { status, message, canvasUser } = result;
+
+      await credentialRepository.mergePrimary(uid, {
+        status,
+        statusMessage: message || null,
+        checkedAt: new Date()
+      }, canvasUser ? buildCanvasUser(canvasUser) : null);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error recording Canvas credential status:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the status of a user's Canvas credentials as of the last check
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Status, when it was checked and the Canvas user
+   */
+  getCanvasCredentialStatus: async (uid) => {
+    try {
+      const { credentials: stored, canvasUser } = await credentialRepository.getPrimary(uid);
+
+      if (!stored) {
+        return { status: 'missing', checkedAt: null, canvasUser: null };
+      }
+
+      return {
+        canvasUrl: stored.url,
+        authType: stored.authType || 'token',
+        status: stored.status || 'unknown',
+        message: stored.statusMessage || null,
+        checkedAt: stored.checkedAt || null,
+        canvasUser
+      };
+    } catch (error) {
+      console.error('Error getting Canvas credential status:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace a user's Canvas OAuth access token after a refresh
+   * @param {string} uid - User ID
+   * @param {Object} tokens - New access token and expiry
+   * @returns {Promise<Object>} Result of operation
+   */
+  updateCanvasAccessToken: async (uid, tokens) => {
+    try {
+      const { accessToken, expiresAt } = tokens;
+
+      await credentialRepository.mergePrimary(uid, {
+        ...buildEncryptedApiKey(accessToken),
+        expiresAt: expiresAt || null,
+        updatedAt: new Date()
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating Canvas access token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's Canvas OAuth refresh token
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Canvas URL and refresh token
+   */
+  getCanvasRefreshToken: async (uid) => {
+    try {
+      const { credentials: stored } = await credentialRepository.getPrimary(uid);
+
+      if (!stored || !stored.refreshTokenEncrypted) {
+        throw new Error('Canvas refresh token not found');
+      }
+
+      return {
+        canvasUrl: stored.url,
+        refreshToken: decryptToken(stored.refreshTokenEncrypted)
+      };
+    } catch (error) {
+      console.error('Error getting Canvas refresh token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's Canvas credentials exactly as stored, without refreshing an expired
+   * OAuth access token, for revoking them and clearing their cache
+   * @param {string} uid - User ID
+   * @returns {Promise<Object|null>} Canvas URL, token and auth type, or null if there are none
+   */
+  getStoredCanvasCredentials: async (uid) => {
+    try {
+      const { credentials: stored } = await credentialRepository.getPrimary(uid);
+
+      if (!stored || (!stored.apiKeyEncrypted && !stored.apiKey)) {
+        return null;
+      }
+
+      return {
+        canvasUrl: stored.url,
+        canvasApiKey: stored.apiKeyEncrypted ? decryptToken(stored.apiKeyEncrypted) : stored.apiKey,
+        authType: stored.authType || 'token'
+      };
+    } catch (error) {
+      console.error('Error getting stored Canvas credentials:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a user's Canvas credentials
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Result of operation
+   */
+  clearCanvasCredentials: async (uid) => {
+    try {
+      await credentialRepository.clearPrimary(uid);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error clearing Canvas credentials:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save a pending OAuth authorization so the callback can be matched to the user
+   * @param {string} state - OAuth state value
+   * @param {Object} data - User ID, Canvas URL and PKCE verifier
+   * @returns {Promise<Object>} Result of operation
+   */
+  saveOAuthState: async (state, data) => {
+    try {
+      await getStore().set(`oauthStates/${state}`, {
+        ...data,
+        createdAt: new Date()
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving OAuth state:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Look up and delete a pending OAuth authorization, so each state can only be used once
+   * @param {string} state - OAuth state value
+   * @returns {Promise<Object|null>} Saved authorization, or null if unknown
+   */
+  consumeOAuthState: async (state) => {
+    try {
+      const path = `oauthStates/${state}`;
+
+      return await getStore().transaction(async (transaction) => {
+        const data = await transaction.get(path);
+
+        if (!data) {
+          return null;
+        }
+
+        transaction.delete(path);
+        return data;
+      });
+    } catch (error) {
+      console.error('Error consuming OAuth state:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List a user's Canvas connections, the primary one first
+   * @param {string} uid - User ID
+   * @returns {Promise<Array>} Account metadata
+   */
+  listCanvasAccounts: async (uid) => {
+    try {
+      const [primary, linked] = await Promise.all([
+        credentialRepository.getPrimary(uid),
+        credentialRepository.listLinked(uid)
+      ]);
+
+      const accounts = [];
+
+      if (primary.credentials) {
+        accounts.push(describeCanvasAccount('primary', primary.credentials, primary.canvasUser));
+      }
+
+      linked.forEach(account => {
+        accounts.push(describeCanvasAccount(account.id, account.data, account.data.canvasUser));
+      });
+
+      return accounts;
+    } catch (error) {
+      console.error('Error listing Canvas accounts:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get one of a user's Canvas connections
+   * @param {string} uid - User ID
+   * @param {string} accountId - Account ID, or 'primary'
+   * @returns {Promise<Object|null>} Account metadata, or null if not found
+   */
+  getCanvasAccount: async (uid, accountId) => {
+    try {
+      if (accountId === 'primary') {
+        const primary = await credentialRepository.getPrimary(uid);
+        return primary.credentials
+          ? describeCanvasAccount('primary', primary.credentials, primary.canvasUser)
+          : null;
+      }
+
+      const stored = await credentialRepository.getLinked(uid, accountId);
+
+      if (!stored) {
+        return null;
+      }
+
+      return describeCanvasAccount(accountId, stored, stored.canvasUser);
+    } catch (error) {
+      console.error('Error getting Canvas account:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Link another Canvas instance to a user
+   * @param {string} uid - User ID
+   * @param {Object} account - Name, Canvas URL, API key and Canvas user
+   * @returns {Promise<Object>} Metadata of the new account
+   */
+  addCanvasAccount: async (uid, account) => {
+    try {
+      const { name, canvasUrl, canvasApiKey, canvasUser } = account;
+      const now = new Date();
+
+      const stored = {
+        name,
+        url: canvasUrl,
+        authType: 'token',
+        ...buildEncryptedApiKey(canvasApiKey),
+        status: 'valid',
+        statusMessage: null,
+        checkedAt: now,
+        canvasUser: buildCanvasUser(canvasUser),
+        createdAt: now,
+        updatedAt: now
+      };
+      // A new document has no plaintext key to remove
+      delete stored.apiKey;
+
+      const accountId = await credentialRepository.addLinked(uid, stored);
+
+      return describeCanvasAccount(accountId, stored, stored.canvasUser);
+    } catch (error) {
+      console.error('Error adding Canvas account:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rename a Canvas connection or replace its URL and API key
+   * @param {string} uid - User ID
+   * @param {string} accountId - Account ID, or 'primary'
+   * @param {Object} updates - Name, and/or Canvas URL, API key and Canvas user
+   * @returns {Promise<Object>} Result of operation
+   */
+  updateCanvasAccount: async (uid, accountId, updates) => {
+    try {
+      const { name, canvasUrl, canvasApiKey, canvasUser } = updates;
+      const now = new Date();
+      const changes = { updatedAt: now };
+
+      if (name) {
+        changes.name = name;
+      }
+
+      if (canvasApiKey) {
+        Object.assign(changes, {
+          url: canvasUrl,
+          ...buildEncryptedApiKey(canvasApiKey),
+          status: 'valid',
+          statusMessage: null,
+          checkedAt: now
+        });
+      }
+
+      if (accountId === 'primary') {
+        if (canvasApiKey) {
+          // A pasted token replaces any OAuth connection
+          Object.assign(changes, {
+            authType: 'token',
+            refreshTokenEncrypted: credentialRepository.deleteField(),
+            expiresAt: credentialRepository.deleteField()
+          });
+        }
+
+        await credentialRepository.mergePrimary(uid, changes, canvasUser ? buildCanvasUser(canvasUser) : null);
+      } else {
+        if (canvasUser) {
+          changes.canvasUser = buildCanvasUser(canvasUser);
+        }
+        await credentialRepository.mergeLinked(uid, accountId, changes);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating Canvas account:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Unlink a Canvas instance from a user
+   * @param {string} uid - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} Result of operation
+   */
+  deleteCanvasAccount: async (uid, accountId) => {
+    try {
+      await credentialRepository.deleteLinked(uid, accountId);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting Canvas account:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the credentials for one of a user's Canvas connections
+   * @param {string} uid - User ID
+   * @param {string} accountId - Account ID, or 'primary'
+   * @returns {Promise<Object>} Canvas credentials and the account they belong to
+   */
+  getCanvasAccountCredentials: async (uid, accountId) => {
+    if (accountId === 'primary') {
+      const [credentials, account] = await Promise.all([
+        firebaseService.getCanvasCredentials(uid),
+        firebaseService.getCanvasAccount(uid, 'primary')
+      ]);
+      return { credentials, account };
+    }
+
+    try {
+      const stored = await credentialRepository.getLinked(uid, accountId);
+
+      if (!stored) {
+        const notFound = new Error(`Canvas account ${accountId} not found`);
+        notFound.status = 404;
+        throw notFound;
+      }
+
+      return {
+        credentials: {
+          canvasUrl: stored.url,
+          canvasApiKey: decryptToken(stored.apiKeyEncrypted)
+        },
+        account: describeCanvasAccount(accountId, stored, stored.canvasUser)
+      };
+    } catch (error) {
+      if (error.status !== 404) {
+        console.error('Error getting Canvas account credentials:', error);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Get the credentials for every Canvas connection a user has
+   * @param {string} uid - User ID
+   * @returns {Promise<Array>} Canvas credentials and account metadata, the primary account first
+   */
+  getAllCanvasAccountCredentials: async (uid) => {
+    const accounts = await firebaseService.listCanvasAccounts(uid);
+
+    return await Promise.all(accounts.map(account => firebaseService.getCanvasAccountCredentials(uid, account.id)));
+  },
+
+  /**
+   * Store a personal API token record
+   * @param {string} tokenId - Token ID
+   * @param {Object} record - User ID, name, scopes, token hash and expiry
+   * @returns {Promise<Object>} Result of operation
+   */
+  storeApiToken: async (tokenId, record) => {
+    try {
+      await getStore().set(`apiTokens/${tokenId}`, record);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error storing API token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a personal API token record
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object|null>} Token record, or null if not found
+   */
+  getApiToken: async (tokenId) => {
+    try {
+      const record = await getStore().get(`apiTokens/${tokenId}`);
+
+      return record ? { id: tokenId, ...record } : null;
+    } catch (error) {
+      console.error('Error getting API token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List a user's personal API token records
+   * @param {string} uid - User ID
+   * @returns {Promise<Array>} Token records
+   */
+  listApiTokens: async (uid) => {
+    try {
+      const docs = await getStore().query('apiTokens', { where: [['uid', '==', uid]] });
+
+      return docs.map(doc => ({ id: doc.id, ...doc.data }));
+    } catch (error) {
+      console.error('Error listing API tokens:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update fields on a personal API token record
+   * @param {string} tokenId - Token ID
+   * @param {Object} changes - Fields to merge
+   * @returns {Promise<Object>} Result of operation
+   */
+  updateApiToken: async (tokenId, changes) => {
+    try {
+      await getStore().set(`apiTokens/${tokenId}`, changes, { merge: true });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating API token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Collect everything stored about a user, without secrets
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} User document with its subcollections, API tokens and pending OAuth authorizations
+   */
+  exportUserData: async (uid) => {
+    try {
+      const byUser = { where: [['uid', '==', uid]] };
+      const [user, apiTokens, oauthStates] = await Promise.all([
+        exportDocument(userRepository.path(uid)),
+        getStore().query('apiTokens', byUser),
+        getStore().query('oauthStates', byUser)
+      ]);
+
+      return {
+        user,
+        apiTokens: apiTokens.map(doc => ({ id: doc.id, data: toExportable(doc.data) })),
+        oauthStates: oauthStates.map(doc => ({ id: doc.id, data: toExportable(doc.data) }))
+      };
+    } catch (error) {
+      console.error('Error exporting user data:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete everything stored about a user: their document with all subcollections,
+   * API tokens and pending OAuth authorizations
    * @param {string} uid - User ID
-   * @param {Object} credentials - Canvas credentials
    * @returns {Promise<Object>} Result of operation
    */
-  storeCanvasCredentials: async (uid, credentials) => {
+  deleteUserData: async (uid) => {
     try {
-      const { canvasUrl, canvasApiKey } = credentials;
-      
-      if (!canvasUrl || !canvasApiKey) {
-        throw new Error('Canvas URL and API key are required');
+      await userRepository.deleteAll(uid);
+
+      const apiTokens = await deleteQuery('apiTokens', { where: [['uid', '==', uid]] });
+      const oauthStates = await deleteQuery('oauthStates', { where: [['uid', '==', uid]] });
+
+      return { success: true, apiTokens, oauthStates };
+    } catch (error) {
+      console.error('Error deleting user data:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Encrypt every Canvas API key still stored in plaintext
+   * @returns {Promise<Object>} Number of users scanned and migrated
+   */
+  migratePlaintextCredentials: async () => {
+    try {
+      const users = await userRepository.list();
+      let migrated = 0;
+
+      for (const user of users) {
+        const stored = user.data.canvasCredentials;
+
+        if (stored && stored.apiKey && !stored.apiKeyEncrypted) {
+          await credentialRepository.mergePrimary(user.uid, buildEncryptedApiKey(stored.apiKey));
+          migrated++;
+        }
       }
-      
-      // Store credentials in Firestore
-      await db.collection('users').doc(uid).set({
-        canvasCredentials: {
-          url: canvasUrl,
-          apiKey: canvasApiKey,
-          updatedAt: new Date()
+
+      return { success: true, scanned: users.length, migrated };
+    } catch (error) {
+      console.error('Error migrating plaintext Canvas credentials:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Re-wrap every stored Canvas API key with the active master key
+   * @returns {Promise<Object>} Number of users scanned and rotated
+   */
+  rotateCredentialKeys: async () => {
+    try {
+      const activeKeyId = getActiveKeyId();
+      const users = await userRepository.list();
+      let rotated = 0;
+
+      for (const user of users) {
+        const stored = user.data.canvasCredentials;
+        const changes = stored ? rewrapStoredTokens(stored, activeKeyId) : null;
+
+        if (changes) {
+          await credentialRepository.mergePrimary(user.uid, changes);
+          rotated++;
+        }
+      }
+
+      // Linked Canvas instances are wrapped with the same master keys
+      const accounts = await credentialRepository.listAllLinked();
+
+      for (const account of accounts) {
+        const changes = rewrapStoredTokens(account.data, activeKeyId);
+
+        if (changes) {
+          await credentialRepository.mergeLinked(account.uid, account.id, changes);
+          rotated++;
         }
+      }
+
+      return { success: true, scanned: users.length + accounts.length, rotated, activeKeyId };
+    } catch (error) {
+      console.error('Error rotating Canvas credential keys:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace synced Canvas items in one of a user's subcollections
+   * @param {string} uid - User ID
+   * @param {string} collection - Subcollection name, e.g. 'assignments'
+   * @param {Array} items - Items to store, each with an id
+   * @returns {Promise<Object>} Result of operation
+   */
+  storeSyncedItems: async (uid, collection, items) => {
+    try {
+      const syncedAt = new Date();
+
+      await getStore().commit(items.map(item => ({
+        op: 'set',
+        path: `users/${uid}/${collection}/${item.id}`,
+        data: { ...item, syncedAt }
+      })));
+
+      return { success: true, count: items.length };
+    } catch (error) {
+      console.error(`Error storing synced ${collection}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the content hashes recorded for one of a user's synced subcollections
+   * @param {string} uid - User ID
+   * @param {string} collection - Subcollection name, e.g. 'assignments'
+   * @returns {Promise<Object|null>} Index entries keyed by item ID, or null if never synced
+   */
+  getSyncIndex: async (uid, collection) => {
+    try {
+      const index = await getStore().get(`users/${uid}/syncIndex/${collection}`);
+
+      return index ? index.entries || {} : null;
+    } catch (error) {
+      console.error(`Error getting sync index for ${collection}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Merge entries into the content hash index for one of a user's synced subcollections
+   * @param {string} uid - User ID
+   * @param {string} collection - Subcollection name, e.g. 'assignments'
+   * @param {Object} entries - Index entries keyed by item ID
+   * @returns {Promise<Object>} Result of operation
+   */
+  updateSyncIndex: async (uid, collection, entries) => {
+    try {
+      await getStore().set(`users/${uid}/syncIndex/${collection}`, {
+        entries,
+        updatedAt: new Date()
       }, { merge: true });
-      
+
       return { success: true };
     } catch (error) {
-      console.error('Error storing Canvas credentials:', error);
+      console.error(`Error updating sync index for ${collection}:`, error);
       throw error;
     }
   },
-  
+
   /**
-   * Get Canvas credentials for a user
+   * Append entries to a user's change feed
    * @param {string} uid - User ID
-   * @returns {Promise<Object>} Canvas credentials
+   * @param {Array} changes - Changes, each with a type, course, item and details
+   * @returns {Promise<Object>} Result of operation
    */
-  getCanvasCredentials: async (uid) => {
+  addChanges: async (uid, changes) => {
     try {
-      const userDoc = await db.collection('users').doc(uid).get();
-      
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
-      
-      const userData = userDoc.data();
-      
-      if (!userData.canvasCredentials) {
-        throw new Error('Canvas credentials not found');
-      }
-      
-      return {
-        canvasUrl: userData.canvasCredentials.url,
-        canvasApiKey: userData.canvasCredentials.apiKey
-      };
+      const now = Date.now();
+
+      await getStore().commit(changes.map((change, offset) => ({
+        op: 'set',
+        path: `users/${uid}/changes/${getStore().newId()}`,
+        // A millisecond apart, so paging with ?since= never skips changes that share a timestamp
+        data: { ...change, createdAt: new Date(now + offset) }
+      })));
+
+      return { success: true, count: changes.length };
     } catch (error) {
-      console.error('Error getting Canvas credentials:', error);
+      console.error('Error adding changes:', error);
       throw error;
     }
   },
-  
+
+  /**
+   * Get a user's change feed, oldest first
+   * @param {string} uid - User ID
+   * @param {Object} options - Only changes after `since`, at most `limit`
+   * @returns {Promise<Array>} Changes
+   */
+  getChanges: async (uid, options = {}) => {
+    try {
+      const { since = null, limit = 100 } = options;
+
+      const docs = await getStore().query(`users/${uid}/changes`, {
+        where: since ? [['createdAt', '>', since]] : [],
+        orderBy: 'createdAt',
+        limit
+      });
+
+      return docs.map(doc => ({ id: doc.id, ...doc.data }));
+    } catch (error) {
+      console.error('Error getting changes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the most recent grade snapshot for a course
+   * @param {string} uid - User ID
+   * @param {string} key - Grade history key
+   * @returns {Promise<Object|null>} Latest snapshot, or null if there is none
+   */
+  getLatestGradeSnapshot: async (uid, key) => {
+    try {
+      const history = await getStore().get(`users/${uid}/gradeHistory/${key}`);
+
+      return (history && history.latest) || null;
+    } catch (error) {
+      console.error('Error getting latest grade snapshot:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a grade snapshot for a course and make it the latest
+   * @param {string} uid - User ID
+   * @param {string} key - Grade history key
+   * @param {Object} snapshot - Scores, grades, causes and capture time
+   * @returns {Promise<Object>} Result of operation
+   */
+  addGradeSnapshot: async (uid, key, snapshot) => {
+    try {
+      const historyPath = `users/${uid}/gradeHistory/${key}`;
+
+      await getStore().commit([
+        { op: 'set', path: `${historyPath}/snapshots/${getStore().newId()}`, data: snapshot },
+        { op: 'set', path: historyPath, data: { courseId: snapshot.courseId, latest: snapshot }, merge: true }
+      ]);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error adding grade snapshot:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get every grade snapshot for a course, oldest first
+   * @param {string} uid - User ID
+   * @param {string} key - Grade history key
+   * @returns {Promise<Array>} Snapshots
+   */
+  getGradeHistory: async (uid, key) => {
+    try {
+      const docs = await getStore().query(`users/${uid}/gradeHistory/${key}/snapshots`, { orderBy: 'capturedAt' });
+
+      return docs.map(doc => ({ id: doc.id, ...doc.data }));
+    } catch (error) {
+      console.error('Error getting grade history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's background sync state
+   * @param {string} uid - User ID
+   * @returns {Promise<Object|null>} Sync state, or null if the user was never synced
+   */
+  getSyncState: async (uid) => {
+    try {
+      const userData = await userRepository.get(uid);
+
+      return (userData && userData.syncState) || null;
+    } catch (error) {
+      console.error('Error getting sync state:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a user's background sync state
+   * @param {string} uid - User ID
+   * @param {Object} changes - Sync state fields to merge
+   * @returns {Promise<Object>} Result of operation
+   */
+  updateSyncState: async (uid, changes) => {
+    try {
+      await userRepository.merge(uid, { syncState: changes });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating sync state:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List users with Canvas credentials, with their sync state, for the background sync
+   * @returns {Promise<Array>} User IDs and sync state
+   */
+  listSyncCandidates: async () => {
+    try {
+      const users = await userRepository.list({ select: ['canvasCredentials.url', 'syncState'] });
+
+      return users
+        .filter(user => user.data.canvasCredentials && user.data.canvasCredentials.url)
+        .map(user => ({ uid: user.uid, syncState: user.data.syncState || null }));
+    } catch (error) {
+      console.error('Error listing sync candidates:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's course preferences
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Preferences keyed by course preference key
+   */
+  getCoursePreferences: async (uid) => {
+    try {
+      const docs = await getStore().query(`users/${uid}/coursePreferences`);
+
+      return Object.fromEntries(docs.map(doc => [doc.id, doc.data]));
+    } catch (error) {
+      console.error('Error getting course preferences:', error);
+      throw error;
+    }
+  },
+
   /**
-   * Store user's courses in Firestore
+   * Merge changes into a user's preferences for one course. Kept apart from the
+   * course documents so refreshing courses never overwrites them.
    * @param {string} uid - User ID
-   * @param {Array} courses - List of courses
+   * @param {string} key - Course preference key
+   * @param {Object} changes - Preference fields to merge
    * @returns {Promise<Object>} Result of operation
    */
-  storeCourses: async (uid, courses) => {
+  setCoursePreferences: async (uid, key, changes) => {
+    try {
+      await getStore().set(`users/${uid}/coursePreferences/${key}`, {
+        ...changes,
+        updatedAt: new Date()
+      }, { merge: true });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error setting course preferences:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Store user's courses, reconciled against what Canvas returned.
+   * Stored courses missing from the list are marked dropped; unchanged ones aren't rewritten.
+   * @param {string} uid - User ID
+   * @param {Array} courses - Every course Canvas returns for the user, including concluded ones
+   * @param {Object} options - Additional options
+   * @param {boolean} options.truncated - The list stopped at the page cap, so missing courses may still exist
+   * @returns {Promise<Object>} Course count and the added, updated and removed courses
+   */
+  storeCourses: async (uid, courses, options = {}) => {
+    const { truncated = false } = options;
+
     try {
       // Get current date for labeling current/past courses
       const now = new Date();
-      
-      // Process courses to add status (current/past)
-      const processedCourses = courses.map(course => {
-        // Determine if course is current based on end_at date
-        const endDate = course.end_at ? new Date(course.end_at) : null;
-        const isCurrent = endDate ? endDate > now : true;
-        
-        return {
-          id: course.id,
-          name: course.name,
-          course_code: course.course_code,
-          term: course.term ? course.term.name : null,
-          start_at: course.start_at,
-          end_at: course.end_at,
-          status: isCurrent ? 'current' : 'past',
-          updatedAt: new Date()
-        };
-      });
-      
-      // Store courses in Firestore
-      const batch = db.batch();
-      
-      // Create courses collection for user
-      const userCoursesRef = db.collection('users').doc(uid).collection('courses');
-      
-      // Add each course to batch
-      for (const course of processedCourses) {
-        const courseRef = userCoursesRef.doc(course.id.toString());
-        batch.set(courseRef, course);
+      const storedCourses = await courseRepository.list(uid);
+      const existing = new Map(storedCourses.map(course => [String(course.id), course]));
+
+      const save = [];
+      const update = [];
+      const summary = { added: [], updated: [], removed: [] };
+
+      for (const course of courses) {
+        const stored = toStoredCourse(course, now);
+        const previous = existing.get(stored.id.toString());
+        existing.delete(stored.id.toString());
+
+        if (previous && COURSE_FIELDS.every(field => previous[field] === stored[field])) {
+          continue;
+        }
+
+        (previous ? summary.updated : summary.added).push({ id: stored.id, name: stored.name });
+        save.push({ ...stored, droppedAt: null, updatedAt: now });
       }
-      
-      // Commit batch
-      await batch.commit();
-      
-      return { success: true, courseCount: processedCourses.length };
+
+      // Courses Canvas no longer returns were dropped or deleted; keep them, marked as such.
+      // A truncated list says nothing about the courses past the cap, so none are marked.
+      for (const [id, previous] of truncated ? [] : existing) {
+        if (previous.status === 'dropped') continue;
+
+        summary.removed.push({ id: previous.id, name: previous.name });
+        update.push({ id, changes: { status: 'dropped', droppedAt: now, updatedAt: now } });
+      }
+
+      await courseRepository.write(uid, { save, update });
+
+      return { success: true, courseCount: courses.length, truncated, ...summary };
     } catch (error) {
       console.error('Error storing courses:', error);
       throw error;
@@ -115,30 +1216,15 @@ const firebaseService = {
   },
   
   /**
-   * Get user's courses from Firestore
+   * Get user's stored courses
    * @param {string} uid - User ID
    * @param {Object} options - Options for filtering courses
    * @returns {Promise<Array>} List of courses
    */
   getCourses: async (uid, options = {}) => {
     try {
-      const { status } = options;
-      
-      let query = db.collection('users').doc(uid).collection('courses');
-      
       // Filter by status if provided
-      if (status) {
-        query = query.where('status', '==', status);
-      }
-      
-      const snapshot = await query.get();
-      
-      if (snapshot.empty) {
-        return [];
-      }
-      
-      // Convert snapshot to array of courses
-      return snapshot.docs.map(doc => doc.data());
+      return await courseRepository.list(uid, { status: options.status });
     } catch (error) {
       console.error('Error getting courses:', error);
       throw error;
@@ -156,39 +1242,25 @@ const firebaseService = {
       const now = new Date();
       
       // Get all user's courses
-      const coursesSnapshot = await db.collection('users').doc(uid).collection('courses').get();
-      
-      if (coursesSnapshot.empty) {
-        return { success: true, updated: 0 };
-      }
-      
-      // Create batch for updates
-      const batch = db.batch();
-      let updatedCount = 0;
+      const courses = await courseRepository.list(uid);
+      const update = [];
       
       // Update each course status
-      coursesSnapshot.docs.forEach(doc => {
-        const course = doc.data();
-        const endDate = course.end_at ? new Date(course.end_at) : null;
-        const isCurrent = endDate ? endDate > now : true;
-        const newStatus = isCurrent ? 'current' : 'past';
+      courses.forEach(course => {
+        // Dropped courses stay dropped until Canvas returns them again
+        if (course.status === 'dropped') return;
+
+        const newStatus = courseStatusFor(course, now);
         
         // Only update if status has changed
         if (course.status !== newStatus) {
-          batch.update(doc.ref, { 
-            status: newStatus,
-            updatedAt: new Date()
-          });
-          updatedCount++;
+          update.push({ id: course.id, changes: { status: newStatus, updatedAt: now } });
         }
       });
       
-      // Commit batch if there are updates
-      if (updatedCount > 0) {
-        await batch.commit();
-      }
+      await courseRepository.write(uid, { update });
       
-      return { success: true, updated: updatedCount };
+      return { success: true, updated: update.length };
     } catch (error) {
       console.error('Error updating course status:', error);
       throw error;
@@ -0,0 +1,333 @@
+/**
+ * Round a percentage to two decimals, as Canvas reports scores
+ * @param {number|null} value - Percentage
+ * @returns {number|null} Rounded percentage
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Add up the points scored and possible over a list of scored items
+ * @param {Array} items - Items with score and possible
+ * @returns {Object} Total score and possible
+ */
+function sumItems(items) {
+  return items.reduce((sum, item) => ({
+    score: sum.score + item.score,
+    possible: sum.possible + item.possible
+  }), { score: 0, possible: 0 });
+}
+
+/**
+ * Pick the items to keep so the group's percentage is as high (or low) as it can be.
+ * Items with different points possible can't just be ranked by percentage, so this
+ * searches for the best ratio the way Canvas does: rank by score - ratio * possible,
+ * recompute the ratio from the kept items, and repeat until the choice settles.
+ * @param {Array} droppable - Items that may be dropped
+ * @param {Array} fixed - Items that always count (never_drop)
+ * @param {number} keep - How many droppable items to keep
+ * @param {boolean} highest - Keep the best items if true, the worst if false
+ * @returns {Array} Kept droppable items
+ */
+function keepItems(droppable, fixed, keep, highest) {
+  if (keep >= droppable.length) {
+    return droppable;
+  }
+
+  const base = sumItems(fixed);
+  const ratioOf = kept => {
+    const total = sumItems(kept);
+    const possible = base.possible + total.possible;
+    return possible > 0 ? (base.score + total.score) / possible : 0;
+  };
+  const pick = ratio => droppable
+    .slice()
+    .sort((a, b) => {
+      const difference = (b.score - ratio * b.possible) - (a.score - ratio * a.possible);
+      return highest ? difference : -difference;
+    })
+    .slice(0, keep);
+
+  let kept = pick(0);
+  // Each pass strictly improves the ratio, so this settles well within droppable.length passes
+  for (let pass = 0; pass <= droppable.length; pass++) {
+    const next = pick(ratioOf(kept));
+
+    if (next.every(item => kept.includes(item))) {
+      break;
+    }
+    kept = next;
+  }
+
+  return kept;
+}
+
+/**
+ * Apply an assignment group's drop rules, as Canvas does: never_drop items always count,
+ * drop_lowest never drops every item, and drop_highest is ignored if it would leave nothing
+ * @param {Array} items - Scored items in the group
+ * @param {Object} rules - drop_lowest, drop_highest and never_drop
+ * @returns {Object} Kept and dropped items
+ */
+function applyDropRules(items, rules = {}) {
+  const neverDrop = (rules.never_drop || []).map(String);
+  const fixed = items.filter(item => neverDrop.includes(String(item.assignmentId)));
+  const droppable = items.filter(item => !neverDrop.includes(String(item.assignmentId)));
+
+  const dropLowest = Math.max(Math.min(rules.drop_lowest || 0, droppable.length - 1), 0);
+  const dropHighest = dropLowest + (rules.drop_highest || 0) >= droppable.length ? 0 : rules.drop_highest || 0;
+
+  if (dropLowest === 0 && dropHighest === 0) {
+    return { kept: items, dropped: [] };
+  }
+
+  let kept = keepItems(droppable, fixed, droppable.length - dropLowest, true);
+  kept = keepItems(kept, fixed, kept.length - dropHighest, false);
+
+  return {
+    kept: [...fixed, ...kept],
+    dropped: droppable.filter(item => !kept.includes(item))
+  };
+}
+
+/**
+ * Check whether an assignment counts towards the course grade at all
+ * @param {Object} assignment - Canvas assignment
+ * @returns {boolean} True if it counts
+ */
+function countsTowardsGrade(assignment) {
+  return assignment.published !== false &&
+    !assignment.omit_from_final_grade &&
+    assignment.grading_type !== 'not_graded';
+}
+
+/**
+ * Give assignments hypothetical scores, as if they were graded, replacing whatever Canvas has
+ * @param {Array} submissions - Canvas submissions
+ * @param {Array} hypotheticals - Assignment IDs with the score to assume for each
+ * @returns {Array} Submissions with the hypothetical scores
+ */
+function withScores(submissions, hypotheticals) {
+  const byAssignment = new Map(hypotheticals.map(entry => [String(entry.assignmentId), entry.score]));
+  const known = new Set(submissions.map(submission => String(submission.assignment_id)));
+
+  return submissions
+    .map(submission => (byAssignment.has(String(submission.assignment_id))
+      ? { ...submission, score: byAssignment.get(String(submission.assignment_id)), excused: false }
+      : submission))
+    .concat(hypotheticals
+      .filter(entry => !known.has(String(entry.assignmentId)))
+      .map(entry => ({ assignment_id: entry.assignmentId, score: entry.score, excused: false })));
+}
+
+/**
+ * Find the lowest average, as a fraction of points possible, that reaches a target score
+ * @param {Function} scoreAt - Final score when the remaining work averages a given fraction
+ * @param {number} target - Percentage to reach
+ * @returns {number|null} Lowest average from 0 to 1, or null if even full marks fall short
+ */
+function lowestAverage(scoreAt, target) {
+  if (scoreAt(0) >= target) return 0;
+  if (scoreAt(1) < target) return null;
+
+  // Scores only go up as the average does, so narrow the range down to a thousandth of a percent
+  let low = 0;
+  let high = 1;
+  while (high - low > 0.00001) {
+    const middle = (low + high) / 2;
+    if (scoreAt(middle) >= target) high = middle;
+    else low = middle;
+  }
+
+  return high;
+}
+
+/**
+ * Turn an average into a percentage, rounded up so it is always enough
+ * @param {number|null} average - Average from 0 to 1
+ * @returns {number|null} Percentage with two decimals
+ */
+function toRequiredPercent(average) {
+  // The nudge against float error would otherwise turn a zero average into -0
+  return average === null ? null : Math.max(Math.ceil(average * 10000 - 0.000001), 0) / 100;
+}
+
+/**
+ * Service for working out course grades from assignment groups and submissions
+ */
+const gradeCalculatorService = {
+  /**
+   * Work out the current and final scores Canvas would show for a course. The current
+   * score only counts graded work; the final score counts ungraded work as zero.
+   * Excused work and assignments that don't count towards the grade are left out.
+   * @param {Object} input - Calculation input
+   * @param {Array} input.assignmentGroups - Canvas assignment groups fetched with include[]=assignments
+   * @param {Array} input.submissions - The student's Canvas submissions for the course
+   * @param {boolean} input.applyGroupWeights - The course's apply_assignment_group_weights setting
+   * @returns {Object} Current and final score, with a breakdown per assignment group
+   */
+  calculate: ({ assignmentGroups, submissions, applyGroupWeights }) => {
+    const submissionByAssignment = new Map(submissions.map(submission => [String(submission.assignment_id), submission]));
+
+    const groups = assignmentGroups.map(group => {
+      const items = (group.assignments || [])
+        .filter(countsTowardsGrade)
+        .map(assignment => {
+          const submission = submissionByAssignment.get(String(assignment.id)) || {};
+          const graded = submission.score !== null && submission.score !== undefined;
+
+          return {
+            assignmentId: assignment.id,
+            possible: assignment.points_possible || 0,
+            score: graded ? submission.score : 0,
+            graded,
+            excused: !!submission.excused
+          };
+        })
+        .filter(item => !item.excused);
+
+      const sumsFor = final => {
+        const { kept, dropped } = applyDropRules(items.filter(item => final || item.graded), group.rules);
+        const total = sumItems(kept);
+
+        return {
+          score: total.score,
+          possible: total.possible,
+          percent: total.possible > 0 ? round((total.score / total.possible) * 100) : null,
+          dropped: dropped.map(item => item.assignmentId)
+        };
+      };
+
+      return {
+        id: group.id,
+        name: group.name,
+        weight: group.group_weight || 0,
+        current: sumsFor(false),
+        final: sumsFor(true)
+      };
+    });
+
+    /**
+     * Combine the group totals into a course percentage
+     * @param {string} kind - 'current' or 'final'
+     * @returns {number|null} Percentage, or null if nothing counts yet
+     */
+    const totalFor = kind => {
+      if (!applyGroupWeights) {
+        const total = sumItems(groups.map(group => group[kind]));
+        return total.possible > 0 ? round((total.score / total.possible) * 100) : null;
+      }
+
+      // Groups with nothing to grade drop out, and the remaining weights are scaled up to 100%
+      const counted = groups.filter(group => group[kind].possible > 0);
+      const fullWeight = counted.reduce((sum, group) => sum + group.weight, 0);
+
+      if (fullWeight === 0) {
+        return null;
+      }
+
+      const weighted = counted.reduce((sum, group) =>
+        sum + (group[kind].score / group[kind].possible) * group.weight, 0);
+
+      return round(fullWeight < 100 ? weighted * 100 / fullWeight : weighted);
+    };
+
+    return {
+      currentScore: totalFor('current'),
+      finalScore: totalFor('final'),
+      groups
+    };
+  },
+
+  /**
+   * Work out a course's scores with some assignments given hypothetical scores
+   * @param {Object} input - Same input as calculate
+   * @param {Array} hypotheticals - Assignment IDs with the score to assume for each
+   * @returns {Object} Scores as they stand, and as they would be
+   */
+  whatIf: (input, hypotheticals) => {
+    return {
+      actual: gradeCalculatorService.calculate(input),
+      whatIf: gradeCalculatorService.calculate({ ...input, submissions: withScores(input.submissions, hypotheticals) })
+    };
+  },
+
+  /**
+   * Work out the average needed on the remaining ungraded work to finish with a target score.
+   * Overall, every remaining assignment is assumed to get the same average. Per group,
+   * requiredAlone is the average needed on that group's remaining work while the other
+   * groups' remaining work keeps the pace the student has set in them so far.
+   * @param {Object} input - Same input as calculate
+   * @param {number} targetScore - Percentage to finish with
+   * @returns {Object} Required averages as percentages, or null where the target can't be reached
+   */
+  scoreNeeded: (input, targetScore) => {
+    const actual = gradeCalculatorService.calculate(input);
+    const graded = new Set(input.submissions
+      .filter(submission => submission.excused || (submission.score !== null && submission.score !== undefined))
+      .map(submission => String(submission.assignment_id)));
+
+    const remaining = input.assignmentGroups.flatMap(group => (group.assignments || [])
+      .filter(assignment => countsTowardsGrade(assignment) && !graded.has(String(assignment.id)))
+      .map(assignment => ({ assignmentId: assignment.id, groupId: group.id, possible: assignment.points_possible || 0 })));
+
+    // The pace in a group is its current percentage, or the course's if nothing in it is graded yet
+    const paceFor = groupId => {
+      const group = actual.groups.find(candidate => candidate.id === groupId);
+      const percent = group && group.current.percent !== null ? group.current.percent : actual.currentScore;
+      return percent === null ? 0 : percent / 100;
+    };
+
+    /**
+     * Final score with the remaining work scored at an average
+     * @param {number} average - Average from 0 to 1
+     * @param {number|null} onlyGroupId - Apply the average to this group only, the others keeping pace
+     * @returns {number} Final score
+     */
+    const scoreAt = (average, onlyGroupId = null) => {
+      const hypotheticals = remaining.map(item => ({
+        assignmentId: item.assignmentId,
+        score: (onlyGroupId === null || item.groupId === onlyGroupId ? average : paceFor(item.groupId)) * item.possible
+      }));
+
+      return gradeCalculatorService.calculate({ ...input, submissions: withScores(input.submissions, hypotheticals) }).finalScore || 0;
+    };
+
+    const average = remaining.length > 0 ? lowestAverage(scoreAt, targetScore) : null;
+    const requiredAverage = toRequiredPercent(average);
+
+    const groups = actual.groups
+      .map(group => {
+        const items = remaining.filter(item => item.groupId === group.id);
+        const possible = sumItems(items.map(item => ({ score: 0, possible: item.possible }))).possible;
+
+        return {
+          id: group.id,
+          name: group.name,
+          weight: group.weight,
+          remainingAssignments: items.length,
+          remainingPossible: possible,
+          pointsNeeded: requiredAverage === null ? null : Math.max(Math.ceil(requiredAverage * possible - 0.000001), 0) / 100,
+          requiredAlone: items.length > 0 ? toRequiredPercent(lowestAverage(value => scoreAt(value, group.id), targetScore)) : null
+        };
+      })
+      .filter(group => group.remainingAssignments > 0);
+
+    const finalScore = actual.finalScore === null ? 0 : actual.finalScore;
+
+    return {
+      currentScore: actual.currentScore,
+      finalScore: actual.finalScore,
+      maximumScore: remaining.length > 0 ? scoreAt(1) : finalScore,
+      remainingAssignments: remaining.length,
+      remainingPossible: sumItems(remaining.map(item => ({ score: 0, possible: item.possible }))).possible,
+      reachable: remaining.length > 0 ? average !== null : finalScore >= targetScore,
+      secured: finalScore >= targetScore,
+      requiredAverage,
+      groups
+    };
+  }
+};
+
+module.exports = gradeCalculatorService;
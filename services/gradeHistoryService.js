@@ -0,0 +1,120 @@
+const firebaseService = require('./firebaseService');
+
+/**
+ * Convert a stored date (Date, Firestore Timestamp or null) into a Date
+ * @param {*} value - Stored date
+ * @returns {Date|null} Date
+ */
+function toDate(value) {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Service for snapshots of course grades over time
+ */
+const gradeHistoryService = {
+  /**
+   * Build the key a course's grade history is stored under. Courses from linked
+   * Canvas accounts and observees' grades get their own history.
+   * @param {Object|null} source - Canvas account the course came from
+   * @param {Object|null} observee - Observee the grade belongs to
+   * @param {number|string} courseId - Course ID
+   * @returns {string} History key
+   */
+  historyKey: (source, observee, courseId) => {
+    return [
+      source && source.accountId && source.accountId !== 'primary' ? `account-${source.accountId}` : null,
+      observee ? `observee-${observee.id}` : null,
+      String(courseId)
+    ].filter(Boolean).join('_');
+  },
+
+  /**
+   * Read the scores and letter grades from a course's student enrollment
+   * @param {Object} course - Canvas course fetched with total scores
+   * @returns {Object|null} Current and final score and grade, or null if not enrolled as a student
+   */
+  scoresFromCourse: (course) => {
+    const enrollment = (course.enrollments || []).find(e => e.type === 'student');
+
+    if (!enrollment) {
+      return null;
+    }
+
+    return {
+      currentScore: enrollment.computed_current_score ?? null,
+      finalScore: enrollment.computed_final_score ?? null,
+      currentGrade: enrollment.computed_current_grade ?? null,
+      finalGrade: enrollment.computed_final_grade ?? null
+    };
+  },
+
+  /**
+   * Snapshot a course's grade if it changed since the last snapshot, crediting the
+   * submissions graded in between
+   * @param {string} uid - User ID
+   * @param {string} key - History key from historyKey
+   * @param {Object} course - Canvas course fetched with total scores
+   * @param {Array} submissions - Canvas submissions for the course
+   * @param {Map} assignmentNames - Assignment names by ID
+   * @returns {Promise<Object|null>} New snapshot, or null if the grade didn't change
+   */
+  recordSnapshot: async (uid, key, course, submissions = [], assignmentNames = new Map()) => {
+    const scores = gradeHistoryService.scoresFromCourse(course);
+
+    if (!scores) {
+      return null;
+    }
+
+    const latest = await firebaseService.getLatestGradeSnapshot(uid, key);
+
+    if (latest &&
+        latest.currentScore === scores.currentScore && latest.finalScore === scores.finalScore &&
+        latest.currentGrade === scores.currentGrade && latest.finalGrade === scores.finalGrade) {
+      return null;
+    }
+
+    // The first snapshot is a baseline, later ones are explained by what was graded since
+    const previousAt = latest ? toDate(latest.capturedAt) : null;
+    const causes = !previousAt ? [] : submissions
+      .filter(submission => submission.graded_at && new Date(submission.graded_at) > previousAt)
+      .map(submission => ({
+        submissionId: submission.id,
+        assignmentId: submission.assignment_id,
+        assignmentName: assignmentNames.get(submission.assignment_id) || null,
+        score: submission.score ?? null,
+        grade: submission.grade ?? null,
+        gradedAt: submission.graded_at
+      }));
+
+    const snapshot = {
+      courseId: course.id,
+      courseName: course.name,
+      ...scores,
+      delta: latest && latest.currentScore !== null && scores.currentScore !== null
+        ? Math.round((scores.currentScore - latest.currentScore) * 100) / 100
+        : null,
+      causes,
+      capturedAt: new Date()
+    };
+
+    await firebaseService.addGradeSnapshot(uid, key, snapshot);
+
+    return snapshot;
+  },
+
+  /**
+   * Get a course's grade timeline, oldest first
+   * @param {string} uid - User ID
+   * @param {string} key - History key from historyKey
+   * @returns {Promise<Array>} Snapshots
+   */
+  getHistory: async (uid, key) => {
+    const snapshots = await firebaseService.getGradeHistory(uid, key);
+
+    return snapshots.map(snapshot => ({ ...snapshot, capturedAt: toDate(snapshot.capturedAt) }));
+  }
+};
+
+module.exports = gradeHistoryService;
@@ -0,0 +1,171 @@
+const { CanvasUnauthorizedError, CanvasForbiddenError } = require('../utils/canvasErrors');
+const { createMemoryCache } = require('../utils/canvasCache');
+
+// How long to remember that Canvas wouldn't list an account's grading standards for a user
+const REFUSAL_TTL_MS = 60 * 60 * 1000;
+const refusedAccounts = createMemoryCache({ maxEntries: 1000 });
+
+// Canvas's default grading scheme, used when a course doesn't set its own
+const DEFAULT_GRADING_SCHEME = [
+  { name: 'A', value: 0.94 },
+  { name: 'A-', value: 0.9 },
+  { name: 'B+', value: 0.87 },
+  { name: 'B', value: 0.84 },
+  { name: 'B-', value: 0.8 },
+  { name: 'C+', value: 0.77 },
+  { name: 'C', value: 0.74 },
+  { name: 'C-', value: 0.7 },
+  { name: 'D+', value: 0.67 },
+  { name: 'D', value: 0.64 },
+  { name: 'D-', value: 0.61 },
+  { name: 'F', value: 0 }
+];
+
+/**
+ * Turn a Canvas grading scheme into letter grades with their minimum percentage, highest first
+ * @param {Array} scheme - Canvas grading scheme entries, each a name and a value from 0 to 1
+ * @returns {Array} Letter grades with their minimum score
+ */
+function toGrades(scheme) {
+  return scheme
+    .map(entry => ({ name: entry.name, minimumScore: Math.round(entry.value * 10000) / 100 }))
+    .sort((a, b) => b.minimumScore - a.minimumScore);
+}
+
+/**
+ * Get the grading standards set on an account, or none if Canvas won't list them for this user.
+ * A refusal is remembered for a while, so courses without letters don't ask again on every request.
+ * @param {Object} canvas - Canvas client for the account the course came from
+ * @param {number} accountId - Canvas account ID
+ * @returns {Promise<Array>} Grading standards
+ */
+async function getAccountStandards(canvas, accountId) {
+  const key = `${canvas.canvasUrl}:${canvas.uid}:${accountId}`;
+  const refused = await refusedAccounts.get(key);
+
+  if (refused && refused.expiresAt > Date.now()) {
+    return [];
+  }
+
+  try {
+    const standards = await canvas.getAccountGradingStandards(accountId);
+    return Array.isArray(standards) ? standards : [];
+  } catch (error) {
+    if (!(error instanceof CanvasUnauthorizedError) && !(error instanceof CanvasForbiddenError)) {
+      throw error;
+    }
+
+    await refusedAccounts.set(key, { userKey: canvas.uid, expiresAt: Date.now() + REFUSAL_TTL_MS });
+    return [];
+  }
+}
+
+/**
+ * Service for the letter-grade scales courses grade against
+ */
+const gradingScaleService = {
+  /**
+   * Work out the scale a course grades against: the grading standard it's set to, whether
+   * defined on the course or on its account, otherwise Canvas's default scheme
+   * @param {Object} course - Canvas course
+   * @param {Array} standards - Grading standards available to the course
+   * @returns {Object} Scale ID, title, where it came from ('course', 'account' or 'default') and its grades
+   */
+  scaleForCourse: (course, standards = []) => {
+    const standard = course.grading_standard_id
+      ? standards.find(candidate => String(candidate.id) === String(course.grading_standard_id))
+      : null;
+
+    if (standard) {
+      return {
+        id: standard.id,
+        title: standard.title,
+        source: standard.context_type === 'Account' ? 'account' : 'course',
+        grades: toGrades(standard.grading_scheme)
+      };
+    }
+
+    return { id: null, title: 'Default Grading Scheme', source: 'default', grades: toGrades(DEFAULT_GRADING_SCHEME) };
+  },
+
+  /**
+   * Fetch the grading standards for a course and work out its scale. Canvas responses for
+   * grading standards are cached for an hour, so this is cheap to call per course.
+   * @param {Object} canvas - Canvas client for the account the course came from
+   * @param {Object} course - Canvas course
+   * @returns {Promise<Object>} Scale from scaleForCourse
+   */
+  getScale: async (canvas, course) => {
+    if (!course.grading_standard_id) {
+      return gradingScaleService.scaleForCourse(course);
+    }
+
+    const standards = await canvas.getGradingStandards(course.id);
+    const scale = gradingScaleService.scaleForCourse(course, Array.isArray(standards) ? standards : []);
+
+    if (scale.source !== 'default' || !course.account_id) {
+      return scale;
+    }
+
+    // The course's list usually includes its account's standards, but not always a parent account's
+    return gradingScaleService.scaleForCourse(course, await getAccountStandards(canvas, course.account_id));
+  },
+
+  /**
+   * Convert a percentage into a letter grade on a scale
+   * @param {Object} scale - Scale from scaleForCourse
+   * @param {number|null} score - Percentage score
+   * @returns {string|null} Letter grade, or null without a score
+   */
+  letterFor: (scale, score) => {
+    if (score === null || score === undefined) {
+      return null;
+    }
+
+    const grade = scale.grades.find(entry => score >= entry.minimumScore);
+    return grade ? grade.name : scale.grades[scale.grades.length - 1].name;
+  },
+
+  /**
+   * Get the letter grade for a course score, using Canvas's letter if it has one and
+   * deriving it from the course's scale if not (Canvas leaves letters out for courses
+   * without a grading standard enabled)
+   * @param {Object} canvas - Canvas client for the account the course came from
+   * @param {Object} course - Canvas course
+   * @param {number|null} score - Percentage score
+   * @param {string|null} canvasLetter - Letter grade Canvas returned
+   * @returns {Promise<string|null>} Letter grade, or null without a score
+   */
+  gradeLetterFor: async (canvas, course, score, canvasLetter) => {
+    if (canvasLetter || score === null || score === undefined) {
+      return canvasLetter ?? null;
+    }
+
+    try {
+      return gradingScaleService.letterFor(await gradingScaleService.getScale(canvas, course), score);
+    } catch (error) {
+      console.error(`Error deriving letter grade for course ${course.id}:`, error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Find a letter grade on a scale. A "+" sent unencoded in a query string arrives
+   * as a space, so "B " also finds "B+".
+   * @param {Object} scale - Scale from scaleForCourse
+   * @param {string} name - Letter grade, e.g. 'B+'
+   * @returns {Object|null} Grade with its minimum score, or null if the scale has no such grade
+   */
+  findGrade: (scale, name) => {
+    const candidates = [String(name), String(name).replace(/ /g, '+'), String(name).trim()];
+
+    for (const candidate of candidates) {
+      const grade = scale.grades.find(entry => entry.name.toLowerCase() === candidate.toLowerCase());
+      if (grade) return grade;
+    }
+
+    return null;
+  }
+};
+
+module.exports = gradingScaleService;
@@ -0,0 +1,97 @@
+const { auth } = require('../config/firebase');
+const { ROLES, DEFAULT_ROLES } = require('../config/roles');
+
+/**
+ * Read the roles from a user's custom claims
+ * @param {Object} claims - Custom claims or decoded ID token
+ * @returns {Array<string>} Roles
+ */
+function rolesFromClaims(claims) {
+  return Array.isArray(claims && claims.roles) && claims.roles.length > 0 ? claims.roles : DEFAULT_ROLES;
+}
+
+/**
+ * Check whether a set of roles satisfies any of the required ones; admins satisfy everything
+ * @param {Array<string>} roles - Roles the user holds
+ * @param {Array<string>} required - Roles that are allowed
+ * @returns {boolean} Whether the user is allowed
+ */
+function hasAnyRole(roles, required) {
+  const held = roles || [];
+  return held.includes('admin') || required.some(role => held.includes(role));
+}
+
+/**
+ * Check that a role is one we know about
+ * @param {string} role - Role name
+ */
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    const error = new Error(`Unknown role "${role}", expected one of ${ROLES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Service for user roles, stored as Firebase custom claims
+ */
+const roleService = {
+  rolesFromClaims,
+  hasAnyRole,
+
+  /**
+   * Get a user's roles
+   * @param {string} uid - User ID
+   * @returns {Promise<Array<string>>} Roles
+   */
+  getRoles: async (uid) => {
+    const userRecord = await auth.getUser(uid);
+    return rolesFromClaims(userRecord.customClaims);
+  },
+
+  /**
+   * Replace a user's roles, keeping any other custom claims they have
+   * @param {string} uid - User ID
+   * @param {Array<string>} roles - New roles
+   * @returns {Promise<Array<string>>} Roles now held
+   */
+  setRoles: async (uid, roles) => {
+    roles.forEach(assertRole);
+
+    const userRecord = await auth.getUser(uid);
+    const roleSet = Array.from(new Set(roles));
+
+    await auth.setCustomUserClaims(uid, { ...(userRecord.customClaims || {}), roles: roleSet });
+
+    return rolesFromClaims({ roles: roleSet });
+  },
+
+  /**
+   * Give a user a role
+   * @param {string} uid - User ID
+   * @param {string} role - Role to grant
+   * @returns {Promise<Array<string>>} Roles now held
+   */
+  grantRole: async (uid, role) => {
+    assertRole(role);
+
+    const roles = await roleService.getRoles(uid);
+    return await roleService.setRoles(uid, [...roles, role]);
+  },
+
+  /**
+   * Take a role away from a user
+   * @param {string} uid - User ID
+   * @param {string} role - Role to revoke
+   * @returns {Promise<Array<string>>} Roles now held
+   */
+  revokeRole: async (uid, role) => {
+    assertRole(role);
+
+    const roles = await roleService.getRoles(uid);
+    return await roleService.setRoles(uid, roles.filter(existing => existing !== role));
+  }
+};
+
+module.exports = roleService;
@@ -0,0 +1,453 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+const firebaseService = require('./firebaseService');
+const canvasService = require('./canvasService');
+const gradeHistoryService = require('./gradeHistoryService');
+const coursePreferenceService = require('./coursePreferenceService');
+
+const MINUTE_MS = 60 * 1000;
+
+// Look a little further back than the last successful sync so nothing slips through the gap
+const SINCE_OVERLAP_MS = 10 * MINUTE_MS;
+
+// Timer for the scheduler tick, and users being synced right now
+let timer = null;
+let ticking = false;
+const syncing = new Set();
+
+/**
+ * Convert a stored date (Date, Firestore Timestamp or null) into a Date
+ * @param {*} value - Stored date
+ * @returns {Date|null} Date
+ */
+function toDate(value) {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Spread a delay by up to +/- SYNC_JITTER_RATIO, so users added together don't stay in lockstep
+ * @param {number} delayMs - Delay in milliseconds
+ * @returns {number} Jittered delay in milliseconds
+ */
+function withJitter(delayMs) {
+  const spread = delayMs * env.SYNC_JITTER_RATIO;
+  return Math.round(delayMs + (Math.random() * 2 - 1) * spread);
+}
+
+/**
+ * Work out when to sync a user next: the regular interval after a success,
+ * doubling after each consecutive failure up to SYNC_MAX_BACKOFF_MINUTES
+ * @param {number} consecutiveFailures - Failures since the last success
+ * @returns {Date} Next sync time
+ */
+function nextSyncAt(consecutiveFailures) {
+  const intervalMs = env.SYNC_INTERVAL_MINUTES * MINUTE_MS;
+  const delayMs = consecutiveFailures > 0
+    ? Math.min(intervalMs * 2 ** consecutiveFailures, env.SYNC_MAX_BACKOFF_MINUTES * MINUTE_MS)
+    : intervalMs;
+
+  return new Date(Date.now() + withJitter(delayMs));
+}
+
+/**
+ * Pick the assignment fields we keep in Firestore
+ * @param {Object} assignment - Canvas assignment
+ * @returns {Object} Stored assignment
+ */
+function toStoredAssignment(assignment) {
+  return {
+    id: assignment.id,
+    courseId: assignment.course_id,
+    name: assignment.name,
+    dueAt: assignment.due_at || null,
+    pointsPossible: assignment.points_possible ?? null,
+    submissionTypes: assignment.submission_types || [],
+    published: assignment.published !== false,
+    htmlUrl: assignment.html_url || null,
+    updatedAt: assignment.updated_at || null
+  };
+}
+
+/**
+ * Pick the submission fields we keep in Firestore
+ * @param {Object} submission - Canvas submission
+ * @param {number} courseId - Course ID
+ * @returns {Object} Stored submission
+ */
+function toStoredSubmission(submission, courseId) {
+  return {
+    id: submission.id,
+    courseId,
+    assignmentId: submission.assignment_id,
+    score: submission.score ?? null,
+    grade: submission.grade ?? null,
+    workflowState: submission.workflow_state || null,
+    submittedAt: submission.submitted_at || null,
+    gradedAt: submission.graded_at || null,
+    late: !!submission.late,
+    missing: !!submission.missing,
+    excused: !!submission.excused
+  };
+}
+
+/**
+ * Pick the announcement fields we keep in Firestore
+ * @param {Object} announcement - Canvas announcement
+ * @returns {Object} Stored announcement
+ */
+function toStoredAnnouncement(announcement) {
+  const courseId = /^course_(\d+)$/.exec(announcement.context_code || '');
+
+  return {
+    id: announcement.id,
+    courseId: courseId ? Number(courseId[1]) : null,
+    title: announcement.title,
+    message: announcement.message || null,
+    postedAt: announcement.posted_at || null,
+    author: announcement.author ? announcement.author.display_name || null : null,
+    htmlUrl: announcement.html_url || null
+  };
+}
+
+/**
+ * Pick the calendar event fields we keep in Firestore
+ * @param {Object} event - Canvas calendar event
+ * @returns {Object} Stored calendar event
+ */
+function toStoredCalendarEvent(event) {
+  return {
+    id: event.id,
+    title: event.title,
+    startAt: event.start_at || null,
+    endAt: event.end_at || null,
+    allDay: !!event.all_day,
+    contextCode: event.context_code || null,
+    locationName: event.location_name || null,
+    htmlUrl: event.html_url || null
+  };
+}
+
+/**
+ * Hash a stored item, so unchanged items can be skipped
+ * @param {Object} item - Stored item
+ * @returns {string} Hex SHA-1 hash
+ */
+function hashItem(item) {
+  return crypto.createHash('sha1').update(JSON.stringify(item)).digest('hex');
+}
+
+/**
+ * Per collection: which fields the sync index remembers, and which changes go into the change feed.
+ * changesFor gets the item, its index entry from the last sync (undefined if new) and
+ * assignment names by ID.
+ */
+const COLLECTIONS = {
+  assignments: {
+    watch: ['dueAt'],
+    changesFor: (item, before) => {
+      if (!before) {
+        return [{ type: 'assignment_created', details: { dueAt: item.dueAt } }];
+      }
+
+      if (before.dueAt !== item.dueAt) {
+        return [{ type: 'assignment_due_date_changed', details: { from: before.dueAt, to: item.dueAt } }];
+      }
+
+      return [];
+    },
+    describe: item => ({ courseId: item.courseId, itemId: item.id, title: item.name })
+  },
+  submissions: {
+    watch: ['gradedAt', 'grade'],
+    changesFor: (item, before) => {
+      const graded = item.workflowState === 'graded' && item.gradedAt;
+      const regraded = !before || before.gradedAt !== item.gradedAt || before.grade !== item.grade;
+
+      return graded && regraded
+        ? [{ type: 'submission_graded', details: { score: item.score, grade: item.grade } }]
+        : [];
+    },
+    describe: (item, assignmentNames) => ({
+      courseId: item.courseId,
+      itemId: item.assignmentId,
+      title: assignmentNames.get(item.assignmentId) || null
+    })
+  },
+  announcements: {
+    watch: [],
+    changesFor: (item, before) => before ? [] : [{ type: 'announcement_posted', details: { postedAt: item.postedAt } }],
+    describe: item => ({ courseId: item.courseId, itemId: item.id, title: item.title })
+  },
+  calendarEvents: {
+    watch: [],
+    changesFor: () => [],
+    describe: item => ({ courseId: null, itemId: item.id, title: item.title })
+  }
+};
+
+/**
+ * Write the items of one collection that changed since the last sync, and work out
+ * what goes into the change feed. The first sync of a collection only records a
+ * baseline, so it doesn't flood the feed.
+ * @param {string} uid - User ID
+ * @param {string} collection - Collection name, a key of COLLECTIONS
+ * @param {Array} items - Stored items fetched from Canvas
+ * @param {Map} assignmentNames - Assignment names by ID
+ * @returns {Promise<Object>} Number of items written and change feed entries
+ */
+async function syncCollection(uid, collection, items, assignmentNames) {
+  const { watch, changesFor, describe } = COLLECTIONS[collection];
+  const index = await firebaseService.getSyncIndex(uid, collection);
+
+  const changed = [];
+  const entries = {};
+  const changes = [];
+
+  for (const item of items) {
+    const hash = hashItem(item);
+    const before = index ? index[item.id] : undefined;
+
+    if (before && before.hash === hash) continue;
+
+    changed.push(item);
+    entries[item.id] = { hash, ...Object.fromEntries(watch.map(field => [field, item[field]])) };
+
+    if (index) {
+      changes.push(...changesFor(item, before).map(change => ({ ...change, ...describe(item, assignmentNames) })));
+    }
+  }
+
+  if (changed.length > 0) {
+    await firebaseService.storeSyncedItems(uid, collection, changed);
+  }
+
+  if (changed.length > 0 || !index) {
+    await firebaseService.updateSyncIndex(uid, collection, entries);
+  }
+
+  return { written: changed.length, changes };
+}
+
+/**
+ * Service that keeps Firestore in step with Canvas in the background
+ */
+const syncService = {
+  /**
+   * Copy a user's courses, assignments, submissions, announcements and calendar
+   * events from their primary Canvas account into Firestore, writing only what
+   * changed, snapshotting changed course grades, adding to their change feed and
+   * recording the outcome in their sync state
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Sync state after the run
+   */
+  syncUser: async (uid) => {
+    if (syncing.has(uid)) {
+      return await firebaseService.getSyncState(uid);
+    }
+
+    syncing.add(uid);
+    const startedAt = new Date();
+    let previous = null;
+
+    // Everything after marking the user as syncing is inside the try, so finally always unmarks them
+    try {
+      previous = await firebaseService.getSyncState(uid);
+      await firebaseService.updateSyncState(uid, { lastStartedAt: startedAt });
+
+      const credentials = await firebaseService.getCanvasCredentials(uid);
+      const canvas = canvasService.forUser(uid, credentials);
+      // Sync requests queue behind anything a user is waiting on
+      const options = { priority: 'background' };
+
+      // Concluded courses are listed so they aren't mistaken for dropped ones, but not synced further
+      const { items: allCourses, truncated } = await canvas.getCourses({ ...options, includeConcluded: true, paged: true });
+      const stored = await firebaseService.storeCourses(uid, allCourses, { truncated });
+      const courses = allCourses.filter(course => course.workflow_state !== 'completed');
+      // Pick up nicknames and colors changed in Canvas itself
+      await coursePreferenceService.pullFromCanvas(uid, canvas, courses);
+
+      // Canvas can't filter assignments or calendar events by update time, so those
+      // are fetched in full and skipped by hash; submissions and announcements are
+      // only fetched since the last successful sync
+      const lastSuccessAt = toDate(previous && previous.lastSuccessAt);
+      const since = lastSuccessAt ? new Date(lastSuccessAt.getTime() - SINCE_OVERLAP_MS).toISOString() : null;
+
+      const assignments = [];
+      const submissions = [];
+      const truncatedCourses = [];
+
+      for (const course of courses) {
+        const [{ items: courseAssignments, truncated: assignmentsTruncated }, ...courseSubmissions] = await Promise.all([
+          canvas.getCourseAssignments(course.id, { ...options, perPage: 100, paged: true }),
+          // Canvas applies both filters together, so newly graded and newly submitted work are asked for separately
+          ...(since
+            ? [
+              canvas.getCourseSubmissions(course.id, { ...options, gradedSince: since }),
+              canvas.getCourseSubmissions(course.id, { ...options, submittedSince: since })
+            ]
+            : [canvas.getCourseSubmissions(course.id, options)])
+        ]);
+
+        if (assignmentsTruncated) {
+          truncatedCourses.push(course.id);
+        }
+
+        const byId = new Map(courseSubmissions.flat().map(submission => [submission.id, submission]));
+        const courseNames = new Map(courseAssignments.map(assignment => [assignment.id, assignment.name]));
+
+        assignments.push(...courseAssignments.map(toStoredAssignment));
+        submissions.push(...Array.from(byId.values()).map(submission => toStoredSubmission(submission, course.id)));
+
+        await gradeHistoryService.recordSnapshot(
+          uid, gradeHistoryService.historyKey(null, null, course.id), course, Array.from(byId.values()), courseNames);
+      }
+
+      const [announcements, calendarEvents] = await Promise.all([
+        canvas.getAnnouncements(courses, since ? { ...options, startDate: since } : options),
+        canvas.getCalendarEvents(options)
+      ]);
+
+      const assignmentNames = new Map(assignments.map(assignment => [assignment.id, assignment.name]));
+      const results = {
+        assignments: await syncCollection(uid, 'assignments', assignments, assignmentNames),
+        submissions: await syncCollection(uid, 'submissions', submissions, assignmentNames),
+        announcements: await syncCollection(uid, 'announcements', announcements.map(toStoredAnnouncement), assignmentNames),
+        calendarEvents: await syncCollection(uid, 'calendarEvents', calendarEvents.map(toStoredCalendarEvent), assignmentNames)
+      };
+
+      const changes = Object.values(results).flatMap(result => result.changes);
+      if (changes.length > 0) {
+        await firebaseService.addChanges(uid, changes);
+      }
+
+      const state = {
+        lastStartedAt: startedAt,
+        lastSuccessAt: new Date(),
+        lastErrorAt: (previous && previous.lastErrorAt) || null,
+        lastError: null,
+        durationMs: Date.now() - startedAt.getTime(),
+        consecutiveFailures: 0,
+        nextSyncAt: nextSyncAt(0),
+        counts: {
+          courses: courses.length,
+          assignments: assignments.length,
+          submissions: submissions.length,
+          announcements: announcements.length,
+          calendarEvents: calendarEvents.length
+        },
+        // Lists cut short at the page cap, so the counts above are incomplete
+        truncated: {
+          courses: truncated,
+          assignments: truncatedCourses
+        },
+        written: {
+          courses: stored.added.length + stored.updated.length + stored.removed.length,
+          ...Object.fromEntries(Object.entries(results).map(([collection, result]) => [collection, result.written]))
+        },
+        changes: changes.length
+      };
+
+      await firebaseService.updateSyncState(uid, state);
+      return state;
+    } catch (error) {
+      console.error(`Error syncing Canvas data for user ${uid}:`, error.message);
+
+      const consecutiveFailures = ((previous && previous.consecutiveFailures) || 0) + 1;
+      const state = {
+        lastStartedAt: startedAt,
+        lastErrorAt: new Date(),
+        lastError: { message: error.message, code: error.code || null },
+        durationMs: Date.now() - startedAt.getTime(),
+        consecutiveFailures,
+        nextSyncAt: nextSyncAt(consecutiveFailures)
+      };
+
+      await firebaseService.updateSyncState(uid, state);
+      return { ...previous, ...state };
+    } finally {
+      syncing.delete(uid);
+    }
+  },
+
+  /**
+   * Sync the users that are due, oldest due first, up to SYNC_USERS_PER_TICK at a time
+   * @returns {Promise<number>} Number of users synced
+   */
+  tick: async () => {
+    // A slow tick must not overlap with the next one
+    if (ticking) return 0;
+    ticking = true;
+
+    try {
+      const now = new Date();
+      const candidates = await firebaseService.listSyncCandidates();
+
+      const due = candidates
+        .map(candidate => ({
+          uid: candidate.uid,
+          dueAt: toDate(candidate.syncState && candidate.syncState.nextSyncAt) || new Date(0)
+        }))
+        .filter(candidate => candidate.dueAt <= now)
+        .sort((a, b) => a.dueAt - b.dueAt)
+        .slice(0, env.SYNC_USERS_PER_TICK);
+
+      // One user at a time keeps the sync from crowding out interactive requests
+      for (const { uid } of due) {
+        await syncService.syncUser(uid);
+      }
+
+      return due.length;
+    } catch (error) {
+      console.error('Error running background sync:', error.message);
+      return 0;
+    } finally {
+      ticking = false;
+    }
+  },
+
+  /**
+   * Start the in-process scheduler
+   */
+  start: () => {
+    if (timer) return;
+
+    timer = setInterval(syncService.tick, env.SYNC_TICK_SECONDS * 1000);
+    // The scheduler alone shouldn't keep the process alive
+    timer.unref();
+
+    console.log(`Background sync every ${env.SYNC_INTERVAL_MINUTES} minutes`);
+  },
+
+  /**
+   * Stop the in-process scheduler
+   */
+  stop: () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  },
+
+  /**
+   * Get a user's sync status
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} Scheduler settings and the user's sync state
+   */
+  getStatus: async (uid) => {
+    const state = await firebaseService.getSyncState(uid);
+
+    return {
+      enabled: !!timer,
+      intervalMinutes: env.SYNC_INTERVAL_MINUTES,
+      syncing: syncing.has(uid),
+      ...(state || {}),
+      lastStartedAt: toDate(state && state.lastStartedAt),
+      lastSuccessAt: toDate(state && state.lastSuccessAt),
+      lastErrorAt: toDate(state && state.lastErrorAt),
+      nextSyncAt: toDate(state && state.nextSyncAt)
+    };
+  }
+};
+
+module.exports = syncService;
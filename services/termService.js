@@ -0,0 +1,161 @@
+/**
+ * Parse a Canvas date, treating missing or invalid values as open-ended
+ * @param {string|null} value - ISO date from Canvas
+ * @returns {Date|null} Date
+ */
+function parseDate(value) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Work out whether a date range is past, current or future
+ * @param {Date|null} startAt - Start, or null if open-ended
+ * @param {Date|null} endAt - End, or null if open-ended
+ * @param {Date} now - Point in time to compare against
+ * @returns {string} 'past', 'current' or 'future'
+ */
+function statusFor(startAt, endAt, now) {
+  if (endAt && endAt <= now) return 'past';
+  if (startAt && startAt > now) return 'future';
+  return 'current';
+}
+
+/**
+ * Service for working out terms from Canvas enrollment terms and course dates
+ */
+const termService = {
+  /**
+   * Get the dates a course actually runs. Section and course date overrides win
+   * over the enrollment term, as they do in Canvas; courses in a term without dates
+   * (like the "Default Term") fall back to their own dates.
+   * @param {Object} course - Canvas course, fetched with include[]=term
+   * @returns {Object} Start, end and where they came from ('section', 'course', 'term' or null)
+   */
+  courseDates: (course) => {
+    // include[]=sections only reports section dates, not whether they are enforced,
+    // so dated sections count unless Canvas says otherwise
+    const sections = (course.sections || []).filter(section =>
+      section.restrict_enrollments_to_section_dates !== false && (section.start_at || section.end_at));
+
+    if (sections.length > 0) {
+      const starts = sections.map(section => parseDate(section.start_at));
+      const ends = sections.map(section => parseDate(section.end_at));
+
+      // A missing date on any section leaves that end of the range open
+      return {
+        startAt: starts.includes(null) ? null : new Date(Math.min(...starts)),
+        endAt: ends.includes(null) ? null : new Date(Math.max(...ends)),
+        source: 'section'
+      };
+    }
+
+    if (course.restrict_enrollments_to_course_dates && (course.start_at || course.end_at)) {
+      return { startAt: parseDate(course.start_at), endAt: parseDate(course.end_at), source: 'course' };
+    }
+
+    const term = course.term || {};
+    if (term.start_at || term.end_at) {
+      return { startAt: parseDate(term.start_at), endAt: parseDate(term.end_at), source: 'term' };
+    }
+
+    if (course.start_at || course.end_at) {
+      return { startAt: parseDate(course.start_at), endAt: parseDate(course.end_at), source: 'course' };
+    }
+
+    return { startAt: null, endAt: null, source: null };
+  },
+
+  /**
+   * Work out whether a course is past, current or future. A status the user set
+   * on the course wins over its dates, and a course concluded in Canvas is past
+   * whatever its dates say.
+   * @param {Object} course - Canvas course, fetched with include[]=term
+   * @param {Date} now - Point in time to compare against
+   * @returns {string} 'past', 'current' or 'future'
+   */
+  courseStatus: (course, now = new Date()) => {
+    if (course.preferences && course.preferences.status) {
+      return course.preferences.status;
+    }
+
+    if (course.workflow_state === 'completed' || course.concluded) {
+      return 'past';
+    }
+
+    const { startAt, endAt } = termService.courseDates(course);
+    return statusFor(startAt, endAt, now);
+  },
+
+  /**
+   * Group courses by enrollment term. A term without dates of its own spans its
+   * courses' dates; a term is current while any of its courses is.
+   * @param {Array} courses - Canvas courses, fetched with include[]=term
+   * @param {Date} now - Point in time to compare against
+   * @returns {Array} Terms, newest first, each with its status and course IDs
+   */
+  getTerms: (courses, now = new Date()) => {
+    const terms = new Map();
+
+    for (const course of courses) {
+      const term = course.term || {};
+      const id = String(term.id || course.enrollment_term_id || 'none');
+      const { startAt, endAt } = termService.courseDates(course);
+      const courseStatus = termService.courseStatus(course, now);
+
+      if (!terms.has(id)) {
+        terms.set(id, {
+          id,
+          name: term.name || 'No term',
+          startAt: parseDate(term.start_at),
+          endAt: parseDate(term.end_at),
+          courseStarts: [],
+          courseEnds: [],
+          statuses: new Set(),
+          courseIds: []
+        });
+      }
+
+      const entry = terms.get(id);
+      entry.courseStarts.push(startAt);
+      entry.courseEnds.push(endAt);
+      entry.statuses.add(courseStatus);
+      entry.courseIds.push(course.id);
+    }
+
+    return Array.from(terms.values())
+      .map(({ courseStarts, courseEnds, statuses, ...term }) => {
+        const startAt = term.startAt ||
+          (courseStarts.includes(null) ? null : new Date(Math.min(...courseStarts)));
+        const endAt = term.endAt ||
+          (courseEnds.includes(null) ? null : new Date(Math.max(...courseEnds)));
+
+        let status = statusFor(startAt, endAt, now);
+        if (statuses.has('current')) status = 'current';
+
+        return { ...term, startAt, endAt, status, courseCount: term.courseIds.length };
+      })
+      .sort((a, b) => (b.startAt || now) - (a.startAt || now));
+  },
+
+  /**
+   * Pick the courses in a term. 'current', 'past' and 'future' select courses by
+   * their own status across all terms.
+   * @param {Array} courses - Canvas courses, fetched with include[]=term
+   * @param {string} termId - Canvas enrollment term ID, or 'current', 'past' or 'future'
+   * @param {Date} now - Point in time to compare against
+   * @returns {Array} Courses in the term
+   */
+  coursesInTerm: (courses, termId, now = new Date()) => {
+    if (['current', 'past', 'future'].includes(termId)) {
+      return courses.filter(course => termService.courseStatus(course, now) === termId);
+    }
+
+    return courses.filter(course =>
+      String((course.term && course.term.id) || course.enrollment_term_id || 'none') === String(termId));
+  }
+};
+
+module.exports = termService;
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { parseLinkHeader, iteratePages, fetchPaged, fetchAllPages } = require('../utils/canvasAPI');
+
+test('parseLinkHeader reads each rel, quoted or not', () => {
+  const links = parseLinkHeader([
+    '<https://canvas.example.edu/api/v1/courses?page=2&per_page=10>; rel="current"',
+    '<https://canvas.example.edu/api/v1/courses?page=3&per_page=10>; rel=next',
+    '<https://canvas.example.edu/api/v1/courses?page=1&per_page=10>; rel="first"',
+    '<https://canvas.example.edu/api/v1/courses?page=5&per_page=10>; rel="last"'
+  ].join(','));
+
+  assert.deepEqual(links, {
+    current: 'https://canvas.example.edu/api/v1/courses?page=2&per_page=10',
+    next: 'https://canvas.example.edu/api/v1/courses?page=3&per_page=10',
+    first: 'https://canvas.example.edu/api/v1/courses?page=1&per_page=10',
+    last: 'https://canvas.example.edu/api/v1/courses?page=5&per_page=10'
+  });
+});
+
+test('parseLinkHeader handles several rels on one link and missing headers', () => {
+  assert.deepEqual(parseLinkHeader('</api/v1/courses?page=1>; rel="first current"'), {
+    first: '/api/v1/courses?page=1',
+    current: '/api/v1/courses?page=1'
+  });
+  assert.deepEqual(parseLinkHeader(undefined), {});
+  assert.deepEqual(parseLinkHeader(''), {});
+});
+
+test('iteratePages', async (t) => {
+  // Three pages of two items, linked the way Canvas links them
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+
+    if (url.pathname === '/api/v1/users/self') {
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify({ id: 1 }));
+    }
+
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const base = `http://localhost:${server.address().port}${url.pathname}`;
+    const links = [`<${base}?page=${page}>; rel="current"`, `<${base}?page=3>; rel="last"`];
+
+    if (url.pathname === '/api/v1/loop') {
+      links.push(`<${base}?page=1>; rel="next"`);
+    } else if (page < 3) {
+      links.push(`<${base}?page=${page + 1}>; rel="next"`);
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Link', links.join(','));
+    res.end(JSON.stringify([page * 10 + 1, page * 10 + 2]));
+  });
+
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+
+  const options = { canvasUrl: `http://localhost:${server.address().port}`, canvasApiKey: 'test', useCache: false };
+
+  /**
+   * Collect everything iteratePages yields
+   * @param {string} url - API endpoint URL
+   * @param {Object} pageInfo - Pagination details to fill in
+   * @param {Object} extra - More options
+   * @returns {Promise<Array>} Items
+   */
+  const collect = async (url, pageInfo, extra = {}) => {
+    const items = [];
+    for await (const item of iteratePages(url, { ...options, ...extra, pageInfo })) {
+      items.push(item);
+    }
+    return items;
+  };
+
+  const pageInfo = () => ({ url: null, pageCount: 0, lastPage: null, truncated: false, single: false });
+
+  await t.test('follows next links to the last page', async () => {
+    const info = pageInfo();
+
+    assert.deepEqual(await collect('/api/v1/items', info), [11, 12, 21, 22, 31, 32]);
+    assert.equal(info.pageCount, 3);
+    assert.equal(info.lastPage, 3);
+    assert.equal(info.truncated, false);
+  });
+
+  await t.test('stops at maxPages and reports the list as truncated', async () => {
+    const info = pageInfo();
+
+    assert.deepEqual(await collect('/api/v1/items', info, { maxPages: 2 }), [11, 12, 21, 22]);
+    assert.equal(info.pageCount, 2);
+    assert.equal(info.truncated, true);
+  });
+
+  await t.test('stops fetching once the caller stops reading', async () => {
+    requests.length = 0;
+
+    for await (const item of iteratePages('/api/v1/items', options)) {
+      if (item === 12) break;
+    }
+
+    assert.deepEqual(requests, ['/api/v1/items']);
+  });
+
+  await t.test('does not follow a link back to a page already fetched', async () => {
+    const info = pageInfo();
+
+    assert.deepEqual(await collect('/api/v1/loop?page=1', info), [11, 12]);
+    assert.equal(info.pageCount, 1);
+  });
+
+  await t.test('yields a single object as it is', async () => {
+    const info = pageInfo();
+
+    assert.deepEqual(await collect('/api/v1/users/self', info), [{ id: 1 }]);
+    assert.equal(info.single, true);
+  });
+
+  await t.test('fetchAllPages returns the items fetchPaged collects, or the single object', async () => {
+    const paged = await fetchPaged('/api/v1/items', { ...options, maxPages: 2 });
+
+    assert.deepEqual(paged, { items: [11, 12, 21, 22], truncated: true, pageCount: 2, lastPage: 3, single: false });
+    assert.deepEqual(await fetchAllPages('/api/v1/items', options), [11, 12, 21, 22, 31, 32]);
+    assert.deepEqual(await fetchAllPages('/api/v1/users/self', options), { id: 1 });
+  });
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const gradeCalculatorService = require('../services/gradeCalculatorService');
+const { buildFakeCanvasData } = require('../fakeCanvas/data');
+
+/**
+ * Build a points assignment
+ * @param {number} id - Assignment ID
+ * @param {number} pointsPossible - Points possible
+ * @returns {Object} Canvas assignment
+ */
+function assignment(id, pointsPossible) {
+  return { id, points_possible: pointsPossible, published: true, grading_type: 'points' };
+}
+
+/**
+ * Build a graded submission
+ * @param {number} assignmentId - Assignment ID
+ * @param {number|null} score - Score, or null if ungraded
+ * @returns {Object} Canvas submission
+ */
+function submission(assignmentId, score) {
+  return { assignment_id: assignmentId, score };
+}
+
+/**
+ * Calculation input for a single unweighted group of assignments
+ * @param {Array} scores - [pointsPossible, score] for each assignment
+ * @param {Object} rules - The group's drop rules
+ * @returns {Object} Calculation input
+ */
+function singleGroup(scores, rules = {}) {
+  return {
+    applyGroupWeights: false,
+    assignmentGroups: [{
+      id: 1,
+      name: 'Homework',
+      rules,
+      assignments: scores.map(([possible], index) => assignment(index + 1, possible))
+    }],
+    submissions: scores.map(([, score], index) => submission(index + 1, score))
+  };
+}
+
+test('drop_lowest drops the scores that help least, not the lowest percentages', () => {
+  // Dropping the 5/10 leaves 100/200 (50%), dropping the 40/100 leaves 65/110 (59%)
+  const result = gradeCalculatorService.calculate(singleGroup([[10, 5], [100, 40], [100, 60]], { drop_lowest: 1 }));
+
+  assert.deepEqual(result.groups[0].current.dropped, [2]);
+  assert.equal(result.currentScore, 59.09);
+});
+
+test('drop_lowest never drops every item in a group', () => {
+  const result = gradeCalculatorService.calculate(singleGroup([[10, 2], [10, 8]], { drop_lowest: 5 }));
+
+  assert.deepEqual(result.groups[0].current.dropped, [1]);
+  assert.equal(result.currentScore, 80);
+});
+
+test('drop_highest drops the best scores', () => {
+  const result = gradeCalculatorService.calculate(singleGroup([[10, 10], [10, 7], [10, 6]], { drop_highest: 1 }));
+
+  assert.deepEqual(result.groups[0].current.dropped, [1]);
+  assert.equal(result.currentScore, 65);
+});
+
+test('drop_highest is ignored when it would leave nothing', () => {
+  const result = gradeCalculatorService.calculate(singleGroup([[10, 10], [10, 4]], { drop_lowest: 1, drop_highest: 1 }));
+
+  assert.deepEqual(result.groups[0].current.dropped, [2]);
+  assert.equal(result.currentScore, 100);
+});
+
+test('never_drop keeps an assignment even when it is the lowest', () => {
+  const result = gradeCalculatorService.calculate(singleGroup([[10, 1], [10, 5], [10, 9]], { drop_lowest: 1, never_drop: [1] }));
+
+  assert.deepEqual(result.groups[0].current.dropped, [2]);
+  assert.equal(result.currentScore, 50);
+});
+
+test('current and final scores match Canvas for the fake courses', async (t) => {
+  const data = buildFakeCanvasData();
+
+  for (const course of data.courses) {
+    await t.test(`${course.name} (${course.apply_assignment_group_weights ? 'weighted' : 'unweighted'})`, () => {
+      const assignmentGroups = data.assignmentGroups
+        .filter(group => group.course_id === course.id)
+        .map(group => ({
+          ...group,
+          assignments: data.assignments.filter(candidate => candidate.assignment_group_id === group.id)
+        }));
+      const submissions = data.submissions.filter(candidate => candidate.course_id === course.id);
+
+      const result = gradeCalculatorService.calculate({
+        assignmentGroups,
+        submissions,
+        applyGroupWeights: course.apply_assignment_group_weights
+      });
+
+      assert.equal(result.currentScore, course.enrollments[0].computed_current_score);
+      assert.equal(result.finalScore, course.enrollments[0].computed_final_score);
+    });
+  }
+});
+
+test('weighted scores scale up the groups that have graded work', () => {
+  const result = gradeCalculatorService.calculate({
+    applyGroupWeights: true,
+    assignmentGroups: [
+      { id: 1, name: 'Homework', group_weight: 40, rules: {}, assignments: [assignment(1, 10)] },
+      { id: 2, name: 'Exams', group_weight: 60, rules: {}, assignments: [assignment(2, 100)] }
+    ],
+    submissions: [submission(1, 8), submission(2, null)]
+  });
+
+  assert.equal(result.currentScore, 80);
+  assert.equal(result.finalScore, 32);
+});
+
+test('scoreNeeded finds the average needed on the remaining work', () => {
+  // 40 of 50 so far, with 50 points left: 70 of 100 needs 30 more, an average of 60%
+  const result = gradeCalculatorService.scoreNeeded(singleGroup([[50, 40], [50, null]]), 70);
+
+  assert.equal(result.reachable, true);
+  assert.equal(result.secured, false);
+  assert.equal(result.requiredAverage, 60);
+  assert.equal(result.maximumScore, 90);
+  assert.deepEqual(result.groups.map(group => group.pointsNeeded), [30]);
+});
+
+test('scoreNeeded reports a target beyond full marks as unreachable', () => {
+  const result = gradeCalculatorService.scoreNeeded(singleGroup([[50, 10], [50, null]]), 90);
+
+  assert.equal(result.reachable, false);
+  assert.equal(result.secured, false);
+  assert.equal(result.requiredAverage, null);
+  assert.equal(result.maximumScore, 60);
+});
+
+test('scoreNeeded reports a target already reached as secured', () => {
+  const result = gradeCalculatorService.scoreNeeded(singleGroup([[90, 90], [10, null]]), 85);
+
+  assert.equal(result.reachable, true);
+  assert.equal(result.secured, true);
+  assert.equal(result.requiredAverage, 0);
+  assert.deepEqual(result.groups.map(group => group.pointsNeeded), [0]);
+});
+
+test('scoreNeeded lets drop rules discard a weak score', () => {
+  // Dropping the 2/10 leaves 8/10 plus the remaining 10 points: 80% needs 8 of them
+  const withDrop = gradeCalculatorService.scoreNeeded(singleGroup([[10, 2], [10, 8], [10, null]], { drop_lowest: 1 }), 80);
+  const withoutDrop = gradeCalculatorService.scoreNeeded(singleGroup([[10, 2], [10, 8], [10, null]]), 80);
+
+  assert.equal(withDrop.reachable, true);
+  assert.equal(withDrop.requiredAverage, 80);
+  assert.equal(withoutDrop.reachable, false);
+  assert.equal(withoutDrop.requiredAverage, null);
+});
+
+test('scoreNeeded works out each group alone while the others keep pace', () => {
+  const result = gradeCalculatorService.scoreNeeded({
+    applyGroupWeights: true,
+    assignmentGroups: [
+      { id: 1, name: 'Homework', group_weight: 40, rules: {}, assignments: [assignment(1, 10), assignment(2, 10)] },
+      { id: 2, name: 'Exams', group_weight: 60, rules: {}, assignments: [assignment(3, 100), assignment(4, 100)] }
+    ],
+    submissions: [submission(1, 8), submission(2, null), submission(3, 70), submission(4, null)]
+  }, 80);
+
+  // Everything at 86%: 40 * 18.6 / 20 + 60 * 156 / 200 = 80.04
+  assert.equal(result.requiredAverage, 86);
+  // Homework keeping its 80% pace leaves the exam needing 90%, less the 79.997 that
+  // Canvas rounds up to 80; the exam keeping its 70% pace would need 110% on the homework
+  assert.deepEqual(result.groups.map(group => [group.id, group.requiredAlone]), [[1, null], [2, 89.99]]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const env = require('../config/env');
+const { encryptToken, decryptToken, rewrapToken, getActiveKeyId } = require('../utils/tokenCrypto');
+
+const KEY_1 = `k1:${crypto.randomBytes(32).toString('base64')}`;
+const KEY_2 = `k2:${crypto.randomBytes(32).toString('base64')}`;
+
+/**
+ * Configure the master keys for a test, restoring the previous ones afterwards
+ * @param {Object} t - Test context
+ * @param {string} keys - CANVAS_TOKEN_KEYS value
+ * @param {string} activeKeyId - CANVAS_TOKEN_ACTIVE_KEY_ID value
+ */
+function useKeys(t, keys, activeKeyId = undefined) {
+  const previous = { keys: env.CANVAS_TOKEN_KEYS, activeKeyId: env.CANVAS_TOKEN_ACTIVE_KEY_ID };
+  env.CANVAS_TOKEN_KEYS = keys;
+  env.CANVAS_TOKEN_ACTIVE_KEY_ID = activeKeyId;
+
+  t.after(() => {
+    env.CANVAS_TOKEN_KEYS = previous.keys;
+    env.CANVAS_TOKEN_ACTIVE_KEY_ID = previous.activeKeyId;
+  });
+}
+
+test('tokens are sealed under a fresh data key and open again', (t) => {
+  useKeys(t, KEY_1);
+
+  const envelope = encryptToken('canvas-token-1234');
+  const again = encryptToken('canvas-token-1234');
+
+  assert.equal(envelope.keyId, 'k1');
+  assert.ok(!JSON.stringify(envelope).includes('canvas-token-1234'));
+  assert.notEqual(envelope.token.ciphertext, again.token.ciphertext);
+  assert.equal(decryptToken(envelope), 'canvas-token-1234');
+});
+
+test('a tampered envelope does not open', (t) => {
+  useKeys(t, KEY_1);
+
+  const envelope = encryptToken('canvas-token-1234');
+  const ciphertext = Buffer.from(envelope.token.ciphertext, 'base64');
+  ciphertext[0] ^= 1;
+
+  assert.throws(() => decryptToken({ ...envelope, token: { ...envelope.token, ciphertext: ciphertext.toString('base64') } }));
+});
+
+test('new tokens use the last key listed unless one is made active', (t) => {
+  useKeys(t, `${KEY_1},${KEY_2}`);
+  assert.equal(getActiveKeyId(), 'k2');
+
+  env.CANVAS_TOKEN_ACTIVE_KEY_ID = 'k1';
+  assert.equal(encryptToken('canvas-token-1234').keyId, 'k1');
+});
+
+test('rewrapping moves an envelope to the active key without touching the token ciphertext', (t) => {
+  useKeys(t, KEY_1);
+  const envelope = encryptToken('canvas-token-1234');
+
+  env.CANVAS_TOKEN_KEYS = `${KEY_1},${KEY_2}`;
+  const rewrapped = rewrapToken(envelope);
+
+  assert.equal(rewrapped.keyId, 'k2');
+  assert.deepEqual(rewrapped.token, envelope.token);
+  assert.notDeepEqual(rewrapped.wrappedKey, envelope.wrappedKey);
+  assert.equal(rewrapToken(rewrapped), rewrapped);
+
+  // Once the old key is retired only the rewrapped envelope still opens
+  env.CANVAS_TOKEN_KEYS = KEY_2;
+  assert.equal(decryptToken(rewrapped), 'canvas-token-1234');
+  assert.throws(() => decryptToken(envelope), /"k1" is not configured/);
+});
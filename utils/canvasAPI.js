@@ -1,4 +1,54 @@
 const axios = require('axios');
+const env = require('../config/env');
+const {
+  sleep,
+  getBucketKey,
+  updateBucket,
+  getThrottleDelay,
+  isRetryableError,
+  getRetryDelay
+} = require('./canvasRateLimit');
+const { schedule } = require('./canvasScheduler');
+const {
+  CanvasUnauthorizedError,
+  CanvasForbiddenError,
+  CanvasNotFoundError,
+  toCanvasError
+} = require('./canvasErrors');
+const {
+  getCache,
+  buildCacheKey,
+  getTtl,
+  recordCacheResult
+} = require('./canvasCache');
+const { attachRecorder, createReplayAdapter } = require('./canvasFixtures');
+
+// Default cap on how many pages a single request will follow
+const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * Check whether a 401 from Canvas rejected the access token itself. Canvas also answers 401
+ * when a valid token isn't allowed to do something ("user not authorized to perform that
+ * action"), and refreshing the token won't help with that. A rejected token comes with a
+ * WWW-Authenticate header, or at least a message saying it is invalid or expired.
+ * @param {Error} error - Canvas error
+ * @returns {boolean} True if the token was rejected
+ */
+function isTokenRejected(error) {
+  if (!(error instanceof CanvasUnauthorizedError)) {
+    return false;
+  }
+
+  const response = error.cause && error.cause.response;
+
+  if (response && response.headers && response.headers['www-authenticate']) {
+    return true;
+  }
+
+  const errors = response && response.data && response.data.errors;
+  const message = Array.isArray(errors) && errors[0] ? errors[0].message : '';
+  return /invalid|expired/i.test(message);
+}
 
 /**
  * Create a Canvas API client with the provided credentials
@@ -13,125 +63,429 @@ function createCanvasClient(credentials = {}) {
     throw new Error('Canvas URL and API key are required');
   }
 
-  // Create and return Axios instance
-  return axios.create({
-    baseURL: canvasUrl,
+  // Create Axios instance, pointed at the fake Canvas server in fake mode
+  const canvasClient = axios.create({
+    baseURL: env.CANVAS_MODE === 'fake' ? env.FAKE_CANVAS_URL : canvasUrl,
+    timeout: env.CANVAS_REQUEST_TIMEOUT_MS,
     headers: {
       'Authorization': `Bearer ${canvasApiKey}`,
       'Content-Type': 'application/json',
       'Accept': 'application/json'
     }
   });
+
+  if (env.CANVAS_MODE === 'replay') {
+    canvasClient.defaults.adapter = createReplayAdapter();
+  } else if (env.CANVAS_MODE === 'record') {
+    attachRecorder(canvasClient, canvasApiKey);
+  }
+
+  return canvasClient;
 }
 
 /**
- * Function to handle paginated API requests with optimized pagination
+ * Perform a request against Canvas (a GET unless requestConfig.method says otherwise),
+ * backing off when the rate-limit bucket runs low and retrying throttled or failed requests
+ * @param {Object} canvasClient - Axios instance configured for Canvas API
+ * @param {string} url - API endpoint URL
+ * @param {Object} scheduling - Rate-limit bucket key, host, priority and stats for the request
+ * @param {Object} requestConfig - Extra Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+async function requestWithRetry(canvasClient, url, scheduling, requestConfig = {}) {
+  const { bucketKey, host, priority, stats } = scheduling;
+  const maxRetries = env.CANVAS_MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    // Slow down proactively as the bucket drains
+    const throttleDelay = getThrottleDelay(bucketKey);
+    if (throttleDelay > 0) {
+      await sleep(throttleDelay);
+    }
+
+    try {
+      // Wait for a free slot so a fan-out doesn't flood Canvas
+      const response = await schedule(() => canvasClient.request({ method: 'get', url, ...requestConfig }), {
+        tokenKey: bucketKey,
+        host,
+        priority,
+        stats
+      });
+      updateBucket(bucketKey, response.headers);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        updateBucket(bucketKey, error.response.headers);
+      }
+
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error);
+      console.warn(`Canvas request to ${url} failed with ${error.response.status}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Fetch a single page, serving it from the cache while fresh and revalidating it with its ETag once stale
+ * @param {Object} canvasClient - Axios instance configured for Canvas API
+ * @param {string} url - API endpoint URL
+ * @param {Object} scheduling - Rate-limit bucket key, host, priority and stats for the request
+ * @param {boolean} useCache - Whether the cache may be used for this request
+ * @returns {Promise<Object>} Page data and headers
+ */
+async function fetchPage(canvasClient, url, scheduling, useCache) {
+  const cache = useCache ? getCache() : null;
+
+  if (!cache) {
+    const response = await requestWithRetry(canvasClient, url, scheduling);
+    return { data: response.data, headers: response.headers };
+  }
+
+  const cacheKey = buildCacheKey(scheduling.bucketKey, url);
+  const cached = await cache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    recordCacheResult(scheduling.stats, 'hits');
+    return { data: cached.data, headers: cached.headers };
+  }
+
+  // Ask Canvas whether our stale copy is still good
+  const requestConfig = cached && cached.etag ? {
+    headers: { 'If-None-Match': cached.etag },
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  } : {};
+
+  const response = await requestWithRetry(canvasClient, url, scheduling, requestConfig);
+  const notModified = response.status === 304;
+  recordCacheResult(scheduling.stats, notModified ? 'revalidated' : 'misses');
+
+  const entry = {
+    userKey: scheduling.bucketKey,
+    data: notModified ? cached.data : response.data,
+    headers: notModified ? cached.headers : { link: response.headers.link || null },
+    etag: response.headers.etag || (notModified ? cached.etag : null),
+    expiresAt: Date.now() + getTtl(url),
+    storedAt: Date.now()
+  };
+
+  try {
+    await cache.set(cacheKey, entry);
+  } catch (error) {
+    console.error(`Error caching Canvas response for ${url}:`, error.message);
+  }
+
+  return { data: entry.data, headers: entry.headers };
+}
+
+/**
+ * Remove all cached Canvas responses for a user
+ * @param {Object} credentials - Canvas API credentials
+ * @returns {Promise<number>} Number of cache entries removed
+ */
+async function invalidateCache(credentials = {}) {
+  const cache = getCache();
+  const { canvasUrl, canvasApiKey } = credentials;
+
+  if (!cache || !canvasUrl || !canvasApiKey) {
+    return 0;
+  }
+
+  return await cache.deleteByUser(getBucketKey(canvasUrl, canvasApiKey));
+}
+
+/**
+ * Parse a Link header into a map of rel to URL
+ * @param {string} header - Link header value
+ * @returns {Object} URLs keyed by rel (next, current, first, last, prev)
+ */
+function parseLinkHeader(header) {
+  const links = {};
+
+  if (!header) {
+    return links;
+  }
+
+  const pattern = /<([^>]*)>((?:\s*;\s*[^;,]+)*)/g;
+  let match;
+
+  while ((match = pattern.exec(header)) !== null) {
+    const relMatch = match[2].match(/rel\s*=\s*"?([^";]+)"?/i);
+
+    if (relMatch) {
+      // A single link can carry several space-separated rels
+      relMatch[1].trim().split(/\s+/).forEach(rel => {
+        links[rel.toLowerCase()] = match[1];
+      });
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Convert a pagination link into a URL relative to the Canvas base URL
+ * @param {string} link - Absolute or relative URL from a Link header
+ * @param {string} canvasUrl - Canvas base URL
+ * @returns {string} Relative URL
+ */
+function toRelativeUrl(link, canvasUrl) {
+  if (link.startsWith(canvasUrl)) {
+    return link.slice(canvasUrl.length);
+  }
+
+  const parsed = new URL(link, canvasUrl);
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Get the page number from a pagination link, if it uses numbered pages
+ * @param {string} link - URL from a Link header
+ * @returns {number|null} Page number, or null for bookmark pagination
+ */
+function getPageNumber(link) {
+  const page = new URL(link, 'http://canvas.invalid').searchParams.get('page');
+  return page && /^\d+$/.test(page) ? parseInt(page, 10) : null;
+}
+
+/**
+ * Create the object iteratePages fills in with pagination details
+ * @returns {Object} Pagination details
+ */
+function createPageInfo() {
+  return {
+    url: null,
+    pageCount: 0,
+    lastPage: null,
+    truncated: false,
+    single: false
+  };
+}
+
+/**
+ * Iterate over every item of a paginated Canvas endpoint, fetching pages as they are consumed
  * @param {string} url - API endpoint URL
  * @param {Object} options - Options for the request
- * @returns {Promise<Array|Object>} - Resolved data from all pages
+ * @yields {*} Each item from each page, or the response itself if it is not a list
  */
-async function fetchAllPages(url, options = {}) {
+async function* iteratePages(url, options = {}) {
   const {
-    silentErrors = false,
-    maxPages = 10,
+    maxPages = DEFAULT_MAX_PAGES,
     logTiming = false,
+    priority = 'interactive',
+    stats = null,
+    useCache = true,
+    pageInfo = createPageInfo(),
     canvasUrl,
-    canvasApiKey
+    canvasApiKey,
+    refreshCredentials = null
   } = options;
 
   // Create Canvas API client with credentials
-  const canvasClient = createCanvasClient({ canvasUrl, canvasApiKey });
+  let canvasClient = createCanvasClient({ canvasUrl, canvasApiKey });
+  const scheduling = {
+    bucketKey: getBucketKey(canvasUrl, canvasApiKey),
+    host: new URL(canvasUrl).host,
+    priority,
+    stats
+  };
 
-  let allData = [];
+  const visited = new Set();
   let nextUrl = url;
-  let pageCount = 0;
-  let startTime = Date.now();
-  let timings = [];
+  let refreshed = false;
+
+  while (nextUrl) {
+    // Stop at the cap, but let the caller know there was more to fetch
+    if (pageInfo.pageCount >= maxPages) {
+      pageInfo.truncated = true;
+      break;
+    }
 
-  while (nextUrl && pageCount < maxPages) {
     const pageStartTime = Date.now();
-    pageCount++;
+    pageInfo.url = nextUrl;
+    pageInfo.pageCount++;
+    visited.add(nextUrl);
 
+    let response;
     try {
-      // Add a cache buster to avoid browser caching
-      const separator = nextUrl.includes('?') ? '&' : '?';
-      const urlWithCacheBuster = `${nextUrl}${separator}_=${Date.now()}`;
-
-      const response = await canvasClient.get(urlWithCacheBuster);
-      const data = response.data;
-
-      const pageEndTime = Date.now();
-      const pageDuration = pageEndTime - pageStartTime;
-
-      if (logTiming) {
-        timings.push({
-          page: pageCount,
-          url: nextUrl,
-          durationMs: pageDuration,
-          dataSize: Array.isArray(data) ? data.length : 1
-        });
-      }
+      response = await fetchPage(canvasClient, nextUrl, scheduling, useCache);
+    } catch (error) {
+      const canvasError = toCanvasError(error, nextUrl);
 
-      if (Array.isArray(data)) {
-        allData = [...allData, ...data];
-
-        // If we got fewer items than the page size, we're probably at the end
-        // This helps avoid an extra request in many cases
-        if (data.length === 0 || (url.includes('per_page=') && data.length < parseInt(url.match(/per_page=(\d+)/)[1]))) {
-          break;
-        }
-      } else {
-        // If response is not an array, just return it
-        if (logTiming) {
-          console.log(`Fetched data in ${Date.now() - startTime}ms (${pageCount} pages)`);
-        }
-        return data;
+      // An expired OAuth access token gets one refresh, then the page is retried
+      if (isTokenRejected(canvasError) && refreshCredentials && !refreshed) {
+        refreshed = true;
+        const fresh = await refreshCredentials();
+        canvasClient = createCanvasClient({ canvasUrl, canvasApiKey: fresh.canvasApiKey });
+        scheduling.bucketKey = getBucketKey(canvasUrl, fresh.canvasApiKey);
+        pageInfo.pageCount--;
+        visited.delete(nextUrl);
+        continue;
       }
 
-      // Check for pagination links in the Link header
-      const linkHeader = response.headers.link;
-      if (linkHeader) {
-        const nextLink = linkHeader.split(',').find(link => link.includes('rel="next"'));
-        if (nextLink) {
-          const match = nextLink.match(/<([^>]+)>/);
-          if (match) {
-            // Extract just the path from the full URL
-            const fullNextUrl = match[1];
-            nextUrl = fullNextUrl.replace(canvasUrl, '');
-          } else {
-            nextUrl = null;
-          }
-        } else {
-          nextUrl = null;
-        }
-      } else {
-        nextUrl = null;
-      }
-    } catch (error) {
-      if (error.response && error.response.status === 403) {
-        if (!silentErrors) {
-          console.error(`Permission denied (403) when accessing ${nextUrl}. This is normal if you don't have access to this resource.`);
-        }
-        // Return empty array for 403 errors if silentErrors is true
-        return silentErrors ? [] : { error: 'Permission denied', status: 403 };
-      } else {
-        console.error(`Error fetching data from ${nextUrl}:`, error.message);
-        if (silentErrors) {
-          return [];
-        } else {
-          throw error;
-        }
-      }
+      throw canvasError;
+    }
+    const data = response.data;
+
+    if (logTiming) {
+      console.log(`Fetched page ${pageInfo.pageCount} of ${url} in ${Date.now() - pageStartTime}ms (${Array.isArray(data) ? data.length : 1} items)`);
+    }
+
+    // If response is not an array, just return it
+    if (!Array.isArray(data)) {
+      pageInfo.single = true;
+      yield data;
+      return;
+    }
+
+    yield* data;
+
+    // Follow the Link header rather than guessing from the page size, since Canvas
+    // may cap per_page below what we asked for or use bookmark pagination
+    const links = parseLinkHeader(response.headers.link);
+
+    if (links.last) {
+      pageInfo.lastPage = getPageNumber(links.last);
+    }
+
+    const onLastPage = links.current && links.last && links.current === links.last;
+    nextUrl = links.next && !onLastPage && data.length > 0 ? toRelativeUrl(links.next, canvasUrl) : null;
+
+    // Guard against pagination loops
+    if (nextUrl && visited.has(nextUrl)) {
+      nextUrl = null;
+    }
+  }
+}
+
+/**
+ * Log a failed Canvas request, staying quiet about expected permission and not-found errors if asked
+ * @param {Error} error - Canvas error
+ * @param {string} url - Canvas URL that failed
+ * @param {boolean} silentErrors - Whether to skip logging forbidden and not-found errors
+ */
+function logFetchError(error, url, silentErrors) {
+  const expected = error instanceof CanvasForbiddenError || error instanceof CanvasNotFoundError;
+
+  if (silentErrors && expected) {
+    return;
+  }
+
+  console.error(`${error.name || 'Error'} when accessing ${url}:`, error.message);
+}
+
+/**
+ * Fetch every page of a list endpoint, reporting whether the page cap truncated the results
+ * @param {string} url - API endpoint URL
+ * @param {Object} options - Options for the request
+ * @returns {Promise<Object>} Items along with truncated, pageCount, lastPage and whether the response was a single object
+ */
+async function fetchPaged(url, options = {}) {
+  const {
+    silentErrors = false,
+    logTiming = false
+  } = options;
+
+  const pageInfo = createPageInfo();
+  const startTime = Date.now();
+  const items = [];
+
+  try {
+    for await (const item of iteratePages(url, { ...options, pageInfo })) {
+      items.push(item);
     }
+  } catch (error) {
+    logFetchError(error, pageInfo.url || url, silentErrors);
+    throw error;
+  }
+
+  if (pageInfo.truncated) {
+    console.warn(`Stopped after ${pageInfo.pageCount} pages of ${url}, results are truncated`);
   }
 
-  if (logTiming) {
-    const totalTime = Date.now() - startTime;
-    console.log(`Fetched ${allData.length} items in ${totalTime}ms (${pageCount} pages)`);
-    console.log('Page timings:', timings);
+  if (logTiming && !pageInfo.single) {
+    console.log(`Fetched ${items.length} items in ${Date.now() - startTime}ms (${pageInfo.pageCount} pages)`);
   }
 
-  return allData;
+  return {
+    items,
+    truncated: pageInfo.truncated,
+    pageCount: pageInfo.pageCount,
+    lastPage: pageInfo.lastPage,
+    single: pageInfo.single
+  };
+}
+
+/**
+ * Function to handle paginated API requests with optimized pagination
+ * @param {string} url - API endpoint URL
+ * @param {Object} options - Options for the request
+ * @returns {Promise<Array|Object>} - Resolved data from all pages
+ */
+async function fetchAllPages(url, options = {}) {
+  const { items, single } = await fetchPaged(url, options);
+
+  // Endpoints that answer with a single object are returned as they are
+  return single ? items[0] : items;
+}
+
+/**
+ * Send a write (PUT, POST or DELETE) to Canvas. Only use it for idempotent writes,
+ * since failed requests are retried. The user's cached responses are dropped
+ * afterwards so reads see the change.
+ * @param {string} method - HTTP method
+ * @param {string} url - API endpoint URL
+ * @param {Object} options - Request body (data), credentials and scheduling options
+ * @returns {Promise<*>} Response data
+ */
+async function sendRequest(method, url, options = {}) {
+  const {
+    data,
+    priority = 'interactive',
+    stats = null,
+    canvasUrl,
+    canvasApiKey,
+    refreshCredentials = null
+  } = options;
+
+  let apiKey = canvasApiKey;
+
+  for (let refreshed = false; ; refreshed = true) {
+    const canvasClient = createCanvasClient({ canvasUrl, canvasApiKey: apiKey });
+    const scheduling = {
+      bucketKey: getBucketKey(canvasUrl, apiKey),
+      host: new URL(canvasUrl).host,
+      priority,
+      stats
+    };
+
+    try {
+      const response = await requestWithRetry(canvasClient, url, scheduling, { method, data });
+      await invalidateCache({ canvasUrl, canvasApiKey: apiKey });
+      return response.data;
+    } catch (error) {
+      const canvasError = toCanvasError(error, url);
+
+      // An expired OAuth access token gets one refresh, then the request is retried
+      if (isTokenRejected(canvasError) && refreshCredentials && !refreshed) {
+        apiKey = (await refreshCredentials()).canvasApiKey;
+        continue;
+      }
+
+      logFetchError(canvasError, url, false);
+      throw canvasError;
+    }
+  }
 }
 
-module.exports = { fetchAllPages };
+module.exports = {
+  fetchAllPages,
+  fetchPaged,
+  sendRequest,
+  iteratePages,
+  parseLinkHeader,
+  invalidateCache
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+
+// Time-to-live for each kind of Canvas resource, first match wins
+const RESOURCE_TTLS = [
+  { pattern: /\/grading_standards/, ttlMs: 60 * 60 * 1000 },
+  { pattern: /\/submissions/, ttlMs: 60 * 1000 },
+  { pattern: /\/users\/self\/todo/, ttlMs: 60 * 1000 },
+  { pattern: /\/assignments/, ttlMs: 2 * 60 * 1000 },
+  { pattern: /\/announcements/, ttlMs: 5 * 60 * 1000 },
+  { pattern: /\/calendar_events/, ttlMs: 5 * 60 * 1000 },
+  { pattern: /\/courses/, ttlMs: 10 * 60 * 1000 },
+  { pattern: /\/users\/self/, ttlMs: 30 * 60 * 1000 }
+];
+const DEFAULT_TTL_MS = 60 * 1000;
+
+/**
+ * Create an in-memory LRU cache
+ * @param {Object} options - Cache options
+ * @returns {Object} Cache store
+ */
+function createMemoryCache(options = {}) {
+  const { maxEntries = 500 } = options;
+  const entries = new Map();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+
+      if (!entry) {
+        return null;
+      }
+
+      // Move to the end so it's the most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    set: async (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      // Evict the least recently used entries
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    deleteByUser: async (userKey) => {
+      let deleted = 0;
+
+      for (const [key, entry] of entries) {
+        if (entry.userKey === userKey) {
+          entries.delete(key);
+          deleted++;
+        }
+      }
+
+      return deleted;
+    }
+  };
+}
+
+/**
+ * Create a cache kept in the app's storage backend, shared across server instances on Firestore
+ * @param {Object} options - Cache options
+ * @returns {Object} Cache store
+ */
+function createFirestoreCache(options = {}) {
+  const { collection = 'canvasCache' } = options;
+  const { getStore } = require('./storage');
+  const docPath = key => `${collection}/${crypto.createHash('sha256').update(key).digest('hex')}`;
+
+  return {
+    get: async (key) => {
+      const entry = await getStore().get(docPath(key));
+
+      if (!entry) {
+        return null;
+      }
+
+      return { ...entry, data: JSON.parse(entry.data) };
+    },
+
+    set: async (key, entry) => {
+      // Store the payload as a string, Firestore can't hold nested arrays or undefined values
+      await getStore().set(docPath(key), {
+        ...entry,
+        data: JSON.stringify(entry.data)
+      });
+    },
+
+    deleteByUser: async (userKey) => {
+      const docs = await getStore().query(collection, { where: [['userKey', '==', userKey]] });
+
+      await getStore().commit(docs.map(doc => ({ op: 'delete', path: doc.path })));
+
+      return docs.length;
+    }
+  };
+}
+
+/**
+ * Create the cache store selected by config
+ * @returns {Object|null} Cache store, or null if caching is disabled
+ */
+function createCache() {
+  switch (env.CANVAS_CACHE_BACKEND) {
+    case 'none':
+      return null;
+    case 'firestore':
+      return createFirestoreCache();
+    case 'memory':
+      return createMemoryCache({ maxEntries: env.CANVAS_CACHE_MAX_ENTRIES });
+    default:
+      console.warn(`Unknown CANVAS_CACHE_BACKEND "${env.CANVAS_CACHE_BACKEND}", using memory cache`);
+      return createMemoryCache({ maxEntries: env.CANVAS_CACHE_MAX_ENTRIES });
+  }
+}
+
+let cache = createCache();
+
+/**
+ * Get the active cache store
+ * @returns {Object|null} Cache store, or null if caching is disabled
+ */
+function getCache() {
+  return cache;
+}
+
+/**
+ * Replace the active cache store
+ * @param {Object|null} store - Cache store
+ */
+function setCache(store) {
+  cache = store;
+}
+
+/**
+ * Normalize a Canvas URL so equivalent requests share a cache entry
+ * @param {string} url - API endpoint URL, relative or absolute
+ * @returns {string} Path and sorted query string
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url, 'http://canvas.invalid');
+
+  // Drop any cache buster and order the query parameters
+  parsed.searchParams.delete('_');
+  parsed.searchParams.sort();
+
+  const query = parsed.searchParams.toString();
+  return query ? `${parsed.pathname}?${query}` : parsed.pathname;
+}
+
+/**
+ * Build the cache key for a user's request
+ * @param {string} userKey - Key identifying the Canvas user
+ * @param {string} url - API endpoint URL
+ * @returns {string} Cache key
+ */
+function buildCacheKey(userKey, url) {
+  return `${userKey}:${normalizeUrl(url)}`;
+}
+
+/**
+ * Get the time-to-live for a Canvas resource
+ * @param {string} url - API endpoint URL
+ * @returns {number} Time-to-live in milliseconds
+ */
+function getTtl(url) {
+  const path = normalizeUrl(url);
+  const match = RESOURCE_TTLS.find(resource => resource.pattern.test(path));
+  return match ? match.ttlMs : DEFAULT_TTL_MS;
+}
+
+/**
+ * Record a cache lookup result in a request stats object
+ * @param {Object} stats - Request statistics
+ * @param {string} result - One of 'hits', 'misses' or 'revalidated'
+ */
+function recordCacheResult(stats, result) {
+  if (!stats) {
+    return;
+  }
+
+  stats.cache = stats.cache || { hits: 0, misses: 0, revalidated: 0 };
+  stats.cache[result]++;
+}
+
+/**
+ * Format cache statistics for a timing breakdown
+ * @param {Object} stats - Request statistics
+ * @returns {Object} Cache summary
+ */
+function formatCacheStats(stats) {
+  const { hits = 0, misses = 0, revalidated = 0 } = (stats && stats.cache) || {};
+  const lookups = hits + misses + revalidated;
+
+  return {
+    enabled: cache !== null,
+    hits,
+    misses,
+    revalidated,
+    hitRate: lookups > 0 ? (((hits + revalidated) / lookups) * 100).toFixed(1) + '%' : null
+  };
+}
+
+module.exports = {
+  createMemoryCache,
+  createFirestoreCache,
+  getCache,
+  setCache,
+  normalizeUrl,
+  buildCacheKey,
+  getTtl,
+  recordCacheResult,
+  formatCacheStats
+};
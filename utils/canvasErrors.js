@@ -0,0 +1,154 @@
+const { isThrottleError } = require('./canvasRateLimit');
+
+/**
+ * Base class for errors raised by the Canvas layer
+ */
+class CanvasError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details
+   * @param {number} options.canvasStatus - HTTP status Canvas responded with, if any
+   * @param {string} options.url - Canvas URL that failed
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'canvas_error';
+    this.statusCode = 502;
+    this.canvasStatus = options.canvasStatus || null;
+    this.url = options.url || null;
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * The Canvas token is missing, expired or revoked (401)
+ */
+class CanvasUnauthorizedError extends CanvasError {
+  constructor(message = 'Canvas access token is invalid or expired', options) {
+    super(message, options);
+    this.code = 'canvas_unauthorized';
+    this.statusCode = 401;
+  }
+}
+
+/**
+ * The token is valid but not allowed to see the resource (403)
+ */
+class CanvasForbiddenError extends CanvasError {
+  constructor(message = 'Permission denied by Canvas', options) {
+    super(message, options);
+    this.code = 'canvas_forbidden';
+    this.statusCode = 403;
+  }
+}
+
+/**
+ * The resource does not exist in Canvas (404)
+ */
+class CanvasNotFoundError extends CanvasError {
+  constructor(message = 'Resource not found in Canvas', options) {
+    super(message, options);
+    this.code = 'canvas_not_found';
+    this.statusCode = 404;
+  }
+}
+
+/**
+ * Canvas is throttling us and retries were exhausted (429 or throttled 403)
+ */
+class CanvasThrottledError extends CanvasError {
+  constructor(message = 'Canvas rate limit exceeded', options = {}) {
+    super(message, options);
+    this.code = 'canvas_throttled';
+    this.statusCode = 429;
+    this.retryAfter = options.retryAfter || null;
+  }
+}
+
+/**
+ * Canvas responded with a server error (5xx)
+ */
+class CanvasUnavailableError extends CanvasError {
+  constructor(message = 'Canvas is currently unavailable', options) {
+    super(message, options);
+    this.code = 'canvas_unavailable';
+    this.statusCode = 502;
+  }
+}
+
+/**
+ * The request to Canvas timed out or the connection failed
+ */
+class CanvasTimeoutError extends CanvasError {
+  constructor(message = 'Request to Canvas timed out', options) {
+    super(message, options);
+    this.code = 'canvas_timeout';
+    this.statusCode = 504;
+  }
+}
+
+/**
+ * The user has not connected a Canvas account yet, so there is nothing to call Canvas with
+ */
+class CanvasCredentialsMissingError extends CanvasError {
+  constructor(message = 'Canvas credentials not found. Please set up your Canvas credentials.', options) {
+    super(message, options);
+    this.code = 'canvas_credentials_missing';
+    this.statusCode = 409;
+  }
+}
+
+/**
+ * Convert an Axios error from a Canvas request into a typed Canvas error
+ * @param {Error} error - Axios error
+ * @param {string} url - Canvas URL that failed
+ * @returns {CanvasError} Typed error
+ */
+function toCanvasError(error, url) {
+  if (error instanceof CanvasError) {
+    return error;
+  }
+
+  const response = error.response;
+  const options = { url, cause: error, canvasStatus: response ? response.status : null };
+
+  if (!response) {
+    return new CanvasTimeoutError(`Request to Canvas failed: ${error.message}`, options);
+  }
+
+  if (isThrottleError(error)) {
+    const retryAfter = parseFloat(response.headers && response.headers['retry-after']);
+    return new CanvasThrottledError(undefined, {
+      ...options,
+      retryAfter: Number.isNaN(retryAfter) ? null : retryAfter
+    });
+  }
+
+  switch (response.status) {
+    case 401:
+      return new CanvasUnauthorizedError(undefined, options);
+    case 403:
+      return new CanvasForbiddenError(undefined, options);
+    case 404:
+      return new CanvasNotFoundError(undefined, options);
+    default:
+      if (response.status >= 500) {
+        return new CanvasUnavailableError(undefined, options);
+      }
+      return new CanvasError(`Canvas request failed with status ${response.status}`, options);
+  }
+}
+
+module.exports = {
+  CanvasError,
+  CanvasUnauthorizedError,
+  CanvasForbiddenError,
+  CanvasNotFoundError,
+  CanvasThrottledError,
+  CanvasUnavailableError,
+  CanvasTimeoutError,
+  CanvasCredentialsMissingError,
+  toCanvasError
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AxiosError, AxiosHeaders } = require('axios');
+const env = require('../config/env');
+const { normalizeUrl } = require('./canvasCache');
+
+/**
+ * Get the fixture file path for a Canvas URL
+ * @param {string} url - API endpoint URL
+ * @returns {string} Absolute path to the fixture file
+ */
+function getFixturePath(url) {
+  const normalized = normalizeUrl(url);
+  const pathname = normalized.split('?')[0];
+  const slug = pathname.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '_').slice(0, 80);
+  const hash = crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 12);
+
+  return path.resolve(env.CANVAS_FIXTURES_DIR, `${slug}_${hash}.json`);
+}
+
+/**
+ * Remove tokens from a URL or response body before it is written to disk
+ * @param {string} text - Text to scrub
+ * @param {string} canvasApiKey - Token the request was made with
+ * @returns {string} Scrubbed text
+ */
+function scrubTokens(text, canvasApiKey) {
+  let scrubbed = text.replace(/(access_token=)[^&"\s>]+/g, '$1[REDACTED]');
+
+  if (canvasApiKey) {
+    scrubbed = scrubbed.split(canvasApiKey).join('[REDACTED]');
+  }
+
+  return scrubbed;
+}
+
+/**
+ * Record successful responses from a Canvas client into fixture files
+ * @param {Object} canvasClient - Axios instance configured for Canvas API
+ * @param {string} canvasApiKey - Token the client uses, scrubbed from the fixtures
+ */
+function attachRecorder(canvasClient, canvasApiKey) {
+  canvasClient.interceptors.response.use(async (response) => {
+    // 304s only confirm data we already have, so there is nothing new to record
+    if (response.status === 304) {
+      return response;
+    }
+
+    const fixture = {
+      url: normalizeUrl(response.config.url),
+      status: response.status,
+      headers: {
+        link: response.headers.link || null,
+        etag: response.headers.etag || null
+      },
+      data: response.data,
+      recordedAt: new Date().toISOString()
+    };
+
+    try {
+      const fixturePath = getFixturePath(response.config.url);
+      await fs.promises.mkdir(path.dirname(fixturePath), { recursive: true });
+      await fs.promises.writeFile(fixturePath, scrubTokens(JSON.stringify(fixture, null, 2), canvasApiKey));
+    } catch (error) {
+      console.error(`Error recording Canvas fixture for ${response.config.url}:`, error.message);
+    }
+
+    return response;
+  });
+}
+
+/**
+ * Create an Axios adapter that answers requests from recorded fixtures
+ * @returns {Function} Axios adapter
+ */
+function createReplayAdapter() {
+  return async (config) => {
+    const fixturePath = getFixturePath(config.url);
+    let fixture;
+
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      fixture = {
+        status: 404,
+        headers: {},
+        data: { errors: [{ message: `No recorded fixture for ${normalizeUrl(config.url)}` }] }
+      };
+    }
+
+    const headers = new AxiosHeaders();
+    Object.entries(fixture.headers || {}).forEach(([name, value]) => {
+      if (value) headers.set(name, value);
+    });
+
+    // Honor conditional requests so cache revalidation behaves like it does live
+    const ifNoneMatch = AxiosHeaders.from(config.headers).get('If-None-Match');
+    const status = ifNoneMatch && ifNoneMatch === fixture.headers.etag ? 304 : fixture.status;
+
+    const response = {
+      data: status === 304 ? '' : fixture.data,
+      status,
+      statusText: String(status),
+      headers,
+      config,
+      request: null
+    };
+
+    if (!config.validateStatus || config.validateStatus(status)) {
+      return response;
+    }
+
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      null,
+      response
+    );
+  };
+}
+
+module.exports = {
+  getFixturePath,
+  attachRecorder,
+  createReplayAdapter
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+
+// Canvas starts every token with a 700 unit bucket that refills over time
+const BUCKET_CAPACITY = 700;
+const BUCKET_REFILL_PER_SEC = 10;
+const MAX_THROTTLE_DELAY_MS = 2000;
+
+// Rate-limit state for each Canvas host + token pair
+const buckets = new Map();
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Time in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Build the bucket key for a set of credentials without keeping the raw token around
+ * @param {string} canvasUrl - Canvas base URL
+ * @param {string} canvasApiKey - Canvas API key
+ * @returns {string} Bucket key
+ */
+function getBucketKey(canvasUrl, canvasApiKey) {
+  const tokenHash = crypto.createHash('sha256').update(canvasApiKey || '').digest('hex').slice(0, 16);
+  return `${canvasUrl}|${tokenHash}`;
+}
+
+/**
+ * Record the rate-limit headers from a Canvas response
+ * @param {string} key - Bucket key
+ * @param {Object} headers - Response headers
+ */
+function updateBucket(key, headers = {}) {
+  const remaining = parseFloat(headers['x-rate-limit-remaining']);
+  const cost = parseFloat(headers['x-request-cost']);
+
+  if (Number.isNaN(remaining)) {
+    return;
+  }
+
+  buckets.set(key, {
+    remaining,
+    lastCost: Number.isNaN(cost) ? null : cost,
+    updatedAt: Date.now()
+  });
+}
+
+/**
+ * Estimate how much of the bucket is left, accounting for refill since the last response
+ * @param {string} key - Bucket key
+ * @returns {number|null} Estimated remaining units, or null if unknown
+ */
+function estimateRemaining(key) {
+  const bucket = buckets.get(key);
+
+  if (!bucket) {
+    return null;
+  }
+
+  const elapsedSec = (Date.now() - bucket.updatedAt) / 1000;
+  return Math.min(BUCKET_CAPACITY, bucket.remaining + elapsedSec * BUCKET_REFILL_PER_SEC);
+}
+
+/**
+ * Get how long to wait before the next request so the bucket isn't drained
+ * @param {string} key - Bucket key
+ * @returns {number} Delay in milliseconds
+ */
+function getThrottleDelay(key) {
+  const remaining = estimateRemaining(key);
+  const lowWater = env.CANVAS_RATE_LIMIT_LOW_WATER;
+
+  if (remaining === null || remaining >= lowWater) {
+    return 0;
+  }
+
+  // Scale the delay up as the bucket approaches empty
+  const drained = (lowWater - Math.max(remaining, 0)) / lowWater;
+  return Math.round(drained * MAX_THROTTLE_DELAY_MS);
+}
+
+/**
+ * Check whether an error is Canvas throttling us rather than a real failure
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request was throttled
+ */
+function isThrottleError(error) {
+  const response = error && error.response;
+
+  if (!response) {
+    return false;
+  }
+
+  if (response.status === 429) {
+    return true;
+  }
+
+  if (response.status === 403) {
+    // Canvas reports throttling as "403 Forbidden (Rate Limit Exceeded)"
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data || '');
+    return /rate limit exceeded/i.test(body);
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request can be retried
+ */
+function isRetryableError(error) {
+  if (isThrottleError(error)) {
+    return true;
+  }
+
+  const status = error && error.response ? error.response.status : null;
+  return status !== null && status >= 500;
+}
+
+/**
+ * Get the delay before the next retry, honoring Retry-After when Canvas sends it
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Error} error - Axios error
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, error) {
+  const retryAfter = error && error.response && error.response.headers ?
+    parseFloat(error.response.headers['retry-after']) : NaN;
+
+  if (!Number.isNaN(retryAfter)) {
+    return Math.min(retryAfter * 1000, env.CANVAS_RETRY_MAX_DELAY_MS);
+  }
+
+  // Exponential backoff with full jitter
+  const ceiling = Math.min(env.CANVAS_RETRY_BASE_DELAY_MS * Math.pow(2, attempt), env.CANVAS_RETRY_MAX_DELAY_MS);
+  return Math.round(Math.random() * ceiling);
+}
+
+module.exports = {
+  sleep,
+  getBucketKey,
+  updateBucket,
+  estimateRemaining,
+  getThrottleDelay,
+  isThrottleError,
+  isRetryableError,
+  getRetryDelay
+};
@@ -0,0 +1,145 @@
+const env = require('../config/env');
+
+// Request priorities, lower value runs first
+const PRIORITY = {
+  interactive: 0,
+  background: 1
+};
+
+// Requests waiting for a free slot, in arrival order
+const queue = [];
+
+// In-flight request counts per token bucket and per Canvas host
+const inFlightByToken = new Map();
+const inFlightByHost = new Map();
+
+/**
+ * Create an object for collecting queue statistics across a group of requests
+ * @returns {Object} Request statistics
+ */
+function createRequestStats() {
+  return {
+    requests: 0,
+    queueWaitMs: 0,
+    maxQueueWaitMs: 0
+  };
+}
+
+/**
+ * Format request statistics for a timing breakdown
+ * @param {Object} stats - Request statistics
+ * @returns {Object} Queue wait summary
+ */
+function formatQueueWait(stats) {
+  return {
+    requests: stats.requests,
+    totalWaitMs: stats.queueWaitMs,
+    totalWaitSec: (stats.queueWaitMs / 1000).toFixed(2),
+    maxWaitMs: stats.maxQueueWaitMs,
+    averageWaitMs: stats.requests > 0 ? Math.round(stats.queueWaitMs / stats.requests) : 0
+  };
+}
+
+/**
+ * Check whether a queued request can start without exceeding the concurrency caps
+ * @param {Object} entry - Queued request
+ * @returns {boolean} True if there is a free slot
+ */
+function hasCapacity(entry) {
+  return (inFlightByToken.get(entry.tokenKey) || 0) < env.CANVAS_MAX_CONCURRENCY_PER_TOKEN &&
+    (inFlightByHost.get(entry.host) || 0) < env.CANVAS_MAX_CONCURRENCY_PER_HOST;
+}
+
+/**
+ * Adjust the in-flight count for a key
+ * @param {Map} counts - Count map
+ * @param {string} key - Token or host key
+ * @param {number} delta - Amount to add
+ */
+function adjust(counts, key, delta) {
+  const next = (counts.get(key) || 0) + delta;
+
+  if (next <= 0) {
+    counts.delete(key);
+  } else {
+    counts.set(key, next);
+  }
+}
+
+/**
+ * Start as many queued requests as the caps allow, highest priority first
+ */
+function drain() {
+  for (let level = PRIORITY.interactive; level <= PRIORITY.background; level++) {
+    for (let i = 0; i < queue.length;) {
+      const entry = queue[i];
+
+      if (entry.priority === level && hasCapacity(entry)) {
+        queue.splice(i, 1);
+        run(entry);
+      } else {
+        i++;
+      }
+    }
+  }
+}
+
+/**
+ * Run a queued request and release its slot when it settles
+ * @param {Object} entry - Queued request
+ */
+function run(entry) {
+  adjust(inFlightByToken, entry.tokenKey, 1);
+  adjust(inFlightByHost, entry.host, 1);
+
+  if (entry.stats) {
+    const waitMs = Date.now() - entry.enqueuedAt;
+    entry.stats.requests++;
+    entry.stats.queueWaitMs += waitMs;
+    entry.stats.maxQueueWaitMs = Math.max(entry.stats.maxQueueWaitMs, waitMs);
+  }
+
+  Promise.resolve()
+    .then(entry.task)
+    .then(entry.resolve, entry.reject)
+    .finally(() => {
+      adjust(inFlightByToken, entry.tokenKey, -1);
+      adjust(inFlightByHost, entry.host, -1);
+      drain();
+    });
+}
+
+/**
+ * Schedule a Canvas request, waiting for a free slot for its token and host
+ * @param {Function} task - Function returning a promise for the request
+ * @param {Object} options - Scheduling options
+ * @returns {Promise<*>} Result of the task
+ */
+function schedule(task, options = {}) {
+  const {
+    tokenKey,
+    host,
+    priority = 'interactive',
+    stats = null
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    queue.push({
+      task,
+      tokenKey,
+      host,
+      priority: PRIORITY[priority] !== undefined ? PRIORITY[priority] : PRIORITY.interactive,
+      stats,
+      enqueuedAt: Date.now(),
+      resolve,
+      reject
+    });
+    drain();
+  });
+}
+
+module.exports = {
+  schedule,
+  createRequestStats,
+  formatQueueWait
+};
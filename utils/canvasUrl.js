@@ -0,0 +1,32 @@
+/**
+ * Normalize a Canvas URL entered by a user into its base URL, e.g.
+ * "school.instructure.com/courses/12/" becomes "https://school.instructure.com"
+ * @param {string} canvasUrl - Canvas URL as entered
+ * @returns {string} Canvas base URL
+ */
+function normalizeCanvasUrl(canvasUrl) {
+  const trimmed = (canvasUrl || '').trim();
+
+  if (!trimmed) {
+    throw new Error('Canvas URL is required');
+  }
+
+  // Users often paste the host without a scheme
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+  let parsed;
+  try {
+    parsed = new URL(withScheme);
+  } catch (error) {
+    throw new Error(`Invalid Canvas URL: ${canvasUrl}`);
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error(`Invalid Canvas URL: ${canvasUrl}`);
+  }
+
+  // Canvas's API lives at the root of the instance, so drop any path, query or hash
+  return parsed.origin.toLowerCase();
+}
+
+module.exports = { normalizeCanvasUrl };
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Issued tokens last as long as Firebase ID tokens do
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+/**
+ * Build an error shaped like the Firebase Admin SDK's, so callers can check error.code
+ * @param {string} code - Firebase error code, e.g. 'auth/user-not-found'
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plaintext password
+ * @returns {string} Salt and hash, hex encoded
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plaintext password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {boolean} True if the password matches
+ */
+function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, Buffer.from(salt, 'hex'), 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+/**
+ * Create an in-process stand-in for Firebase Auth, so the server can run without a
+ * Firebase project or the Auth emulator. Users live in memory and are lost on restart,
+ * like the memory storage backend. Tokens are signed by this server: the custom
+ * tokens it creates are accepted as ID tokens, and signIn issues one for an email
+ * and password. Only meant for local development.
+ * @returns {Object} The parts of the Firebase Admin Auth API the server uses, plus signIn
+ */
+function createLocalAuth() {
+  // Tokens only need to outlive the users they belong to, who are lost on restart
+  const secret = crypto.randomBytes(32).toString('hex');
+  const users = new Map();
+
+  /**
+   * Public view of a stored user, shaped like a Firebase UserRecord
+   * @param {Object} user - Stored user
+   * @returns {Object} User record
+   */
+  const toUserRecord = ({ passwordHash, ...user }) => ({ ...user, customClaims: { ...user.customClaims } });
+
+  /**
+   * Find a stored user
+   * @param {string} uid - User ID
+   * @returns {Object} Stored user
+   */
+  const findUser = (uid) => {
+    const user = users.get(uid);
+
+    if (!user) {
+      throw authError('auth/user-not-found', `There is no user record corresponding to the provided identifier: ${uid}`);
+    }
+
+    return user;
+  };
+
+  const localAuth = {
+    createUser: async (properties = {}) => {
+      const { uid = crypto.randomBytes(14).toString('hex'), email = null, password, emailVerified = false, disabled = false } = properties;
+
+      if (users.has(uid) || (email && Array.from(users.values()).some(user => user.email === email))) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+
+      const user = {
+        uid,
+        email,
+        emailVerified,
+        disabled,
+        customClaims: {},
+        passwordHash: password ? hashPassword(password) : null,
+        metadata: { creationTime: new Date().toUTCString(), lastSignInTime: null }
+      };
+      users.set(uid, user);
+
+      return toUserRecord(user);
+    },
+
+    getUser: async (uid) => toUserRecord(findUser(uid)),
+
+    updateUser: async (uid, properties = {}) => {
+      const user = findUser(uid);
+      const { password, ...changes } = properties;
+
+      Object.assign(user, changes, password ? { passwordHash: hashPassword(password) } : {});
+      return toUserRecord(user);
+    },
+
+    deleteUser: async (uid) => {
+      findUser(uid);
+      users.delete(uid);
+    },
+
+    setCustomUserClaims: async (uid, claims) => {
+      findUser(uid).customClaims = { ...(claims || {}) };
+    },
+
+    createCustomToken: async (uid) => {
+      findUser(uid);
+      return jwt.sign({ uid }, secret, { expiresIn: TOKEN_TTL_SECONDS });
+    },
+
+    verifyIdToken: async (token) => {
+      let payload;
+
+      try {
+        payload = jwt.verify(token, secret);
+      } catch (error) {
+        throw authError(error.name === 'TokenExpiredError' ? 'auth/id-token-expired' : 'auth/argument-error', error.message);
+      }
+
+      const user = findUser(payload.uid);
+
+      if (user.disabled) {
+        throw authError('auth/user-disabled', 'The user account has been disabled by an administrator.');
+      }
+
+      // Claims are read from the user, so role changes apply to tokens already issued
+      return {
+        ...user.customClaims,
+        uid: user.uid,
+        email: user.email,
+        email_verified: user.emailVerified,
+        iat: payload.iat,
+        exp: payload.exp
+      };
+    },
+
+    /**
+     * Sign in with an email and password, as the Firebase client SDK would
+     * @param {string} email - Email address
+     * @param {string} password - Password
+     * @returns {Promise<string>} Token accepted by verifyIdToken
+     */
+    signIn: async (email, password) => {
+      const user = Array.from(users.values()).find(candidate => candidate.email === email);
+
+      if (!user || !user.passwordHash || !checkPassword(String(password), user.passwordHash)) {
+        throw authError('auth/invalid-credential', 'Incorrect email or password');
+      }
+
+      if (user.disabled) {
+        throw authError('auth/user-disabled', 'The user account has been disabled by an administrator.');
+      }
+
+      user.metadata.lastSignInTime = new Date().toUTCString();
+      return await localAuth.createCustomToken(user.uid);
+    }
+  };
+
+  return localAuth;
+}
+
+module.exports = { createLocalAuth };
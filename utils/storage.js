@@ -0,0 +1,525 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+
+/*
+ * Storage backends share one document interface. Documents are addressed by
+ * slash-separated paths ('users/{uid}', 'users/{uid}/courses/{courseId}') and
+ * dates always come back as Date objects.
+ *
+ *   get(path)                          Document data, or null if it doesn't exist
+ *   set(path, data, { merge })         Create or replace a document, or deep-merge into it
+ *   update(path, data)                 Change fields of an existing document; dotted keys reach nested fields
+ *   delete(path)                       Delete a document, leaving its subcollections
+ *   query(collectionPath, options)     Documents in a collection as { id, path, data }, filtered with
+ *                                      where: [[field, op, value]], orderBy: field or [field, 'desc'],
+ *                                      limit and select: [fields]
+ *   queryGroup(collectionId)           Documents in every collection with that ID
+ *   listCollections(path)              IDs of the subcollections under a document
+ *   listDocuments(collectionPath)      IDs of the documents in a collection, including ones that
+ *                                      only hold subcollections
+ *   deleteTree(path)                   Delete a document and everything under it
+ *   commit(writes)                     Apply [{ op: 'set' | 'update' | 'delete', path, data, merge }]
+ *                                      in atomic batches of at most 500 writes
+ *   transaction(fn)                    Run fn({ get, set, update, delete }) atomically
+ *   newId()                            New random document ID
+ *   deleteField()                      Value that removes a field in a merging set or an update
+ */
+
+// Firestore caps a batch at 500 writes
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Split a document or collection path into its segments
+ * @param {string} path - Slash-separated path
+ * @returns {Array<string>} Path segments
+ */
+function splitPath(path) {
+  return String(path).split('/').filter(Boolean);
+}
+
+/**
+ * Read a possibly nested field
+ * @param {Object} data - Document data
+ * @param {string} field - Field name, dotted for nested fields
+ * @returns {*} Field value, or undefined if missing
+ */
+function getField(data, field) {
+  return field.split('.').reduce((value, key) =>
+    (value !== null && value !== undefined && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+/**
+ * Check whether a value is a plain object that merges field by field
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Create an in-memory store. Data lives as long as the process, which suits
+ * local development and tests against the fake Canvas server.
+ * @returns {Object} Store
+ */
+function createMemoryStore() {
+  const documents = new Map();
+  const DELETE_FIELD = Symbol('deleteField');
+  let lock = Promise.resolve();
+
+  /**
+   * Copy a value in or out of the store, so callers never share its objects
+   * @param {*} value - Value to copy
+   * @returns {*} Copy
+   */
+  const copy = value => {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(copy);
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value)
+        .filter(([, field]) => field !== undefined && field !== DELETE_FIELD)
+        .map(([key, field]) => [key, copy(field)]));
+    }
+    return value;
+  };
+
+  /**
+   * Merge changes into existing data the way Firestore's set with merge does
+   * @param {Object} target - Existing data
+   * @param {Object} changes - Changes to merge
+   * @returns {Object} Merged data
+   */
+  const merge = (target, changes) => {
+    const merged = { ...target };
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) continue;
+
+      if (value === DELETE_FIELD) {
+        delete merged[key];
+      } else if (isPlainObject(value)) {
+        merged[key] = merge(isPlainObject(merged[key]) ? merged[key] : {}, value);
+      } else {
+        merged[key] = copy(value);
+      }
+    }
+
+    return merged;
+  };
+
+  /**
+   * Order two field values, Firestore style: dates and numbers by value, the rest as strings
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} Negative, zero or positive
+   */
+  const compare = (a, b) => {
+    const normalize = value => (value instanceof Date ? value.getTime() : value);
+    const [left, right] = [normalize(a), normalize(b)];
+
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+  };
+
+  const OPERATORS = {
+    '==': (value, expected) => compare(value, expected) === 0,
+    '!=': (value, expected) => compare(value, expected) !== 0,
+    '<': (value, expected) => compare(value, expected) < 0,
+    '<=': (value, expected) => compare(value, expected) <= 0,
+    '>': (value, expected) => compare(value, expected) > 0,
+    '>=': (value, expected) => compare(value, expected) >= 0,
+    in: (value, expected) => expected.some(candidate => compare(value, candidate) === 0),
+    'array-contains': (value, expected) => Array.isArray(value) && value.some(item => compare(item, expected) === 0)
+  };
+
+  /**
+   * List the documents directly inside a collection
+   * @param {string} collectionPath - Collection path
+   * @returns {Array} Documents as { id, path, data }
+   */
+  const documentsIn = (collectionPath) => {
+    const depth = splitPath(collectionPath).length + 1;
+    const prefix = `${splitPath(collectionPath).join('/')}/`;
+
+    return Array.from(documents.entries())
+      .filter(([path]) => path.startsWith(prefix) && splitPath(path).length === depth)
+      .map(([path, data]) => ({ id: splitPath(path).pop(), path, data }));
+  };
+
+  /**
+   * Apply one write to the in-memory documents
+   * @param {Object} write - op, path, data and merge
+   */
+  const apply = ({ op, path, data, merge: merging = false }) => {
+    const key = splitPath(path).join('/');
+
+    if (op === 'delete') {
+      documents.delete(key);
+    } else if (op === 'set') {
+      documents.set(key, merging ? merge(documents.get(key) || {}, data) : copy(data));
+    } else if (op === 'update') {
+      if (!documents.has(key)) {
+        const error = new Error(`No document to update: ${key}`);
+        error.code = 'not-found';
+        throw error;
+      }
+
+      const updated = { ...documents.get(key) };
+      for (const [field, value] of Object.entries(data)) {
+        const keys = field.split('.');
+        let parent = updated;
+
+        for (const part of keys.slice(0, -1)) {
+          parent[part] = isPlainObject(parent[part]) ? { ...parent[part] } : {};
+          parent = parent[part];
+        }
+
+        if (value === DELETE_FIELD) {
+          delete parent[keys[keys.length - 1]];
+        } else {
+          parent[keys[keys.length - 1]] = copy(value);
+        }
+      }
+      documents.set(key, updated);
+    }
+  };
+
+  /**
+   * Run a function while holding the store's write lock
+   * @param {Function} fn - Function to run
+   * @returns {Promise<*>} Result of the function
+   */
+  const withLock = (fn) => {
+    const run = lock.then(fn);
+    lock = run.catch(() => {});
+    return run;
+  };
+
+  const store = {
+    backend: 'memory',
+
+    get: async (path) => {
+      const data = documents.get(splitPath(path).join('/'));
+      return data ? copy(data) : null;
+    },
+
+    set: async (path, data, options = {}) => {
+      await withLock(() => apply({ op: 'set', path, data, merge: options.merge }));
+    },
+
+    update: async (path, data) => {
+      await withLock(() => apply({ op: 'update', path, data }));
+    },
+
+    delete: async (path) => {
+      await withLock(() => apply({ op: 'delete', path }));
+    },
+
+    query: async (collectionPath, options = {}) => {
+      const { where = [], orderBy = null, limit = null, select = null } = options;
+      let results = documentsIn(collectionPath)
+        .filter(doc => where.every(([field, op, expected]) => {
+          const value = getField(doc.data, field);
+          return value !== undefined && OPERATORS[op](value, expected);
+        }));
+
+      if (orderBy) {
+        const [field, direction = 'asc'] = Array.isArray(orderBy) ? orderBy : [orderBy];
+        // Like Firestore, ordering leaves out documents without the field
+        results = results
+          .filter(doc => getField(doc.data, field) !== undefined)
+          .sort((a, b) => compare(getField(a.data, field), getField(b.data, field)) * (direction === 'desc' ? -1 : 1));
+      }
+
+      if (limit !== null) {
+        results = results.slice(0, limit);
+      }
+
+      return results.map(doc => {
+        if (!select) return { ...doc, data: copy(doc.data) };
+
+        const picked = {};
+        for (const field of select) {
+          const value = getField(doc.data, field);
+          if (value === undefined) continue;
+
+          const keys = field.split('.');
+          let parent = picked;
+          keys.slice(0, -1).forEach(part => {
+            parent[part] = parent[part] || {};
+            parent = parent[part];
+          });
+          parent[keys[keys.length - 1]] = copy(value);
+        }
+        return { ...doc, data: picked };
+      });
+    },
+
+    queryGroup: async (collectionId) => {
+      return Array.from(documents.entries())
+        .filter(([path]) => {
+          const segments = splitPath(path);
+          return segments.length >= 2 && segments[segments.length - 2] === collectionId;
+        })
+        .map(([path, data]) => ({ id: splitPath(path).pop(), path, data: copy(data) }));
+    },
+
+    listCollections: async (path) => {
+      const prefix = splitPath(path);
+      const ids = new Set();
+
+      for (const key of documents.keys()) {
+        const segments = splitPath(key);
+        if (segments.length > prefix.length + 1 && prefix.every((part, i) => segments[i] === part)) {
+          ids.add(segments[prefix.length]);
+        }
+      }
+
+      return Array.from(ids);
+    },
+
+    listDocuments: async (collectionPath) => {
+      const prefix = splitPath(collectionPath);
+      const ids = new Set();
+
+      for (const key of documents.keys()) {
+        const segments = splitPath(key);
+        if (segments.length > prefix.length && prefix.every((part, i) => segments[i] === part)) {
+          ids.add(segments[prefix.length]);
+        }
+      }
+
+      return Array.from(ids);
+    },
+
+    deleteTree: async (path) => {
+      const key = splitPath(path).join('/');
+
+      await withLock(() => {
+        for (const stored of Array.from(documents.keys())) {
+          if (stored === key || stored.startsWith(`${key}/`)) {
+            documents.delete(stored);
+          }
+        }
+      });
+    },
+
+    commit: async (writes) => {
+      for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = writes.slice(i, i + MAX_BATCH_WRITES);
+
+        await withLock(() => {
+          // Apply to a copy first so a failing write leaves the batch unapplied
+          const before = new Map(documents);
+          try {
+            batch.forEach(apply);
+          } catch (error) {
+            documents.clear();
+            before.forEach((data, key) => documents.set(key, data));
+            throw error;
+          }
+        });
+      }
+    },
+
+    transaction: async (fn) => {
+      return await withLock(async () => {
+        const writes = [];
+        const result = await fn({
+          get: async (path) => {
+            const data = documents.get(splitPath(path).join('/'));
+            return data ? copy(data) : null;
+          },
+          set: (path, data, options = {}) => writes.push({ op: 'set', path, data, merge: options.merge }),
+          update: (path, data) => writes.push({ op: 'update', path, data }),
+          delete: (path) => writes.push({ op: 'delete', path })
+        });
+
+        writes.forEach(apply);
+        return result;
+      });
+    },
+
+    newId: () => crypto.randomBytes(10).toString('hex'),
+
+    deleteField: () => DELETE_FIELD
+  };
+
+  return store;
+}
+
+/**
+ * Create a Firestore-backed store. Points at the Firestore emulator when
+ * FIRESTORE_EMULATOR_HOST is set.
+ * @returns {Object} Store
+ */
+function createFirestoreStore() {
+  const { admin, db } = require('../config/firebase');
+
+  /**
+   * Turn Firestore timestamps back into dates
+   * @param {*} value - Stored value
+   * @returns {*} Value with dates
+   */
+  const fromFirestore = value => {
+    if (value instanceof admin.firestore.Timestamp) return value.toDate();
+    if (Array.isArray(value)) return value.map(fromFirestore);
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, fromFirestore(field)]));
+    }
+    return value;
+  };
+
+  /**
+   * Build the query for a collection from store query options
+   * @param {string} collectionPath - Collection path
+   * @param {Object} options - where, orderBy, limit and select
+   * @returns {Object} Firestore query
+   */
+  const buildQuery = (collectionPath, options = {}) => {
+    const { where = [], orderBy = null, limit = null, select = null } = options;
+    let query = db.collection(collectionPath);
+
+    for (const [field, op, value] of where) {
+      query = query.where(field, op, value);
+    }
+
+    if (orderBy) {
+      const [field, direction = 'asc'] = Array.isArray(orderBy) ? orderBy : [orderBy];
+      query = query.orderBy(field, direction);
+    }
+
+    if (limit !== null) query = query.limit(limit);
+    if (select) query = query.select(...select);
+
+    return query;
+  };
+
+  const toResult = doc => ({ id: doc.id, path: doc.ref.path, data: fromFirestore(doc.data()) });
+
+  /**
+   * Add one write to a Firestore batch or transaction
+   * @param {Object} target - Batch or transaction
+   * @param {Object} write - op, path, data and merge
+   */
+  const addWrite = (target, { op, path, data, merge = false }) => {
+    const ref = db.doc(path);
+
+    if (op === 'delete') target.delete(ref);
+    else if (op === 'update') target.update(ref, data);
+    else target.set(ref, data, { merge });
+  };
+
+  return {
+    backend: 'firestore',
+
+    get: async (path) => {
+      const doc = await db.doc(path).get();
+      return doc.exists ? fromFirestore(doc.data()) : null;
+    },
+
+    set: async (path, data, options = {}) => {
+      await db.doc(path).set(data, { merge: !!options.merge });
+    },
+
+    update: async (path, data) => {
+      await db.doc(path).update(data);
+    },
+
+    delete: async (path) => {
+      await db.doc(path).delete();
+    },
+
+    query: async (collectionPath, options = {}) => {
+      const snapshot = await buildQuery(collectionPath, options).get();
+      return snapshot.docs.map(toResult);
+    },
+
+    queryGroup: async (collectionId) => {
+      const snapshot = await db.collectionGroup(collectionId).get();
+      return snapshot.docs.map(toResult);
+    },
+
+    listCollections: async (path) => {
+      const collections = await db.doc(path).listCollections();
+      return collections.map(collection => collection.id);
+    },
+
+    listDocuments: async (collectionPath) => {
+      const refs = await db.collection(collectionPath).listDocuments();
+      return refs.map(ref => ref.id);
+    },
+
+    deleteTree: async (path) => {
+      await db.recursiveDelete(db.doc(path));
+    },
+
+    commit: async (writes) => {
+      for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => addWrite(batch, write));
+        await batch.commit();
+      }
+    },
+
+    transaction: async (fn) => {
+      return await db.runTransaction(async (transaction) => {
+        return await fn({
+          get: async (path) => {
+            const doc = await transaction.get(db.doc(path));
+            return doc.exists ? fromFirestore(doc.data()) : null;
+          },
+          set: (path, data, options = {}) => addWrite(transaction, { op: 'set', path, data, merge: options.merge }),
+          update: (path, data) => addWrite(transaction, { op: 'update', path, data }),
+          delete: (path) => addWrite(transaction, { op: 'delete', path })
+        });
+      });
+    },
+
+    newId: () => db.collection('_').doc().id,
+
+    deleteField: () => admin.firestore.FieldValue.delete()
+  };
+}
+
+/**
+ * Create the store selected by config
+ * @returns {Object} Store
+ */
+function createStore() {
+  switch (env.STORAGE_BACKEND) {
+    case 'memory':
+      return createMemoryStore();
+    case 'firestore':
+      return createFirestoreStore();
+    default:
+      console.warn(`Unknown STORAGE_BACKEND "${env.STORAGE_BACKEND}", using Firestore`);
+      return createFirestoreStore();
+  }
+}
+
+let store = null;
+
+/**
+ * Get the active store, creating it on first use
+ * @returns {Object} Store
+ */
+function getStore() {
+  store = store || createStore();
+  return store;
+}
+
+/**
+ * Replace the active store
+ * @param {Object} replacement - Store
+ */
+function setStore(replacement) {
+  store = replacement;
+}
+
+module.exports = {
+  createMemoryStore,
+  createFirestoreStore,
+  getStore,
+  setStore
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Parse the configured master keys ("keyId:base64Key,keyId:base64Key")
+ * @returns {Map<string, Buffer>} Master keys by key ID
+ */
+function getMasterKeys() {
+  const keys = new Map();
+
+  (env.CANVAS_TOKEN_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || key.length !== 32) {
+      throw new Error(`Invalid Canvas token master key "${keyId || entry}", expected keyId:base64 of 32 bytes`);
+    }
+
+    keys.set(keyId, key);
+  });
+
+  return keys;
+}
+
+/**
+ * Get the master key new tokens are wrapped with
+ * @returns {Object} Active key ID and key
+ */
+function getActiveMasterKey() {
+  const keys = getMasterKeys();
+
+  if (keys.size === 0) {
+    throw new Error('Canvas token master key is not configured (CANVAS_TOKEN_KEYS)');
+  }
+
+  // Default to the last key listed so adding a key to the end rotates to it
+  const keyId = env.CANVAS_TOKEN_ACTIVE_KEY_ID || Array.from(keys.keys()).pop();
+
+  if (!keys.has(keyId)) {
+    throw new Error(`Active Canvas token master key "${keyId}" is not configured`);
+  }
+
+  return { keyId, key: keys.get(keyId) };
+}
+
+/**
+ * Encrypt a buffer with AES-256-GCM
+ * @param {Buffer} key - 32 byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Object} Base64 iv, tag and ciphertext
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt data sealed with AES-256-GCM
+ * @param {Buffer} key - 32 byte key
+ * @param {Object} sealed - Base64 iv, tag and ciphertext
+ * @returns {Buffer} Decrypted data
+ */
+function open(key, sealed) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(sealed.ciphertext, 'base64')),
+    decipher.final()
+  ]);
+}
+
+/**
+ * Unwrap an envelope's data key with the master key it was wrapped with
+ * @param {Object} envelope - Encrypted token envelope
+ * @returns {Buffer} Data key
+ */
+function unwrapDataKey(envelope) {
+  const masterKey = getMasterKeys().get(envelope.keyId);
+
+  if (!masterKey) {
+    throw new Error(`Canvas token master key "${envelope.keyId}" is not configured`);
+  }
+
+  return open(masterKey, envelope.wrappedKey);
+}
+
+/**
+ * Encrypt a token with a fresh data key, wrapped by the active master key
+ * @param {string} token - Plaintext token
+ * @returns {Object} Encrypted token envelope
+ */
+function encryptToken(token) {
+  const { keyId, key } = getActiveMasterKey();
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    keyId,
+    wrappedKey: seal(key, dataKey),
+    token: seal(dataKey, Buffer.from(token, 'utf8'))
+  };
+}
+
+/**
+ * Decrypt a token envelope
+ * @param {Object} envelope - Encrypted token envelope
+ * @returns {string} Plaintext token
+ */
+function decryptToken(envelope) {
+  return open(unwrapDataKey(envelope), envelope.token).toString('utf8');
+}
+
+/**
+ * Re-wrap an envelope's data key with the active master key, leaving the token ciphertext alone
+ * @param {Object} envelope - Encrypted token envelope
+ * @returns {Object} Envelope wrapped with the active master key
+ */
+function rewrapToken(envelope) {
+  const { keyId, key } = getActiveMasterKey();
+
+  if (envelope.keyId === keyId) {
+    return envelope;
+  }
+
+  return {
+    ...envelope,
+    keyId,
+    wrappedKey: seal(key, unwrapDataKey(envelope))
+  };
+}
+
+/**
+ * Get the ID of the master key new tokens are wrapped with
+ * @returns {string} Active key ID
+ */
+function getActiveKeyId() {
+  return getActiveMasterKey().keyId;
+}
+
+/**
+ * Mask a token so only its last four characters are visible
+ * @param {string} token - Plaintext token
+ * @returns {string} Masked token
+ */
+function maskToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  return `********${token.slice(-4)}`;
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  rewrapToken,
+  getActiveKeyId,
+  maskToken
+};